@@ -0,0 +1,92 @@
+/** @jsx h */
+
+import { h } from 'preact';
+import cx from 'classnames';
+import Template from '../Template/Template';
+import { FederatedSearchSection } from '../../connectors/federated-search/connectFederatedSearch';
+
+type FederatedSearchCSSClasses = {
+  root: string;
+  emptyRoot: string;
+  section: string;
+  header: string;
+  list: string;
+  item: string;
+  seeAll: string;
+};
+
+export type FederatedSearchProps = {
+  query: string;
+  sections: FederatedSearchSection[];
+  cssClasses: FederatedSearchCSSClasses;
+  templateProps: {
+    [key: string]: any;
+  };
+};
+
+const FederatedSearch = ({
+  query,
+  sections,
+  cssClasses,
+  templateProps,
+}: FederatedSearchProps) => {
+  // The sections without hits are not displayed.
+  const displayedSections = sections.filter(section => section.hits.length > 0);
+
+  return (
+    <div
+      className={cx(cssClasses.root, {
+        [cssClasses.emptyRoot]: displayedSections.length === 0,
+      })}
+    >
+      {displayedSections.map(section => {
+        const sectionData = {
+          indexName: section.indexName,
+          indexId: section.indexId,
+          nbHits: section.nbHits,
+          query,
+        };
+
+        return (
+          <section key={section.indexId} className={cssClasses.section}>
+            <Template
+              {...templateProps}
+              templateKey="header"
+              rootProps={{ className: cssClasses.header }}
+              data={sectionData}
+            />
+
+            <ol className={cssClasses.list}>
+              {section.hits.map((hit, position) => (
+                <Template
+                  {...templateProps}
+                  templateKey="item"
+                  rootTagName="li"
+                  rootProps={{ className: cssClasses.item }}
+                  key={hit.objectID}
+                  data={{
+                    ...hit,
+                    __hitIndex: position,
+                  }}
+                />
+              ))}
+            </ol>
+
+            <Template
+              {...templateProps}
+              templateKey="seeAll"
+              rootTagName="a"
+              rootProps={{
+                className: cssClasses.seeAll,
+                href: section.createURL(),
+              }}
+              data={sectionData}
+            />
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+export default FederatedSearch;
@@ -0,0 +1,136 @@
+/** @jsx h */
+
+import { h } from 'preact';
+import { render } from '@testing-library/preact';
+import { SearchResults } from 'algoliasearch-helper';
+import FederatedSearch from '../FederatedSearch';
+import { FederatedSearchSection } from '../../../connectors/federated-search/connectFederatedSearch';
+import { prepareTemplateProps } from '../../../lib/utils';
+
+const cssClasses = {
+  root: 'root',
+  emptyRoot: 'emptyRoot',
+  section: 'section',
+  header: 'header',
+  list: 'list',
+  item: 'item',
+  seeAll: 'seeAll',
+};
+
+const templateProps = prepareTemplateProps({
+  defaultTemplates: {},
+  templatesConfig: {},
+  templates: {
+    header: '{{indexName}}: {{nbHits}} results for {{query}}',
+    item: '{{__hitIndex}}. {{name}}',
+    seeAll: 'See all {{indexId}}',
+  },
+});
+
+function createSection(
+  section: Partial<FederatedSearchSection> & { indexName: string }
+): FederatedSearchSection {
+  return {
+    indexId: section.indexName,
+    hits: [],
+    nbHits: 0,
+    results: {} as SearchResults,
+    createURL: () => `#${section.indexName}`,
+    ...section,
+  };
+}
+
+describe('FederatedSearch', () => {
+  it('renders the sections with their hits', () => {
+    const { container } = render(
+      <FederatedSearch
+        query="iphone"
+        sections={[
+          createSection({
+            indexName: 'products',
+            hits: [
+              { objectID: '1', __position: 1, name: 'iPhone' },
+              { objectID: '2', __position: 2, name: 'iPhone case' },
+            ],
+            nbHits: 120,
+          }),
+          createSection({
+            indexName: 'articles',
+            indexId: 'blog',
+            hits: [
+              { objectID: '3', __position: 1, name: 'Phones of the year' },
+            ],
+            nbHits: 300,
+          }),
+        ]}
+        cssClasses={cssClasses}
+        templateProps={templateProps}
+      />
+    );
+    const root = container.querySelector('.root')!;
+
+    expect(root.classList.contains('emptyRoot')).toBe(false);
+    expect(
+      Array.from(root.querySelectorAll('.section')).map(section => ({
+        header: section.querySelector('.header')!.textContent,
+        items: Array.from(section.querySelectorAll('.list > .item')).map(
+          item => item.textContent
+        ),
+        seeAll: section.querySelector('a.seeAll')!.textContent,
+        href: section.querySelector('a.seeAll')!.getAttribute('href'),
+      }))
+    ).toEqual([
+      {
+        header: 'products: 120 results for iphone',
+        items: ['0. iPhone', '1. iPhone case'],
+        seeAll: 'See all products',
+        href: '#products',
+      },
+      {
+        header: 'articles: 300 results for iphone',
+        items: ['0. Phones of the year'],
+        seeAll: 'See all blog',
+        href: '#articles',
+      },
+    ]);
+  });
+
+  it('does not render the sections without hits', () => {
+    const { container } = render(
+      <FederatedSearch
+        query="iphone"
+        sections={[
+          createSection({ indexName: 'stores' }),
+          createSection({
+            indexName: 'products',
+            hits: [{ objectID: '1', __position: 1, name: 'iPhone' }],
+            nbHits: 1,
+          }),
+        ]}
+        cssClasses={cssClasses}
+        templateProps={templateProps}
+      />
+    );
+
+    expect(
+      Array.from(container.querySelectorAll('.section .header')).map(
+        header => header.textContent
+      )
+    ).toEqual(['products: 1 results for iphone']);
+  });
+
+  it('adds the empty class to the root without sections to render', () => {
+    const { container } = render(
+      <FederatedSearch
+        query="iphone"
+        sections={[createSection({ indexName: 'stores' })]}
+        cssClasses={cssClasses}
+        templateProps={templateProps}
+      />
+    );
+    const root = container.querySelector('.root')!;
+
+    expect(root.classList.contains('emptyRoot')).toBe(true);
+    expect(root.querySelectorAll('.section')).toHaveLength(0);
+  });
+});
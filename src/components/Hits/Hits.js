@@ -5,7 +5,27 @@ import PropTypes from 'prop-types';
 import cx from 'classnames';
 import Template from '../Template/Template';
 
-const Hits = ({ results, hits, bindEvent, cssClasses, templateProps }) => {
+const Hits = ({
+  results,
+  hits,
+  error,
+  bindEvent,
+  cssClasses,
+  templateProps,
+}) => {
+  if (error) {
+    return (
+      <Template
+        {...templateProps}
+        templateKey="error"
+        rootProps={{
+          className: cx(cssClasses.root, cssClasses.emptyRoot),
+        }}
+        data={{ error }}
+      />
+    );
+  }
+
   if (results.hits.length === 0) {
     return (
       <Template
@@ -50,6 +70,7 @@ Hits.propTypes = {
   }).isRequired,
   hits: PropTypes.array.isRequired,
   results: PropTypes.object.isRequired,
+  error: PropTypes.instanceOf(Error),
   sendEvent: PropTypes.func.isRequired,
   bindEvent: PropTypes.func.isRequired,
   templateProps: PropTypes.object.isRequired,
@@ -58,6 +79,7 @@ Hits.propTypes = {
 Hits.defaultProps = {
   results: { hits: [] },
   hits: [],
+  error: null,
 };
 
 export default Hits;
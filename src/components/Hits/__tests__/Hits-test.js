@@ -54,6 +54,26 @@ describe('Hits', () => {
     });
   });
 
+  describe('error', () => {
+    it('should use the error template when the search fails', () => {
+      const error = new Error('Network error');
+      const props = {
+        results: {
+          hits: [{ objectID: 'one' }],
+        },
+        hits: [{ objectID: 'one' }],
+        error,
+        cssClasses,
+      };
+
+      const wrapper = shallowRender(props);
+
+      expect(wrapper.props().templateKey).toEqual('error');
+      expect(wrapper.props().data).toEqual({ error });
+      expect(wrapper.props().rootProps.className).toBe('root emptyRoot');
+    });
+  });
+
   describe('individual item templates', () => {
     it('should add an item template for each hit', () => {
       const hits = [
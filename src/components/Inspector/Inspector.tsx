@@ -0,0 +1,93 @@
+/** @jsx h */
+
+import { h } from 'preact';
+import {
+  InspectedIndex,
+  InspectedSearch,
+} from '../../middlewares/createInspectorMiddleware';
+
+type InspectorProps = {
+  index: InspectedIndex;
+  searches: InspectedSearch[];
+  onClose(): void;
+};
+
+const stringify = (value: unknown) => JSON.stringify(value, null, 2);
+
+const IndexTree = ({ index }: { index: InspectedIndex }) => (
+  <li className="ais-Inspector-index">
+    <details open>
+      <summary>
+        {index.indexId} ({index.indexName})
+      </summary>
+      <ul className="ais-Inspector-widgets">
+        {index.widgets.map((widget, position) => (
+          <li key={position} className="ais-Inspector-widget">
+            <code>{widget.$$type || 'unknown'}</code>
+            <pre>{stringify(widget.uiState)}</pre>
+          </li>
+        ))}
+      </ul>
+      <pre className="ais-Inspector-parameters">
+        {stringify(index.searchParameters)}
+      </pre>
+      {index.indices.length > 0 && (
+        <ul className="ais-Inspector-indices">
+          {index.indices.map(innerIndex => (
+            <IndexTree key={innerIndex.indexId} index={innerIndex} />
+          ))}
+        </ul>
+      )}
+    </details>
+  </li>
+);
+
+const Inspector = ({ index, searches, onClose }: InspectorProps) => (
+  <div
+    className="ais-Inspector"
+    // The panel is a debugging overlay, it's not styled by InstantSearch.css.
+    style={{
+      position: 'fixed',
+      right: 0,
+      bottom: 0,
+      zIndex: 9999,
+      width: '400px',
+      maxHeight: '50vh',
+      overflow: 'auto',
+      background: '#fff',
+      border: '1px solid #ccc',
+      fontSize: '12px',
+    }}
+  >
+    <button
+      type="button"
+      className="ais-Inspector-closeButton"
+      aria-label="Close the inspector"
+      onClick={onClose}
+    >
+      ×
+    </button>
+    <ul className="ais-Inspector-indices">
+      <IndexTree index={index} />
+    </ul>
+    <ol className="ais-Inspector-searches">
+      {searches.map((search, position) => (
+        <li key={position} className="ais-Inspector-search">
+          <details>
+            <summary>
+              {search.requests.length} request(s),{' '}
+              {search.endTime === null
+                ? 'pending'
+                : `${search.endTime - search.startTime}ms`}
+              {search.error && ` (${search.error.message})`}
+            </summary>
+            <pre>{stringify(search.requests)}</pre>
+            <pre>{stringify(search.responses)}</pre>
+          </details>
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+export default Inspector;
@@ -0,0 +1,61 @@
+/** @jsx h */
+
+import { h } from 'preact';
+import { render, fireEvent } from '@testing-library/preact';
+
+import Inspector from '../Inspector';
+
+describe('Inspector', () => {
+  const index = {
+    indexId: 'indexName',
+    indexName: 'indexName',
+    widgets: [{ $$type: 'ais.searchBox', uiState: { query: 'apple' } }],
+    searchParameters: { index: 'indexName', query: 'apple' },
+    indices: [],
+  };
+
+  it('renders the widgets and the searches', () => {
+    const { container } = render(
+      <Inspector
+        index={index}
+        searches={[
+          {
+            requests: [{ indexName: 'indexName', params: {} }],
+            responses: { indexName: [{ hits: [] }] },
+            error: null,
+            startTime: 0,
+            endTime: 42,
+          },
+          {
+            requests: [{ indexName: 'indexName', params: {} }],
+            responses: {},
+            error: new Error('Network error'),
+            startTime: 0,
+            endTime: 10,
+          },
+        ]}
+        onClose={() => {}}
+      />
+    );
+
+    expect(
+      container.querySelector('.ais-Inspector-widget code')!.textContent
+    ).toBe('ais.searchBox');
+    expect(
+      Array.from(
+        container.querySelectorAll('.ais-Inspector-search summary')
+      ).map(summary => summary.textContent)
+    ).toEqual(['1 request(s), 42ms', '1 request(s), 10ms (Network error)']);
+  });
+
+  it('calls onClose when the close button is clicked', () => {
+    const onClose = jest.fn();
+    const { container } = render(
+      <Inspector index={index} searches={[]} onClose={onClose} />
+    );
+
+    fireEvent.click(container.querySelector('.ais-Inspector-closeButton')!);
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
@@ -11,13 +11,14 @@ const Stats = ({
   page,
   processingTimeMS,
   query,
+  error,
   templateProps,
   cssClasses,
 }) => (
   <div className={cssClasses.root}>
     <Template
       {...templateProps}
-      templateKey="text"
+      templateKey={error ? 'error' : 'text'}
       rootTagName="span"
       rootProps={{ className: cssClasses.text }}
       data={{
@@ -30,6 +31,7 @@ const Stats = ({
         page,
         processingTimeMS,
         query,
+        error,
         cssClasses,
       }}
     />
@@ -47,7 +49,12 @@ Stats.propTypes = {
   page: PropTypes.number,
   processingTimeMS: PropTypes.number,
   query: PropTypes.string,
+  error: PropTypes.instanceOf(Error),
   templateProps: PropTypes.object.isRequired,
 };
 
+Stats.defaultProps = {
+  error: null,
+};
+
 export default Stats;
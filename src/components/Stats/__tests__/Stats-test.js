@@ -41,6 +41,20 @@ describe('Stats', () => {
     expect(wrapper).toMatchSnapshot();
   });
 
+  it('should render the error template when the search fails', () => {
+    const error = new Error('Network error');
+    const wrapper = mount(
+      <Stats
+        {...getProps({ error })}
+        templateProps={{ templates: defaultTemplates }}
+      />
+    );
+
+    expect(wrapper.find('Template').props().templateKey).toBe('error');
+    expect(wrapper.find('Template').props().data).toMatchObject({ error });
+    expect(wrapper.text()).toBe('The search failed');
+  });
+
   function getProps(extraProps = {}) {
     return {
       cssClasses,
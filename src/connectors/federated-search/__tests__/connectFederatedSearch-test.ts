@@ -0,0 +1,492 @@
+import { createSearchClient } from '../../../../test/mock/createSearchClient';
+import {
+  createMultiSearchResponse,
+  createSingleSearchResponse,
+} from '../../../../test/mock/createAPIResponse';
+import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
+import connectFederatedSearch from '../connectFederatedSearch';
+import connectSearchBox from '../../search-box/connectSearchBox';
+import connectRefinementList from '../../refinement-list/connectRefinementList';
+import instantsearch from '../../../lib/main';
+import getServerState from '../../../lib/getServerState';
+import { isIndexWidget } from '../../../widgets/index/index';
+import { TAG_PLACEHOLDER } from '../../../lib/escape-highlight';
+import { noop } from '../../../lib/utils';
+import { SearchResponse } from '../../../types';
+
+const RESPONSES: { [indexName: string]: Partial<SearchResponse<any>> } = {
+  products: {
+    nbHits: 120,
+    hits: [
+      {
+        objectID: '1',
+        name: 'iPhone',
+        _highlightResult: {
+          name: {
+            value: `${TAG_PLACEHOLDER.highlightPreTag}iPhone${TAG_PLACEHOLDER.highlightPostTag}`,
+            matchLevel: 'full',
+            matchedWords: ['iphone'],
+          },
+        },
+      },
+    ],
+  },
+  articles: {
+    nbHits: 300,
+    hits: [
+      {
+        objectID: '2',
+        title: 'Phones of the year',
+        _highlightResult: {
+          title: {
+            value: 'Phones of the year',
+            matchLevel: 'none',
+            matchedWords: [],
+          },
+        },
+      },
+    ],
+  },
+  stores: {
+    nbHits: 0,
+    hits: [],
+  },
+};
+
+function createFederatedSearchClient() {
+  return createSearchClient({
+    search: jest.fn(requests =>
+      Promise.resolve(
+        createMultiSearchResponse(
+          ...requests.map(({ indexName, params }) =>
+            createSingleSearchResponse({
+              ...RESPONSES[indexName],
+              query: params!.query,
+              index: indexName,
+            })
+          )
+        )
+      )
+    ),
+  });
+}
+
+function createSearch(widgetParams = {}, searchOptions = {}) {
+  const renderFn = jest.fn();
+  const unmountFn = jest.fn();
+  const searchClient = createFederatedSearchClient();
+  const search = instantsearch({
+    indexName: 'main',
+    searchClient,
+    initialUiState: { main: { query: 'iphone' } },
+    ...searchOptions,
+  });
+  const widget = connectFederatedSearch(
+    renderFn,
+    unmountFn
+  )({
+    indices: [
+      { indexName: 'stores' },
+      { indexName: 'articles', hitsPerPage: 5 },
+      { indexName: 'products' },
+    ],
+    ...widgetParams,
+  });
+
+  search.addWidgets([connectSearchBox(noop)({}), widget]);
+
+  return { search, searchClient, widget, renderFn, unmountFn };
+}
+
+function getSectionNames(renderFn: jest.Mock) {
+  const { sections } = renderFn.mock.calls[renderFn.mock.calls.length - 1][0];
+
+  return sections.map(({ indexName }) => indexName);
+}
+
+describe('connectFederatedSearch', () => {
+  it('throws without render function', () => {
+    expect(() => {
+      // @ts-ignore
+      connectFederatedSearch()({});
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The render function is not valid (received type Undefined).
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/federated-search/js/#connector"
+`);
+  });
+
+  it('throws without indices', () => {
+    expect(() => {
+      // @ts-ignore
+      connectFederatedSearch(noop)({});
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The \`indices\` option expects a non-empty array.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/federated-search/js/#connector"
+`);
+  });
+
+  it('throws with duplicate index ids', () => {
+    expect(() => {
+      connectFederatedSearch(noop)({
+        indices: [
+          { indexName: 'products' },
+          { indexName: 'products_price_asc', indexId: 'products' },
+        ],
+      });
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The index id \`products\` is used by several indices.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/federated-search/js/#connector"
+`);
+  });
+
+  it('throws with an unknown `sortBy`', () => {
+    expect(() => {
+      connectFederatedSearch(noop)({
+        indices: [{ indexName: 'products' }],
+        // @ts-ignore
+        sortBy: 'name',
+      });
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The \`sortBy\` option expects \`relevance\`, \`nbHits\` or a function.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/federated-search/js/#connector"
+`);
+  });
+
+  it('is a widget', () => {
+    const widget = connectFederatedSearch(noop)({
+      indices: [{ indexName: 'products' }],
+    });
+
+    expect(widget).toEqual(
+      expect.objectContaining({
+        $$type: 'ais.federatedSearch',
+        init: expect.any(Function),
+        render: expect.any(Function),
+        dispose: expect.any(Function),
+        getRenderState: expect.any(Function),
+        getWidgetRenderState: expect.any(Function),
+      })
+    );
+  });
+
+  it('searches every index with the query of the parent', async () => {
+    const { search, searchClient } = createSearch();
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(
+      (searchClient.search as jest.Mock).mock.calls[0][0].map(
+        ({ indexName, params }) => ({
+          indexName,
+          query: params.query,
+          hitsPerPage: params.hitsPerPage,
+        })
+      )
+    ).toEqual([
+      { indexName: 'main', query: 'iphone', hitsPerPage: undefined },
+      { indexName: 'stores', query: 'iphone', hitsPerPage: 3 },
+      { indexName: 'articles', query: 'iphone', hitsPerPage: 5 },
+      { indexName: 'products', query: 'iphone', hitsPerPage: 3 },
+    ]);
+  });
+
+  it('does not search the sections with the refinements of the parent', async () => {
+    const { search, searchClient } = createSearch(
+      {},
+      {
+        initialUiState: {
+          main: { query: 'iphone', refinementList: { brand: ['Apple'] } },
+        },
+      }
+    );
+
+    search.addWidgets([connectRefinementList(noop)({ attribute: 'brand' })]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(
+      (searchClient.search as jest.Mock).mock.calls[0][0].map(
+        ({ indexName, params }) => ({
+          indexName,
+          query: params.query,
+          facetFilters: params.facetFilters,
+        })
+      )
+    ).toEqual([
+      expect.objectContaining({
+        indexName: 'main',
+        query: 'iphone',
+        facetFilters: [['brand:Apple']],
+      }),
+      // The disjunctive facet request of the parent.
+      { indexName: 'main', query: 'iphone', facetFilters: undefined },
+      { indexName: 'stores', query: 'iphone', facetFilters: undefined },
+      { indexName: 'articles', query: 'iphone', facetFilters: undefined },
+      { indexName: 'products', query: 'iphone', facetFilters: undefined },
+    ]);
+  });
+
+  it('renders the sections during init and render', async () => {
+    const { search, renderFn } = createSearch();
+
+    search.start();
+
+    expect(renderFn).toHaveBeenCalledTimes(1);
+    expect(renderFn).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        query: 'iphone',
+        sections: [],
+        widgetParams: expect.objectContaining({
+          indices: expect.any(Array),
+        }),
+      }),
+      true
+    );
+
+    await runAllMicroTasks();
+
+    expect(renderFn).toHaveBeenCalledTimes(2);
+
+    const { query, sections } = renderFn.mock.calls[1][0];
+
+    expect(query).toBe('iphone');
+    expect(sections).toHaveLength(3);
+    expect(sections[0]).toEqual({
+      indexName: 'products',
+      indexId: 'products',
+      hits: expect.any(Array),
+      nbHits: 120,
+      results: expect.objectContaining({ index: 'products' }),
+      createURL: expect.any(Function),
+    });
+    expect(sections[0].hits).toHaveLength(1);
+    // The hits are escaped.
+    expect(sections[0].hits[0]._highlightResult.name.value).toBe(
+      '<mark>iPhone</mark>'
+    );
+  });
+
+  it('orders the sections by relevance', async () => {
+    const { search, renderFn } = createSearch();
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(getSectionNames(renderFn)).toEqual([
+      'products',
+      'articles',
+      'stores',
+    ]);
+  });
+
+  it('orders the sections by number of hits', async () => {
+    const { search, renderFn } = createSearch({ sortBy: 'nbHits' });
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(getSectionNames(renderFn)).toEqual([
+      'articles',
+      'products',
+      'stores',
+    ]);
+  });
+
+  it('orders the sections with a function', async () => {
+    const { search, renderFn } = createSearch({
+      sortBy: (first, second) =>
+        first.indexName.localeCompare(second.indexName),
+    });
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(getSectionNames(renderFn)).toEqual([
+      'articles',
+      'products',
+      'stores',
+    ]);
+  });
+
+  it('does not escape the hits without `escapeHTML`', async () => {
+    const { search, searchClient, renderFn } = createSearch({
+      escapeHTML: false,
+    });
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(
+      (searchClient.search as jest.Mock).mock.calls[0][0][3].params
+    ).not.toHaveProperty('highlightPreTag');
+
+    const [products] = renderFn.mock.calls[1][0].sections;
+
+    expect(products.hits[0]._highlightResult.name.value).toBe(
+      `${TAG_PLACEHOLDER.highlightPreTag}iPhone${TAG_PLACEHOLDER.highlightPostTag}`
+    );
+  });
+
+  it('creates the "see all" URL of the sections', async () => {
+    const { search, renderFn } = createSearch();
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    const [products] = renderFn.mock.calls[1][0].sections;
+
+    expect(products.createURL()).toBe('#');
+
+    const seeAllURL = jest.fn(
+      ({ indexId, query }) => `/${indexId}?query=${query}`
+    );
+    const { search: otherSearch, renderFn: otherRenderFn } = createSearch({
+      seeAllURL,
+    });
+
+    otherSearch.start();
+
+    await runAllMicroTasks();
+
+    const [otherProducts] = otherRenderFn.mock.calls[1][0].sections;
+
+    expect(otherProducts.createURL()).toBe('/products?query=iphone');
+    expect(seeAllURL).toHaveBeenCalledWith({
+      indexName: 'products',
+      indexId: 'products',
+      query: 'iphone',
+    });
+  });
+
+  it('creates the "see all" URL with the routing', async () => {
+    const renderFn = jest.fn();
+    const search = instantsearch({
+      indexName: 'main',
+      searchClient: createFederatedSearchClient(),
+      routing: {
+        router: {
+          read: () => ({}),
+          write: noop,
+          onUpdate: noop,
+          createURL: routeState => JSON.stringify(routeState),
+          dispose: noop,
+        },
+      },
+    });
+
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      connectFederatedSearch(renderFn)({
+        indices: [{ indexName: 'products' }],
+      }),
+    ]);
+    search.start();
+    search.helper!.setQuery('iphone').search();
+
+    await runAllMicroTasks();
+
+    const [products] = renderFn.mock.calls[
+      renderFn.mock.calls.length - 1
+    ][0].sections;
+
+    expect(JSON.parse(products.createURL())).toEqual({
+      main: { query: 'iphone' },
+      products: { query: 'iphone' },
+    });
+  });
+
+  it('adds the sections to the parent index', () => {
+    const { search, widget } = createSearch();
+
+    const sectionIds = search.mainIndex
+      .getWidgets()
+      .filter(isIndexWidget)
+      .map(sectionIndex => sectionIndex.getIndexId());
+
+    expect(sectionIds).toEqual(['stores', 'articles', 'products']);
+    expect(widget.getIndices!()).toEqual(
+      search.mainIndex.getWidgets().filter(isIndexWidget)
+    );
+  });
+
+  it('hydrates the sections with the server state', async () => {
+    const { search: serverSearch } = createSearch();
+    const initialResults = await getServerState(serverSearch);
+
+    expect(Object.keys(initialResults)).toEqual([
+      'main',
+      'stores',
+      'articles',
+      'products',
+    ]);
+
+    const { search, searchClient, renderFn } = createSearch(
+      {},
+      { initialResults }
+    );
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(0);
+    expect(getSectionNames(renderFn)).toEqual([
+      'products',
+      'articles',
+      'stores',
+    ]);
+  });
+
+  it('stores the render state', async () => {
+    const { search } = createSearch();
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(search.renderState.main.federatedSearch).toEqual(
+      expect.objectContaining({
+        query: 'iphone',
+        sections: expect.arrayContaining([
+          expect.objectContaining({ indexName: 'products' }),
+        ]),
+      })
+    );
+  });
+
+  describe('dispose', () => {
+    it('calls the unmount function and stops searching the sections', async () => {
+      const { search, searchClient, widget, unmountFn } = createSearch();
+
+      search.start();
+
+      await runAllMicroTasks();
+
+      search.removeWidgets([widget]);
+
+      await runAllMicroTasks();
+
+      expect(unmountFn).toHaveBeenCalledTimes(1);
+      expect(search.mainIndex.getWidgets().filter(isIndexWidget)).toEqual([]);
+      expect(searchClient.search).toHaveBeenCalledTimes(2);
+      expect(
+        (searchClient.search as jest.Mock).mock.calls[1][0].map(
+          ({ indexName }) => indexName
+        )
+      ).toEqual(['main']);
+    });
+  });
+});
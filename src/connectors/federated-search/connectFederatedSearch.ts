@@ -0,0 +1,324 @@
+import algoliasearchHelper, { SearchResults } from 'algoliasearch-helper';
+import escapeHits, { TAG_PLACEHOLDER } from '../../lib/escape-highlight';
+import {
+  checkRendering,
+  createDocumentationMessageGenerator,
+  noop,
+} from '../../lib/utils';
+import { Connector, Hits } from '../../types';
+import index, { Index } from '../../widgets/index/index';
+import connectConfigure from '../configure/connectConfigure';
+
+const withUsage = createDocumentationMessageGenerator({
+  name: 'federated-search',
+  connector: true,
+});
+
+export type FederatedSearchIndex = {
+  indexName: string;
+  /**
+   * @default indexName
+   */
+  indexId?: string;
+  /**
+   * Number of hits of the section, instead of the one of the widget.
+   */
+  hitsPerPage?: number;
+};
+
+export type FederatedSearchSection = {
+  indexName: string;
+  indexId: string;
+  /**
+   * The first hits of the index matching the query.
+   */
+  hits: Hits;
+  /**
+   * The total number of hits of the index matching the query.
+   */
+  nbHits: number;
+  /**
+   * The full results object from the Algolia API.
+   */
+  results: SearchResults;
+  /**
+   * Creates the "see all" URL of the section, targeting the dedicated index
+   * with the current query.
+   */
+  createURL(): string;
+};
+
+type SectionComparator = (
+  first: FederatedSearchSection,
+  second: FederatedSearchSection
+) => number;
+
+export type FederatedSearchConnectorParams = {
+  /**
+   * The indices to search with the query of the parent index, one section
+   * per index.
+   */
+  indices: FederatedSearchIndex[];
+  /**
+   * Number of hits of each section.
+   *
+   * @default 3
+   */
+  hitsPerPage?: number;
+  /**
+   * How to order the sections: by the match of their first hit with the
+   * query (`relevance`), by their number of hits (`nbHits`) or with a
+   * comparison function. The sections are otherwise kept in the order of the
+   * indices.
+   *
+   * @default 'relevance'
+   */
+  sortBy?: 'relevance' | 'nbHits' | SectionComparator;
+  /**
+   * Creates the URL of the dedicated page of an index. Defaults to the URL of
+   * the current page with the query in the UI state of the index.
+   */
+  seeAllURL?(options: {
+    indexName: string;
+    indexId: string;
+    query: string;
+  }): string;
+  /**
+   * Escapes HTML entities from hits string values.
+   *
+   * @default true
+   */
+  escapeHTML?: boolean;
+};
+
+export type FederatedSearchRendererOptions = {
+  /**
+   * The query of the parent index, shared by the sections.
+   */
+  query: string;
+  /**
+   * The sections with results, in display order.
+   */
+  sections: FederatedSearchSection[];
+};
+
+export type FederatedSearchConnector = Connector<
+  FederatedSearchRendererOptions,
+  FederatedSearchConnectorParams
+>;
+
+const MATCH_LEVEL_SCORES: { [matchLevel: string]: number } = {
+  none: 0,
+  partial: 1,
+  full: 2,
+};
+
+function getHighlightScore(highlightResult: any): number {
+  if (!highlightResult || typeof highlightResult !== 'object') {
+    return 0;
+  }
+
+  if (typeof highlightResult.matchLevel === 'string') {
+    return MATCH_LEVEL_SCORES[highlightResult.matchLevel] || 0;
+  }
+
+  return Object.keys(highlightResult).reduce(
+    (score, key) => Math.max(score, getHighlightScore(highlightResult[key])),
+    0
+  );
+}
+
+/**
+ * Scores the section from the best match level of its first hit, the
+ * sections without hits come last.
+ */
+function getRelevanceScore(section: FederatedSearchSection): number {
+  const [firstHit] = section.hits;
+
+  return firstHit ? getHighlightScore(firstHit._highlightResult) : -1;
+}
+
+const compareRelevance: SectionComparator = (first, second) =>
+  getRelevanceScore(second) - getRelevanceScore(first);
+
+const compareNbHits: SectionComparator = (first, second) =>
+  second.nbHits - first.nbHits;
+
+function sortSections(
+  sections: FederatedSearchSection[],
+  compare: SectionComparator
+): FederatedSearchSection[] {
+  // `Array.prototype.sort` is not stable in every browser, the position of
+  // the sections breaks the ties.
+  return sections
+    .map((section, position) => ({ section, position }))
+    .sort(
+      (first, second) =>
+        compare(first.section, second.section) ||
+        first.position - second.position
+    )
+    .map(({ section }) => section);
+}
+
+const connectFederatedSearch: FederatedSearchConnector = function connectFederatedSearch(
+  renderFn,
+  unmountFn = noop
+) {
+  checkRendering(renderFn, withUsage());
+
+  return widgetParams => {
+    const {
+      indices,
+      hitsPerPage = 3,
+      sortBy = 'relevance',
+      seeAllURL,
+      escapeHTML = true,
+    } = widgetParams || ({} as typeof widgetParams);
+
+    if (!Array.isArray(indices) || indices.length === 0) {
+      throw new Error(
+        withUsage('The `indices` option expects a non-empty array.')
+      );
+    }
+
+    const indexIds = indices.map(
+      ({ indexName, indexId = indexName }) => indexId
+    );
+
+    indexIds.forEach((indexId, position) => {
+      if (indexIds.indexOf(indexId) !== position) {
+        throw new Error(
+          withUsage(`The index id \`${indexId}\` is used by several indices.`)
+        );
+      }
+    });
+
+    let compareSections: SectionComparator;
+
+    if (typeof sortBy === 'function') {
+      compareSections = sortBy;
+    } else if (sortBy === 'nbHits') {
+      compareSections = compareNbHits;
+    } else if (sortBy === 'relevance') {
+      compareSections = compareRelevance;
+    } else {
+      throw new Error(
+        withUsage(
+          'The `sortBy` option expects `relevance`, `nbHits` or a function.'
+        )
+      );
+    }
+
+    // Each section is an index nested in the parent index of the widget, it
+    // only inherits the query: the refinements of the parent index target its
+    // own attributes. The sections are added to the parent index along with
+    // the widget (see `getIndices`).
+    const sectionIndices: Index[] = indices.map(
+      (
+        { indexName, hitsPerPage: sectionHitsPerPage = hitsPerPage },
+        position
+      ) =>
+        index({
+          indexName,
+          indexId: indexIds[position],
+          getInheritedSearchParameters: state =>
+            new algoliasearchHelper.SearchParameters({ query: state.query }),
+        }).addWidgets([
+          connectConfigure(noop)({
+            searchParameters: {
+              hitsPerPage: sectionHitsPerPage,
+              ...(escapeHTML && TAG_PLACEHOLDER),
+            },
+          }),
+        ])
+    );
+
+    return {
+      $$type: 'ais.federatedSearch',
+
+      getIndices() {
+        return sectionIndices;
+      },
+
+      init(initOptions) {
+        const { instantSearchInstance } = initOptions;
+
+        renderFn(
+          {
+            ...this.getWidgetRenderState(initOptions),
+            instantSearchInstance,
+          },
+          true
+        );
+      },
+
+      render(renderOptions) {
+        const { instantSearchInstance } = renderOptions;
+
+        renderFn(
+          {
+            ...this.getWidgetRenderState(renderOptions),
+            instantSearchInstance,
+          },
+          false
+        );
+      },
+
+      dispose({ state }) {
+        unmountFn();
+
+        return state;
+      },
+
+      getRenderState(renderState, renderOptions) {
+        return {
+          ...renderState,
+          federatedSearch: this.getWidgetRenderState(renderOptions),
+        };
+      },
+
+      getWidgetRenderState({ helper, instantSearchInstance }) {
+        const query = helper.state.query || '';
+        const sections = sectionIndices.reduce<FederatedSearchSection[]>(
+          (acc, sectionIndex) => {
+            const results = sectionIndex.getResults();
+
+            if (!results) {
+              return acc;
+            }
+
+            const indexName = sectionIndex.getIndexName();
+            const indexId = sectionIndex.getIndexId();
+
+            // We need to escape the hits because highlighting exposes HTML
+            // tags to the end-user.
+            if (escapeHTML && results.hits.length > 0) {
+              results.hits = escapeHits(results.hits);
+            }
+
+            return acc.concat({
+              indexName,
+              indexId,
+              hits: results.hits,
+              nbHits: results.nbHits,
+              results,
+              createURL: () =>
+                seeAllURL
+                  ? seeAllURL({ indexName, indexId, query })
+                  : instantSearchInstance._createURL({ [indexId]: { query } }),
+            });
+          },
+          []
+        );
+
+        return {
+          query,
+          sections: sortSections(sections, compareSections),
+          widgetParams,
+        };
+      },
+    };
+  };
+};
+
+export default connectFederatedSearch;
@@ -564,6 +564,29 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/hits/js/#co
         widgetParams: {},
       });
     });
+
+    it('returns the error of the last search', () => {
+      const renderFn = jest.fn();
+      const createHits = connectHits(renderFn);
+      const hitsWidget = createHits({});
+      const helper = algoliasearchHelper(createSearchClient(), 'indexName');
+      const error = new Error('Network error');
+
+      const renderState = hitsWidget.getWidgetRenderState(
+        createRenderOptions({
+          helper,
+          state: helper.state,
+          results: undefined,
+          searchMetadata: {
+            isSearchStalled: false,
+            pendingRequests: 0,
+            error,
+          },
+        })
+      );
+
+      expect(renderState.error).toBe(error);
+    });
   });
 
   describe('getWidgetSearchParameters', () => {
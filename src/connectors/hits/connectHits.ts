@@ -29,6 +29,11 @@ export type HitsRendererOptions = {
    */
   results?: SearchResults<AlgoliaHit>;
 
+  /**
+   * The error of the last search if it failed.
+   */
+  error?: Error;
+
   /**
    * Sends an event to the Insights middleware.
    */
@@ -101,7 +106,12 @@ const connectHits: HitsConnector = function connectHits(
         };
       },
 
-      getWidgetRenderState({ results, helper, instantSearchInstance }) {
+      getWidgetRenderState({
+        results,
+        helper,
+        instantSearchInstance,
+        searchMetadata,
+      }) {
         if (!sendEvent) {
           sendEvent = createSendEventForHits({
             instantSearchInstance,
@@ -121,6 +131,7 @@ const connectHits: HitsConnector = function connectHits(
           return {
             hits: [],
             results: undefined,
+            error: (searchMetadata && searchMetadata.error) || undefined,
             sendEvent,
             bindEvent,
             widgetParams,
@@ -154,6 +165,7 @@ const connectHits: HitsConnector = function connectHits(
         return {
           hits: results.hits,
           results,
+          error: (searchMetadata && searchMetadata.error) || undefined,
           sendEvent,
           bindEvent,
           widgetParams,
@@ -229,6 +229,26 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/stats/js/#c
         widgetParams: {},
       });
     });
+
+    test('returns the error of the last search', () => {
+      const [stats, helper] = getInitializedWidget();
+      const error = new Error('Network error');
+
+      const renderState = stats.getWidgetRenderState(
+        createRenderOptions({
+          helper,
+          state: helper.state,
+          results: undefined,
+          searchMetadata: {
+            isSearchStalled: false,
+            pendingRequests: 0,
+            error,
+          },
+        })
+      );
+
+      expect(renderState.error).toBe(error);
+    });
   });
 
   it('Renders during init and render', () => {
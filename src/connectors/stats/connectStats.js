@@ -17,6 +17,7 @@ const withUsage = createDocumentationMessageGenerator({
  * @property {number} page The current page.
  * @property {number} processingTimeMS The time taken to compute the results inside the Algolia engine.
  * @property {string} query The query used for the current search.
+ * @property {Error} [error] The error of the last search if it failed.
  * @property {object} widgetParams All original `CustomStatsWidgetOptions` forwarded to the `renderFn`.
  */
 
@@ -92,7 +93,7 @@ export default function connectStats(renderFn, unmountFn = noop) {
       };
     },
 
-    getWidgetRenderState({ results, helper }) {
+    getWidgetRenderState({ results, helper, searchMetadata }) {
       if (!results) {
         return {
           hitsPerPage: helper.state.hitsPerPage,
@@ -101,6 +102,7 @@ export default function connectStats(renderFn, unmountFn = noop) {
           page: helper.state.page || 0,
           processingTimeMS: -1,
           query: helper.state.query || '',
+          error: (searchMetadata && searchMetadata.error) || undefined,
           widgetParams,
         };
       }
@@ -112,6 +114,7 @@ export default function connectStats(renderFn, unmountFn = noop) {
         page: results.page,
         processingTimeMS: results.processingTimeMS,
         query: results.query,
+        error: (searchMetadata && searchMetadata.error) || undefined,
         widgetParams,
       };
     },
@@ -8,6 +8,13 @@ import {
   getInsightsAnonymousUserToken,
 } from './helpers';
 import { createInfiniteHitsSessionStorageCache } from './lib/infiniteHitsCache';
+import {
+  createInMemoryResponsesCache,
+  createSessionStorageResponsesCache,
+} from './lib/responsesCache';
+import getServerState from './lib/getServerState';
+import { createLocalSearchClient } from './lib/localSearchClient';
+import { createWorkerSearchClient, exposeSearchClient } from './lib/worker';
 
 const instantsearch = (options: InstantSearchOptions): InstantSearch =>
   new InstantSearch(options);
@@ -18,6 +25,12 @@ instantsearch.highlight = highlight;
 instantsearch.insights = insights;
 instantsearch.getInsightsAnonymousUserToken = getInsightsAnonymousUserToken;
 instantsearch.createInfiniteHitsSessionStorageCache = createInfiniteHitsSessionStorageCache;
+instantsearch.createInMemoryResponsesCache = createInMemoryResponsesCache;
+instantsearch.createSessionStorageResponsesCache = createSessionStorageResponsesCache;
+instantsearch.getServerState = getServerState;
+instantsearch.createWorkerSearchClient = createWorkerSearchClient;
+instantsearch.exposeSearchClient = exposeSearchClient;
+instantsearch.createLocalSearchClient = createLocalSearchClient;
 
 Object.defineProperty(instantsearch, 'widgets', {
   get() {
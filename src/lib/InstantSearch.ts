@@ -3,13 +3,26 @@ import EventEmitter from 'events';
 import index, { Index, isIndexWidget } from '../widgets/index/index';
 import version from './version';
 import createHelpers from './createHelpers';
+import createCachedSearchClient, {
+  isKeyForIndices,
+} from './responsesCache/createCachedSearchClient';
+import createAbortableSearchClient from './createAbortableSearchClient';
+import createPerformanceMonitor, {
+  PerformanceMonitor,
+  PerformanceMetrics,
+} from './createPerformanceMonitor';
+import createRetrySearchClient, {
+  ErrorHandlingOptions,
+} from './createRetrySearchClient';
 import {
   createDocumentationMessageGenerator,
   createDocumentationLink,
   defer,
+  schedule,
   noop,
   warning,
   checkIndexUiState,
+  wrapSearchClient,
 } from './utils';
 import {
   InsightsClient as AlgoliaInsightsClient,
@@ -20,21 +33,131 @@ import {
   Middleware,
   MiddlewareDefinition,
   RenderState,
+  InitialResults,
+  InstantSearchSnapshot,
+  MultiResponse,
 } from '../types';
 import {
   createRouterMiddleware,
   RouterProps,
 } from '../middlewares/createRouterMiddleware';
 import { InsightsEvent } from '../middlewares/createInsightsMiddleware';
+import { SchedulePolicy, Scheduled } from './utils/schedule';
 
 const withUsage = createDocumentationMessageGenerator({
   name: 'instantsearch',
 });
 
+function forEachScheduledSearch(
+  scheduledSearches: InstantSearch['_scheduledSearches'],
+  callback: (scheduledSearch: Scheduled) => void
+) {
+  (Object.keys(scheduledSearches) as SearchSource[]).forEach(source => {
+    callback(scheduledSearches[source]!);
+  });
+}
+
+const SNAPSHOT_VERSION = 1;
+
+function setIndexHelperState(indexWidget: Index, uiState: UiState) {
+  if (__DEV__) {
+    checkIndexUiState({
+      index: indexWidget,
+      indexUiState: uiState[indexWidget.getIndexId()],
+    });
+  }
+
+  indexWidget.getHelper()!.overrideStateWithoutTriggeringChangeEvent(
+    indexWidget.getWidgetSearchParameters(indexWidget.getHelper()!.state, {
+      uiState: uiState[indexWidget.getIndexId()],
+    })
+  );
+
+  // The state is overridden without triggering the change event, the UI
+  // state notified to the middleware must be refreshed manually.
+  indexWidget.refreshUiState();
+
+  indexWidget
+    .getWidgets()
+    .filter(isIndexWidget)
+    .forEach(innerIndex => setIndexHelperState(innerIndex, uiState));
+}
+
+function getIndexResults(indexWidget: Index): InitialResults {
+  const results = indexWidget.getResults();
+
+  return indexWidget
+    .getWidgets()
+    .filter(isIndexWidget)
+    .reduce<InitialResults>(
+      (acc, innerIndex) => ({ ...acc, ...getIndexResults(innerIndex) }),
+      results
+        ? {
+            [indexWidget.getIndexId()]: {
+              // Spreading the instance drops the prototype, which makes the
+              // state a plain object that survives serialization.
+              state: { ...results._state },
+              results: results._rawResults,
+            },
+          }
+        : {}
+    );
+}
+
+function getIndexNames(indexWidget: Index, indexIds: string[]): string[] {
+  return indexWidget
+    .getWidgets()
+    .filter(isIndexWidget)
+    .reduce<string[]>(
+      (acc, innerIndex) => acc.concat(getIndexNames(innerIndex, indexIds)),
+      indexIds.indexOf(indexWidget.getIndexId()) !== -1
+        ? [indexWidget.getHelper()!.state.index]
+        : []
+    );
+}
+
+function hydrateIndexResults(indexWidget: Index, results: InitialResults) {
+  const indexResults = results[indexWidget.getIndexId()];
+
+  if (indexResults) {
+    indexWidget.hydrateResults(indexResults);
+  }
+
+  indexWidget
+    .getWidgets()
+    .filter(isIndexWidget)
+    .forEach(innerIndex => hydrateIndexResults(innerIndex, results));
+}
+
+function isIndexHydrated(indexWidget: Index): boolean {
+  return (
+    Boolean(indexWidget.getResults()) &&
+    indexWidget
+      .getWidgets()
+      .filter(isIndexWidget)
+      .every(isIndexHydrated)
+  );
+}
+
 function defaultCreateURL() {
   return '#';
 }
 
+/**
+ * A cache of the responses of the search client, keyed by the serialized
+ * multi-query sent by the indices.
+ */
+export type ResponsesCache = {
+  read(options: { key: string }): MultiResponse | null;
+  write(options: { key: string; response: MultiResponse }): void;
+  clear(): void;
+  /**
+   * Removes the responses whose key matches the predicate. The caches that
+   * don't implement it are cleared entirely instead.
+   */
+  invalidate?(predicate: (options: { key: string }) => boolean): void;
+};
+
 /**
  * Global options for an InstantSearch instance.
  */
@@ -105,6 +228,112 @@ export type InstantSearchOptions = {
    */
   initialUiState?: UiState;
 
+  /**
+   * Injects the results computed with `getServerState` to the `instantsearch`
+   * instance. The first render uses these results instead of triggering a
+   * search, which allows to hydrate a page rendered on the server.
+   */
+  initialResults?: InitialResults;
+
+  /**
+   * The cache used to resolve the searches that were already performed
+   * without hitting the search client again. The cache is cleared on `refresh`,
+   * or only for the given indices with `refresh({ indexIds })`.
+   *
+   * Usage:
+   * ```javascript
+   * instantsearch({
+   *   indexName: 'indexName',
+   *   searchClient: algoliasearch('appId', 'apiKey'),
+   *   responsesCache: instantsearch.createInMemoryResponsesCache({ ttl: 60000 }),
+   * });
+   * ```
+   */
+  responsesCache?: ResponsesCache;
+
+  /**
+   * Aborts the searches that are still in flight when a new one is sent, for
+   * example when the user types fast in the search box. The `AbortSignal` is
+   * forwarded to the `search` method of the search client in the request
+   * options, and the responses of the aborted searches are never rendered.
+   *
+   * Make sure that your search client supports the `signal` request option
+   * before enabling it.
+   *
+   * @default false
+   */
+  abortStaleSearches?: boolean;
+
+  /**
+   * Strategy applied when a search fails: the search can be retried with an
+   * exponential backoff, then sent to a fallback search client. The error of
+   * the last failed search is available to the widgets in `searchMetadata.error`.
+   *
+   * Only the `hits` and `stats` widgets display the error, with their `error`
+   * template. The other widgets (e.g. `infiniteHits`) keep the results of the
+   * last successful search, or render empty results when there are none: use
+   * their connector to display the error in a custom widget.
+   *
+   * Usage:
+   * ```javascript
+   * instantsearch({
+   *   indexName: 'indexName',
+   *   searchClient: algoliasearch('appId', 'apiKey'),
+   *   errorHandling: {
+   *     retries: 2,
+   *     retryDelay: 200,
+   *     fallbackSearchClient: algoliasearch('appId', 'fallbackApiKey'),
+   *   },
+   * });
+   * ```
+   */
+  errorHandling?: ErrorHandlingOptions;
+
+  /**
+   * Records User Timing entries (`performance.mark` and `performance.measure`)
+   * around the searches, the responses and the renders of the widgets. A
+   * `metrics` event summarizing the durations is emitted after each render.
+   *
+   * The `ais:*` measures stay in the performance timeline, they can be
+   * removed with `performance.clearMeasures` on long-lived pages.
+   *
+   * Usage:
+   * ```javascript
+   * const search = instantsearch({
+   *   indexName: 'indexName',
+   *   searchClient: algoliasearch('appId', 'apiKey'),
+   *   measurePerformance: true,
+   * });
+   *
+   * search.on('metrics', ({ searchDuration, renderDuration, widgets }) => {
+   *   // send them to your monitoring tool
+   * });
+   * ```
+   *
+   * @default false
+   */
+  measurePerformance?: boolean;
+
+  /**
+   * Limits the rate of the searches triggered by the widgets, per source of
+   * change: `query` for the changes of the query (e.g. typing in `searchBox`)
+   * and `refinement` for the other ones (e.g. clicking a refinement). The
+   * searches of the sources without policy are sent right away.
+   *
+   * Usage:
+   * ```javascript
+   * instantsearch({
+   *   indexName: 'indexName',
+   *   searchClient: algoliasearch('appId', 'apiKey'),
+   *   searchScheduling: {
+   *     query: { mode: 'debounce', wait: 300 },
+   *     refinement: { mode: 'throttle', wait: 100 },
+   *   },
+   * });
+   * ```
+   */
+  searchScheduling?: SearchSchedulingOptions;
+
   /**
    * Time before a search is considered stalled. The default is 200ms
    */
@@ -113,8 +342,10 @@ export type InstantSearchOptions = {
   /**
    * Router configuration used to save the UI State into the URL or any other
    * client side persistence. Passing `true` will use the default URL options.
+   * Several routers can be combined, the ones listed first take precedence
+   * when reading the UI state.
    */
-  routing?: RouterProps | boolean;
+  routing?: RouterProps | RouterProps[] | boolean;
 
   /**
    * the instance of search-insights to use for sending insights events inside
@@ -125,6 +356,17 @@ export type InstantSearchOptions = {
   insightsClient?: AlgoliaInsightsClient;
 };
 
+export type SearchSource = 'query' | 'refinement';
+
+type ScheduleSearch = ((source?: SearchSource) => void) & {
+  wait(): Promise<void>;
+  cancel(): void;
+};
+
+export type SearchSchedulingOptions = {
+  [TSource in SearchSource]?: SchedulePolicy;
+};
+
 /**
  * The actual implementation of the InstantSearch. This is
  * created using the `instantsearch` factory function.
@@ -144,7 +386,21 @@ class InstantSearch extends EventEmitter {
   public _stalledSearchDelay: number;
   public _searchStalledTimer: any;
   public _isSearchStalled: boolean;
+  public _abortStaleSearches: boolean;
+  public _pendingRequests: number;
+  public _errorHandling: ErrorHandlingOptions | null;
+  public _searchError: Error | null;
+  public _cancelRetries: () => void;
   public _initialUiState: UiState;
+  public _initialResults: InitialResults | null;
+  public _responsesCache: ResponsesCache | null;
+  public _searchClient: SearchClient | null;
+  public _performanceMonitor: PerformanceMonitor | null;
+  public _nextSearchId: number;
+  public _searchScheduling: SearchSchedulingOptions | null;
+  public _scheduledSearches: {
+    [TSource in SearchSource]?: Scheduled;
+  };
   public _createURL: CreateURL<UiState>;
   public _searchFunction?: InstantSearchOptions['searchFunction'];
   public _mainHelperSearch?: AlgoliaSearchHelper['search'];
@@ -158,6 +414,12 @@ class InstantSearch extends EventEmitter {
       indexName = null,
       numberLocale,
       initialUiState = {},
+      initialResults = null,
+      responsesCache = null,
+      abortStaleSearches = false,
+      errorHandling = null,
+      measurePerformance = false,
+      searchScheduling = null,
       routing = null,
       searchFunction,
       stalledSearchDelay = 200,
@@ -216,6 +478,57 @@ See ${createDocumentationLink({
       })}`
     );
 
+    if (searchScheduling) {
+      Object.keys(searchScheduling).forEach(source => {
+        const policy = searchScheduling[source];
+
+        if (['query', 'refinement'].indexOf(source) === -1) {
+          throw new Error(
+            withUsage(
+              'The `searchScheduling` sources are `query` and `refinement`.'
+            )
+          );
+        }
+
+        if (!policy || typeof policy !== 'object') {
+          throw new Error(
+            withUsage(
+              `The \`${source}\` policy of \`searchScheduling\` should be an object with a \`mode\` and a \`wait\`.`
+            )
+          );
+        }
+
+        if (policy.mode !== 'debounce' && policy.mode !== 'throttle') {
+          throw new Error(
+            withUsage(
+              'The `mode` of `searchScheduling` should be `debounce` or `throttle`.'
+            )
+          );
+        }
+
+        if (typeof policy.wait !== 'number' || !(policy.wait >= 0)) {
+          throw new Error(
+            withUsage(
+              'The `wait` of `searchScheduling` should be a non-negative number of milliseconds.'
+            )
+          );
+        }
+
+        const {
+          leading = policy.mode === 'throttle',
+          trailing = true,
+        } = policy;
+
+        if (!leading && !trailing) {
+          throw new Error(
+            withUsage(
+              'The `leading` and `trailing` options of `searchScheduling` cannot both be `false`, the searches would never be sent.'
+            )
+          );
+        }
+      });
+    }
+
     this.client = searchClient;
     this.insightsClient = insightsClient;
 
@@ -236,9 +549,32 @@ See ${createDocumentationLink({
     this._stalledSearchDelay = stalledSearchDelay;
     this._searchStalledTimer = null;
     this._isSearchStalled = false;
+    this._abortStaleSearches = abortStaleSearches;
+    this._pendingRequests = 0;
+    this._errorHandling = errorHandling;
+    this._searchError = null;
+    this._cancelRetries = noop;
+    this._performanceMonitor = measurePerformance
+      ? createPerformanceMonitor()
+      : null;
+    this._nextSearchId = 0;
+    this._searchScheduling = searchScheduling;
+    this._scheduledSearches = {};
+
+    if (searchScheduling) {
+      (Object.keys(searchScheduling) as SearchSource[]).forEach(source => {
+        this._scheduledSearches[source] = schedule(
+          () => this._deferredSearch(),
+          searchScheduling[source]!
+        );
+      });
+    }
 
     this._createURL = defaultCreateURL;
     this._initialUiState = initialUiState;
+    this._initialResults = initialResults;
+    this._responsesCache = responsesCache;
+    this._searchClient = null;
 
     if (searchFunction) {
       this._searchFunction = searchFunction;
@@ -271,6 +607,15 @@ See ${createDocumentationLink({
       newMiddlewareList.forEach(m => {
         m.subscribe();
       });
+
+      // The middleware rewriting the requests need the wrapped search client
+      // that the Helper might not use yet.
+      if (
+        this.mainHelper!.getClient() === this._searchClient &&
+        this._shouldWrapSearchClient()
+      ) {
+        this.mainHelper!.setClient(this._wrapSearchClient(this._searchClient!));
+      }
     }
 
     return this;
@@ -377,6 +722,68 @@ See ${createDocumentationLink({
     return this;
   }
 
+  public _shouldWrapSearchClient(): boolean {
+    return (
+      this._performanceMonitor !== null ||
+      this.middleware.some(
+        m =>
+          typeof m.onSearch === 'function' || typeof m.onResponse === 'function'
+      )
+    );
+  }
+
+  /**
+   * Wraps the search client to let the middleware rewrite the requests before
+   * they reach the cache and the search client, to notify them of the
+   * responses, and to measure the searches.
+   */
+  public _wrapSearchClient(searchClient: SearchClient): SearchClient {
+    return wrapSearchClient(searchClient, (requests, ...args) => {
+      // The searches can overlap, the id lets the middleware match a response
+      // with the search it was sent for.
+      const searchId = this._nextSearchId++;
+      const endSearch = this._performanceMonitor
+        ? this._performanceMonitor.startSearch()
+        : noop;
+      const onResponse = (
+        response: MultiResponse | null,
+        error: Error | null
+      ) => {
+        endSearch();
+
+        this.middleware.forEach(m => {
+          if (m.onResponse) {
+            m.onResponse({ searchId, response, error });
+          }
+        });
+      };
+
+      return searchClient
+        .search(
+          this.middleware.reduce(
+            (previousRequests, m) =>
+              (m.onSearch &&
+                m.onSearch({ requests: previousRequests, searchId })) ||
+              previousRequests,
+            requests
+          ),
+          ...args
+        )
+        .then(
+          response => {
+            onResponse(response, null);
+
+            return response;
+          },
+          error => {
+            onResponse(null, error);
+
+            throw error;
+          }
+        );
+    });
+  }
+
   /**
    * Ends the initialization of InstantSearch.js and triggers the
    * first search. This method should be called after all widgets have been added
@@ -390,12 +797,53 @@ See ${createDocumentationLink({
       );
     }
 
+    // The search client is only wrapped for the options that need it, the
+    // Helper otherwise uses the client of the user as is.
+    let searchClient = this.client;
+
+    if (this._errorHandling) {
+      const retrySearchClient = createRetrySearchClient(
+        searchClient,
+        this._errorHandling
+      );
+
+      this._cancelRetries = retrySearchClient.cancelRetries;
+      searchClient = retrySearchClient;
+    }
+
+    if (this._responsesCache) {
+      searchClient = createCachedSearchClient(
+        searchClient,
+        this._responsesCache
+      );
+    }
+
+    if (this._abortStaleSearches) {
+      searchClient = createAbortableSearchClient(searchClient, {
+        abortStaleSearches: true,
+        onPendingRequestsChange: pendingRequests => {
+          this._pendingRequests = pendingRequests;
+        },
+      });
+    }
+
+    this._searchClient = searchClient;
+
     // This Helper is used for the queries, we don't care about its state. The
     // states are managed at the `index` level. We use this Helper to create
     // DerivedHelper scoped into the `index` widgets.
-    const mainHelper = algoliasearchHelper(this.client, this.indexName);
+    const mainHelper = algoliasearchHelper(
+      this._shouldWrapSearchClient()
+        ? this._wrapSearchClient(searchClient)
+        : searchClient,
+      this.indexName
+    );
 
     mainHelper.search = () => {
+      if (!this._abortStaleSearches) {
+        this._pendingRequests++;
+      }
+
       // This solution allows us to keep the exact same API for the users but
       // under the hood, we have a different implementation. It should be
       // completely transparent for the rest of the codebase. Only this module
@@ -403,6 +851,13 @@ See ${createDocumentationLink({
       return mainHelper.searchOnlyWithDerivedHelpers();
     };
 
+    // Without the abortable search client, the Helper is the one discarding
+    // the responses of the superseded searches: none of the searches is
+    // pending anymore once its queue is empty.
+    mainHelper.on('searchQueueEmpty', () => {
+      this._pendingRequests = 0;
+    });
+
     if (this._searchFunction) {
       // this client isn't used to actually search, but required for the helper
       // to not throw errors
@@ -434,6 +889,18 @@ See ${createDocumentationLink({
     // Only the "main" Helper emits the `error` event vs the one for `search`
     // and `results` that are also emitted on the derived one.
     mainHelper.on('error', ({ error }) => {
+      this._searchError = error;
+
+      // The widgets render with the error, it also ends the stalled state of
+      // the search.
+      this.scheduleRender();
+
+      this.middleware.forEach(m => {
+        if (m.onError) {
+          m.onError({ error });
+        }
+      });
+
       this.emit('error', {
         error,
       });
@@ -451,7 +918,21 @@ See ${createDocumentationLink({
       m.subscribe();
     });
 
-    mainHelper.search();
+    if (this._initialResults) {
+      // The indices are hydrated with the initial results during `init`, we
+      // render them right away. The results are only relevant for the first
+      // render, the next searches go through the network.
+      this._initialResults = null;
+      this.scheduleRender();
+
+      // The indices without initial results (e.g. added after the server
+      // render, or with another id) still need a search.
+      if (!isIndexHydrated(this.mainIndex)) {
+        mainHelper.search();
+      }
+    } else {
+      mainHelper.search();
+    }
 
     // Keep the previous reference for legacy purpose, some pattern use
     // the direct Helper access `search.helper` (e.g multi-index).
@@ -471,6 +952,7 @@ See ${createDocumentationLink({
   public dispose(): void {
     this.scheduleSearch.cancel();
     this.scheduleRender.cancel();
+    this._cancelRetries();
     clearTimeout(this._searchStalledTimer);
 
     this.removeWidgets(this.mainIndex.getWidgets());
@@ -493,12 +975,46 @@ See ${createDocumentationLink({
     });
   }
 
-  public scheduleSearch = defer(() => {
+  public _deferredSearch = defer(() => {
+    // The search includes the changes of every source, the calls still pending
+    // are not needed anymore.
+    forEachScheduledSearch(this._scheduledSearches, scheduledSearch => {
+      scheduledSearch.clearPending();
+    });
+
     if (this.started) {
       this.mainHelper!.search();
     }
   });
 
+  /**
+   * Schedules a search according to the `searchScheduling` policy of the
+   * source. Without policy, the search is deferred to the next microtask to
+   * batch the changes.
+   */
+  public scheduleSearch = ((): ScheduleSearch => {
+    const scheduleSearch: ScheduleSearch = source => {
+      const scheduledSearch = source && this._scheduledSearches[source];
+
+      if (scheduledSearch) {
+        scheduledSearch();
+      } else {
+        this._deferredSearch();
+      }
+    };
+
+    scheduleSearch.wait = () => this._deferredSearch.wait();
+
+    scheduleSearch.cancel = () => {
+      this._deferredSearch.cancel();
+      forEachScheduledSearch(this._scheduledSearches, scheduledSearch => {
+        scheduledSearch.cancel();
+      });
+    };
+
+    return scheduleSearch;
+  })();
+
   public scheduleRender = defer(() => {
     if (!this.mainHelper!.hasPendingRequests()) {
       clearTimeout(this._searchStalledTimer);
@@ -506,11 +1022,30 @@ See ${createDocumentationLink({
       this._isSearchStalled = false;
     }
 
-    this.mainIndex.render({
-      instantSearchInstance: this,
+    const render = () => {
+      this.mainIndex.render({
+        instantSearchInstance: this,
+      });
+    };
+    let metrics: PerformanceMetrics | null = null;
+
+    if (this._performanceMonitor) {
+      metrics = this._performanceMonitor.measureRender(render);
+    } else {
+      render();
+    }
+
+    this.middleware.forEach(m => {
+      if (m.onRender) {
+        m.onRender();
+      }
     });
 
     this.emit('render');
+
+    if (metrics) {
+      this.emit('metrics', metrics);
+    }
   });
 
   public scheduleStalledRender() {
@@ -537,27 +1072,7 @@ See ${createDocumentationLink({
         ? uiState(this.mainIndex.getWidgetUiState({}))
         : uiState;
 
-    const setIndexHelperState = (indexWidget: Index) => {
-      if (__DEV__) {
-        checkIndexUiState({
-          index: indexWidget,
-          indexUiState: nextUiState[indexWidget.getIndexId()],
-        });
-      }
-
-      indexWidget.getHelper()!.overrideStateWithoutTriggeringChangeEvent(
-        indexWidget.getWidgetSearchParameters(indexWidget.getHelper()!.state, {
-          uiState: nextUiState[indexWidget.getIndexId()],
-        })
-      );
-
-      indexWidget
-        .getWidgets()
-        .filter(isIndexWidget)
-        .forEach(setIndexHelperState);
-    };
-
-    setIndexHelperState(this.mainIndex);
+    setIndexHelperState(this.mainIndex, nextUiState);
 
     this.scheduleSearch();
     this.onInternalStateChange();
@@ -583,13 +1098,84 @@ See ${createDocumentationLink({
     return this._createURL(nextState);
   }
 
-  public refresh() {
+  /**
+   * Returns the serializable state of the instance: the UI state of every
+   * index with its resolved search parameters and its last results. It can be
+   * restored in another instance with `restoreSnapshot`, e.g. to reproduce the
+   * exact same view.
+   */
+  public getSnapshot(): InstantSearchSnapshot {
+    if (!this.started) {
+      throw new Error(
+        withUsage('The `start` method needs to be called before `getSnapshot`.')
+      );
+    }
+
+    this.mainIndex.refreshUiState();
+
+    return {
+      version: SNAPSHOT_VERSION,
+      uiState: this.mainIndex.getWidgetUiState({}),
+      results: getIndexResults(this.mainIndex),
+    };
+  }
+
+  /**
+   * Restores a snapshot returned by `getSnapshot`. The widgets render the
+   * results of the snapshot without a network request. Before `start`, the
+   * snapshot is used as the initial UI state and results of the instance.
+   */
+  public restoreSnapshot(snapshot: InstantSearchSnapshot): void {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        withUsage(
+          `The snapshot version \`${
+            snapshot ? snapshot.version : snapshot
+          }\` is not supported, the expected version is \`${SNAPSHOT_VERSION}\`.`
+        )
+      );
+    }
+
+    if (!this.started) {
+      this._initialUiState = snapshot.uiState;
+      this._initialResults = snapshot.results;
+      return;
+    }
+
+    // The pending searches would override the restored results.
+    this.scheduleSearch.cancel();
+
+    setIndexHelperState(this.mainIndex, snapshot.uiState);
+    hydrateIndexResults(this.mainIndex, snapshot.results);
+
+    this.scheduleRender();
+    this.onInternalStateChange();
+  }
+
+  /**
+   * Clears the caches and triggers a new search. With `indexIds`, only the
+   * cached responses of the multi-queries targeting these indices are
+   * discarded (the cache of the search client can only be cleared entirely).
+   */
+  public refresh({ indexIds }: { indexIds?: string[] } = {}) {
     if (!this.mainHelper) {
       throw new Error(
         withUsage('The `start` method needs to be called before `refresh`.')
       );
     }
 
+    if (this._responsesCache) {
+      if (indexIds && this._responsesCache.invalidate) {
+        const indexNames = getIndexNames(this.mainIndex, indexIds);
+
+        this._responsesCache.invalidate(({ key }) =>
+          isKeyForIndices(key, indexNames)
+        );
+      } else {
+        this._responsesCache.clear();
+      }
+    }
+
     this.mainHelper.clearCache().search();
   }
 }
@@ -2,17 +2,20 @@
 
 import { h, render, createRef } from 'preact';
 import algoliasearchHelper from 'algoliasearch-helper';
+import algoliasearchV3 from 'algoliasearch-v3';
 import InstantSearch from '../InstantSearch';
 import version from '../version';
 import connectSearchBox from '../../connectors/search-box/connectSearchBox';
 import connectPagination from '../../connectors/pagination/connectPagination';
 import index from '../../widgets/index/index';
+import { createInMemoryResponsesCache } from '../responsesCache';
 import { noop, warning } from '../utils';
 import {
   createSearchClient,
   createControlledSearchClient,
 } from '../../../test/mock/createSearchClient';
 import { createWidget } from '../../../test/mock/createWidget';
+import { createMultiSearchResponse } from '../../../test/mock/createAPIResponse';
 import { runAllMicroTasks } from '../../../test/utils/runAllMicroTasks';
 
 jest.useFakeTimers();
@@ -531,6 +534,26 @@ describe('start', () => {
     expect(algoliasearchHelper).toHaveBeenCalledWith(searchClient, indexName);
   });
 
+  it('gives the Helper a client forwarding to the search client with `onSearch` middleware', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+
+    search.use(() => ({
+      onStateChange: noop,
+      subscribe: noop,
+      unsubscribe: noop,
+      onSearch: noop,
+    }));
+    search.start();
+
+    const [helperSearchClient] = algoliasearchHelper.mock.calls[0];
+    expect(helperSearchClient).not.toBe(searchClient);
+    expect(searchClient.isPrototypeOf(helperSearchClient)).toBe(true);
+  });
+
   it('replaces the regular `search` with `searchOnlyWithDerivedHelpers`', () => {
     const searchClient = createSearchClient();
     const search = new InstantSearch({
@@ -815,6 +838,30 @@ describe('dispose', () => {
     await runAllMicroTasks();
   });
 
+  it('cancels the retries of the failed searches', async () => {
+    const searchClient = createSearchClient({
+      search: jest.fn(() => Promise.reject(new Error('Network error'))),
+    });
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      errorHandling: { retries: 1, retryDelay: 100 },
+    });
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+
+    search.dispose();
+    jest.runAllTimers();
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+  });
+
   it('removes the widgets from the main index', () => {
     const search = new InstantSearch({
       indexName: 'indexName',
@@ -1151,6 +1198,8 @@ describe('scheduleStalledRender', () => {
       expect.objectContaining({
         searchMetadata: {
           isSearchStalled: false,
+          pendingRequests: 0,
+          error: null,
         },
       })
     );
@@ -1172,6 +1221,8 @@ describe('scheduleStalledRender', () => {
       expect.objectContaining({
         searchMetadata: {
           isSearchStalled: true,
+          pendingRequests: 1,
+          error: null,
         },
       })
     );
@@ -1188,186 +1239,860 @@ describe('scheduleStalledRender', () => {
       expect.objectContaining({
         searchMetadata: {
           isSearchStalled: false,
+          pendingRequests: 0,
+          error: null,
         },
       })
     );
   });
 });
 
-describe('createURL', () => {
-  const createRouter = () => ({
-    read: jest.fn(() => ({})),
-    write: jest.fn(),
-    onUpdate: jest.fn(),
-    createURL: jest.fn(() => '#'),
-  });
-
-  it('at top-level returns the default URL for the main index state', () => {
-    const router = createRouter();
-    router.createURL.mockImplementation(() => 'https://algolia.com');
-
+describe('abortStaleSearches', () => {
+  it('does not render the results of the stale searches', async () => {
+    const { searchClient, searches } = createControlledSearchClient();
     const search = new InstantSearch({
       indexName: 'indexName',
-      searchClient: createSearchClient(),
-      routing: {
-        router,
-      },
+      searchClient,
+      abortStaleSearches: true,
     });
+    const widget = createWidget();
 
+    search.addWidgets([widget]);
     search.start();
 
-    expect(search.createURL()).toBe('https://algolia.com');
-  });
+    search.helper.setQuery('a').search();
 
-  it('at top-level returns a custom URL for the main index state', () => {
-    const router = createRouter();
-    router.createURL.mockImplementation(() => 'https://algolia.com');
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+    expect(searchClient.search.mock.calls[0][1].signal.aborted).toBe(true);
+
+    // Resolve the stale `search`
+    searches[0].resolver();
+
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenCalledTimes(0);
+
+    // Resolve the latest `search`
+    searches[1].resolver();
+
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenCalledTimes(1);
+    expect(widget.render).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        searchMetadata: {
+          isSearchStalled: false,
+          pendingRequests: 0,
+          error: null,
+        },
+      })
+    );
+  });
+});
 
+describe('pendingRequests', () => {
+  it('counts the searches until the Helper receives the latest one', async () => {
+    const { searchClient, searches } = createControlledSearchClient();
     const search = new InstantSearch({
       indexName: 'indexName',
-      searchClient: createSearchClient(),
-      routing: {
-        router,
-      },
+      searchClient,
     });
 
-    search.addWidgets([connectSearchBox(noop)({})]);
     search.start();
+    search.helper.setQuery('a').search();
 
-    expect(search.createURL({ indexName: { query: 'Apple' } })).toBe(
-      'https://algolia.com'
-    );
+    expect(search._pendingRequests).toBe(2);
+
+    searches[1].resolver();
+
+    await runAllMicroTasks();
+
+    expect(search._pendingRequests).toBe(0);
   });
+});
 
-  it('returns the default URL for the main index state', () => {
-    const router = createRouter();
+describe('searchScheduling', () => {
+  const createSearch = searchScheduling => {
+    const searchClient = createSearchClient();
     const search = new InstantSearch({
       indexName: 'indexName',
-      searchClient: createSearchClient(),
-      initialUiState: {
-        indexName: {
-          query: 'Apple',
-        },
-      },
-      routing: {
-        router,
-      },
+      searchClient,
+      searchScheduling,
     });
 
-    search.addWidgets([connectSearchBox(noop)({})]);
+    search.addWidgets([createWidget()]);
     search.start();
-    search.createURL();
 
-    expect(router.createURL).toHaveBeenCalledWith({
-      indexName: {
-        query: 'Apple',
-      },
-    });
+    return { search, searchClient };
+  };
+
+  it('throws with an unknown source', () => {
+    expect(() => createSearch({ page: { mode: 'debounce', wait: 100 } }))
+      .toThrowErrorMatchingInlineSnapshot(`
+"The \`searchScheduling\` sources are \`query\` and \`refinement\`.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
   });
 
-  it('returns the URL for nested index states', async () => {
-    const router = createRouter();
-    const search = new InstantSearch({
-      indexName: 'indexName',
-      searchClient: createSearchClient(),
-      initialUiState: {
-        indexName: {
-          query: 'Google',
-        },
-        indexNameLvl1: {
-          query: 'Samsung',
-        },
-        indexNameLvl2: {
-          query: 'Google',
+  it('throws with an unknown mode', () => {
+    expect(() => createSearch({ query: { mode: 'delay', wait: 100 } }))
+      .toThrowErrorMatchingInlineSnapshot(`
+"The \`mode\` of \`searchScheduling\` should be \`debounce\` or \`throttle\`.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+  });
+
+  it('throws without policy', () => {
+    expect(() => createSearch({ query: undefined }))
+      .toThrowErrorMatchingInlineSnapshot(`
+"The \`query\` policy of \`searchScheduling\` should be an object with a \`mode\` and a \`wait\`.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+  });
+
+  it('throws with an invalid wait', () => {
+    expect(() => createSearch({ query: { mode: 'debounce' } }))
+      .toThrowErrorMatchingInlineSnapshot(`
+"The \`wait\` of \`searchScheduling\` should be a non-negative number of milliseconds.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+    expect(() =>
+      createSearch({ query: { mode: 'debounce', wait: -1 } })
+    ).toThrow();
+  });
+
+  it('throws when the policy never calls the search', () => {
+    expect(() =>
+      createSearch({
+        refinement: {
+          mode: 'throttle',
+          wait: 100,
+          leading: false,
+          trailing: false,
         },
-      },
-      routing: {
-        router,
-      },
+      })
+    ).toThrowErrorMatchingInlineSnapshot(`
+"The \`leading\` and \`trailing\` options of \`searchScheduling\` cannot both be \`false\`, the searches would never be sent.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+    expect(() =>
+      createSearch({ query: { mode: 'debounce', wait: 100, trailing: false } })
+    ).toThrow();
+  });
+
+  it('debounces the searches of the query changes', async () => {
+    const { search, searchClient } = createSearch({
+      query: { mode: 'debounce', wait: 300 },
     });
 
-    search.addWidgets([
-      connectSearchBox(noop)({}),
-      index({ indexName: 'indexNameLvl1' }).addWidgets([
-        connectSearchBox(noop)({}),
-        index({ indexName: 'indexNameLvl2' }).addWidgets([
-          connectSearchBox(noop)({}),
-          connectPagination(noop)({}),
-          createWidget({
-            render({ helper, createURL }) {
-              createURL(helper.state.setPage(3).setQuery('Apple'));
-            },
-          }),
-        ]),
-      ]),
-    ]);
+    await runAllMicroTasks();
+    searchClient.search.mockClear();
 
-    search.start();
+    search.helper.setQuery('i').search();
+    search.helper.setQuery('ip').search();
+    jest.advanceTimersByTime(200);
+    search.helper.setQuery('iph').search();
+    await runAllMicroTasks();
 
-    // We need to run all micro tasks for the `render` method of the last
-    // widget to be called and its `createURL` to be triggered.
+    expect(searchClient.search).toHaveBeenCalledTimes(0);
+
+    jest.advanceTimersByTime(300);
     await runAllMicroTasks();
 
-    expect(router.createURL).toHaveBeenCalledWith({
-      indexName: {
-        query: 'Google',
-      },
-      indexNameLvl1: {
-        query: 'Samsung',
-      },
-      indexNameLvl2: {
-        query: 'Apple',
-        page: 4,
-      },
-    });
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(searchClient.search).toHaveBeenCalledWith([
+      expect.objectContaining({
+        params: expect.objectContaining({ query: 'iph' }),
+      }),
+    ]);
   });
-});
 
-describe('refresh', () => {
-  it('calls `clearCache` on the main Helper', () => {
-    const clearCache = jest.fn();
-    const searchClient = createSearchClient({
-      clearCache,
+  it('throttles the searches of the refinement changes', async () => {
+    const { search, searchClient } = createSearch({
+      refinement: { mode: 'throttle', wait: 100 },
     });
 
-    const search = new InstantSearch({
-      indexName: 'indexName',
-      searchClient,
+    await runAllMicroTasks();
+    searchClient.search.mockClear();
+
+    search.helper.setPage(1).search();
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+
+    search.helper.setPage(2).search();
+    search.helper.setPage(3).search();
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(100);
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+    expect(searchClient.search).toHaveBeenLastCalledWith([
+      expect.objectContaining({
+        params: expect.objectContaining({ page: 3 }),
+      }),
+    ]);
+  });
+
+  it('defers the searches of the sources without policy', async () => {
+    const { search, searchClient } = createSearch({
+      query: { mode: 'debounce', wait: 300 },
     });
 
-    search.start();
+    await runAllMicroTasks();
+    searchClient.search.mockClear();
 
-    expect(clearCache).toHaveBeenCalledTimes(0);
+    search.helper.setQuery('iphone').search();
+    search.helper.setPage(1).search();
+    await runAllMicroTasks();
 
-    search.refresh();
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
 
-    expect(clearCache).toHaveBeenCalledTimes(1);
+    // The pending search of the query is included in the previous one.
+    jest.advanceTimersByTime(300);
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
   });
 
-  it('triggers a `search` with the cache emptied', () => {
+  it('uses the query of the last search to find the source', async () => {
     const searchClient = createSearchClient();
     const search = new InstantSearch({
       indexName: 'indexName',
       searchClient,
+      searchScheduling: {
+        query: { mode: 'debounce', wait: 300 },
+        refinement: { mode: 'throttle', wait: 100 },
+      },
     });
 
+    search.addWidgets([
+      createWidget({
+        getWidgetSearchParameters: (state, { uiState }) =>
+          state.setQueryParameter('query', uiState.query),
+      }),
+    ]);
     search.start();
 
-    // it is called once with start
+    await runAllMicroTasks();
+
+    // The query changes without going through the scheduled searches.
+    search.setUiState({ indexName: { query: 'iphone' } });
+    await runAllMicroTasks();
+    searchClient.search.mockClear();
+
+    search.helper.setPage(1).search();
+    await runAllMicroTasks();
+
     expect(searchClient.search).toHaveBeenCalledTimes(1);
+  });
 
-    search.refresh();
+  it('cancels the scheduled searches on dispose', async () => {
+    const { search, searchClient } = createSearch({
+      query: { mode: 'debounce', wait: 300 },
+    });
 
-    expect(searchClient.search).toHaveBeenCalledTimes(2);
+    await runAllMicroTasks();
+    searchClient.search.mockClear();
+
+    search.helper.setQuery('iphone').search();
+    search.dispose();
+    jest.advanceTimersByTime(300);
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(0);
   });
 });
 
-describe('use', () => {
-  it('hooks middleware into the lifecycle before the instance starts', () => {
-    const searchClient = createSearchClient();
+describe('measurePerformance', () => {
+  it('emits the metrics after each render', async () => {
     const search = new InstantSearch({
       indexName: 'indexName',
-      searchClient,
+      searchClient: createSearchClient(),
+      measurePerformance: true,
+    });
+    const onMetrics = jest.fn();
+
+    search.on('metrics', onMetrics);
+    search.addWidgets([
+      createWidget({ $$type: 'ais.hits' }),
+      index({ indexName: 'nestedIndexName' }).addWidgets([
+        createWidget({ $$type: 'ais.searchBox' }),
+      ]),
+    ]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(onMetrics).toHaveBeenCalledTimes(1);
+    expect(onMetrics).toHaveBeenCalledWith({
+      searchDuration: expect.any(Number),
+      resultsDuration: expect.any(Number),
+      renderDuration: expect.any(Number),
+      widgets: [
+        {
+          indexId: 'indexName',
+          $$type: 'ais.hits',
+          duration: expect.any(Number),
+        },
+        {
+          indexId: 'nestedIndexName',
+          $$type: 'ais.searchBox',
+          duration: expect.any(Number),
+        },
+      ],
+    });
+  });
+
+  it('ends the search measure when the search fails', async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient({
+        search: jest.fn(() => Promise.reject(new Error('Network error'))),
+      }),
+      measurePerformance: true,
+    });
+    const endSearch = jest.fn();
+
+    jest
+      .spyOn(search._performanceMonitor, 'startSearch')
+      .mockImplementation(() => endSearch);
+    search.on('error', noop);
+    search.addWidgets([createWidget()]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(endSearch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not emit the metrics by default', async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+    });
+    const onMetrics = jest.fn();
+
+    search.on('metrics', onMetrics);
+    search.addWidgets([createWidget()]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(search._performanceMonitor).toBe(null);
+    expect(onMetrics).not.toHaveBeenCalled();
+  });
+});
+
+describe('errorHandling', () => {
+  it('exposes the error of the failed search in `searchMetadata`', async () => {
+    const error = new Error('Network error');
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const widget = createWidget();
+
+    search.on('error', noop);
+    search.addWidgets([widget]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenCalledTimes(1);
+
+    searchClient.search.mockImplementationOnce(() => Promise.reject(error));
+    search.helper.setQuery('a').search();
+
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenCalledTimes(2);
+    expect(widget.render).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        searchMetadata: {
+          isSearchStalled: false,
+          pendingRequests: 0,
+          error,
+        },
+      })
+    );
+
+    search.helper.setQuery('b').search();
+
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenCalledTimes(3);
+    expect(widget.render).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        searchMetadata: {
+          isSearchStalled: false,
+          pendingRequests: 0,
+          error: null,
+        },
+      })
+    );
+  });
+
+  it('renders the widgets with the error when the first search fails', async () => {
+    const error = new Error('Network error');
+    const searchClient = createSearchClient({
+      search: jest.fn(() => Promise.reject(error)),
+    });
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const widget = createWidget();
+
+    search.on('error', noop);
+    search.addWidgets([widget]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(search.mainIndex.getResults()).toBe(null);
+    expect(widget.render).toHaveBeenCalledTimes(1);
+    expect(widget.render).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        results: expect.objectContaining({ hits: [], nbHits: 0 }),
+        searchMetadata: {
+          isSearchStalled: false,
+          pendingRequests: 0,
+          error,
+        },
+      })
+    );
+  });
+
+  it('ends the stalled state when the search fails', async () => {
+    const { searchClient, searches } = createControlledSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const widget = createWidget();
+
+    search.on('error', noop);
+    search.addWidgets([widget]);
+    search.start();
+
+    searches[0].resolver();
+    await runAllMicroTasks();
+
+    searchClient.search.mockImplementationOnce(() =>
+      Promise.reject(new Error('Network error'))
+    );
+    search.helper.setQuery('a').search();
+
+    jest.runOnlyPendingTimers();
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        searchMetadata: expect.objectContaining({
+          isSearchStalled: false,
+        }),
+      })
+    );
+    expect(search._isSearchStalled).toBe(false);
+  });
+
+  it('uses the fallback search client once the retries are exhausted', async () => {
+    jest.useRealTimers();
+
+    const searchClient = createSearchClient({
+      search: jest.fn(() => Promise.reject(new Error('Network error'))),
+    });
+    const fallbackSearchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      errorHandling: {
+        retries: 1,
+        retryDelay: 0,
+        fallbackSearchClient,
+      },
+    });
+    const widget = createWidget();
+    const onError = jest.fn();
+
+    search.on('error', onError);
+    search.addWidgets([widget]);
+    search.start();
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+    expect(fallbackSearchClient.search).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+    expect(widget.render).toHaveBeenCalledTimes(1);
+
+    jest.useFakeTimers();
+  });
+});
+
+describe('createURL', () => {
+  const createRouter = () => ({
+    read: jest.fn(() => ({})),
+    write: jest.fn(),
+    onUpdate: jest.fn(),
+    createURL: jest.fn(() => '#'),
+  });
+
+  it('at top-level returns the default URL for the main index state', () => {
+    const router = createRouter();
+    router.createURL.mockImplementation(() => 'https://algolia.com');
+
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      routing: {
+        router,
+      },
+    });
+
+    search.start();
+
+    expect(search.createURL()).toBe('https://algolia.com');
+  });
+
+  it('at top-level returns a custom URL for the main index state', () => {
+    const router = createRouter();
+    router.createURL.mockImplementation(() => 'https://algolia.com');
+
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      routing: {
+        router,
+      },
+    });
+
+    search.addWidgets([connectSearchBox(noop)({})]);
+    search.start();
+
+    expect(search.createURL({ indexName: { query: 'Apple' } })).toBe(
+      'https://algolia.com'
+    );
+  });
+
+  it('returns the default URL for the main index state', () => {
+    const router = createRouter();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      initialUiState: {
+        indexName: {
+          query: 'Apple',
+        },
+      },
+      routing: {
+        router,
+      },
+    });
+
+    search.addWidgets([connectSearchBox(noop)({})]);
+    search.start();
+    search.createURL();
+
+    expect(router.createURL).toHaveBeenCalledWith({
+      indexName: {
+        query: 'Apple',
+      },
+    });
+  });
+
+  it('returns the URL for nested index states', async () => {
+    const router = createRouter();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      initialUiState: {
+        indexName: {
+          query: 'Google',
+        },
+        indexNameLvl1: {
+          query: 'Samsung',
+        },
+        indexNameLvl2: {
+          query: 'Google',
+        },
+      },
+      routing: {
+        router,
+      },
+    });
+
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      index({ indexName: 'indexNameLvl1' }).addWidgets([
+        connectSearchBox(noop)({}),
+        index({ indexName: 'indexNameLvl2' }).addWidgets([
+          connectSearchBox(noop)({}),
+          connectPagination(noop)({}),
+          createWidget({
+            render({ helper, createURL }) {
+              createURL(helper.state.setPage(3).setQuery('Apple'));
+            },
+          }),
+        ]),
+      ]),
+    ]);
+
+    search.start();
+
+    // We need to run all micro tasks for the `render` method of the last
+    // widget to be called and its `createURL` to be triggered.
+    await runAllMicroTasks();
+
+    expect(router.createURL).toHaveBeenCalledWith({
+      indexName: {
+        query: 'Google',
+      },
+      indexNameLvl1: {
+        query: 'Samsung',
+      },
+      indexNameLvl2: {
+        query: 'Apple',
+        page: 4,
+      },
+    });
+  });
+});
+
+describe('refresh', () => {
+  it('calls `clearCache` on the main Helper', () => {
+    const clearCache = jest.fn();
+    const searchClient = createSearchClient({
+      clearCache,
+    });
+
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+
+    search.start();
+
+    expect(clearCache).toHaveBeenCalledTimes(0);
+
+    search.refresh();
+
+    expect(clearCache).toHaveBeenCalledTimes(1);
+  });
+
+  it('triggers a `search` with the cache emptied', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+
+    search.start();
+
+    // it is called once with start
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+
+    search.refresh();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+  });
+
+  it('clears the cache of the v3 search client wrapped by the options', async () => {
+    const searchClient = algoliasearchV3('appId', 'apiKey');
+    // The Node.js build of the client disables the cache of the browser build.
+    searchClient._useCache = true;
+    const response = createMultiSearchResponse();
+    searchClient._request = jest.fn(() =>
+      Promise.resolve({
+        statusCode: 200,
+        body: response,
+        responseText: JSON.stringify(response),
+        headers: {},
+      })
+    );
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      abortStaleSearches: true,
+      errorHandling: { retries: 1 },
+    });
+
+    search.use(() => ({
+      onStateChange: noop,
+      subscribe: noop,
+      unsubscribe: noop,
+      onSearch: noop,
+    }));
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(searchClient._request).toHaveBeenCalledTimes(1);
+
+    search.refresh();
+
+    await runAllMicroTasks();
+
+    expect(searchClient._request).toHaveBeenCalledTimes(2);
+    expect(searchClient._ua).toContain('JS Helper');
+  });
+
+  it('clears the responses cache', () => {
+    const responsesCache = {
+      read: jest.fn(() => null),
+      write: jest.fn(),
+      clear: jest.fn(),
+    };
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      responsesCache,
+    });
+
+    search.start();
+
+    expect(responsesCache.clear).toHaveBeenCalledTimes(0);
+
+    search.refresh();
+
+    expect(responsesCache.clear).toHaveBeenCalledTimes(1);
+  });
+
+  it('only discards the cached responses of the given indices', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      responsesCache: createInMemoryResponsesCache(),
+    });
+    const nestedIndex = index({ indexName: 'nestedIndexName' });
+
+    search.addWidgets([createWidget()]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    search.addWidgets([nestedIndex]);
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+
+    search.refresh({ indexIds: ['nestedIndexName'] });
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(3);
+
+    search.removeWidgets([nestedIndex]);
+
+    await runAllMicroTasks();
+
+    // The multi-query without the nested index is still cached.
+    expect(searchClient.search).toHaveBeenCalledTimes(3);
+  });
+
+  it('clears the responses cache without `invalidate` for the given indices', () => {
+    const responsesCache = {
+      read: jest.fn(() => null),
+      write: jest.fn(),
+      clear: jest.fn(),
+    };
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      responsesCache,
+    });
+
+    search.start();
+    search.refresh({ indexIds: ['indexName'] });
+
+    expect(responsesCache.clear).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('responsesCache', () => {
+  it('resolves the searches already performed from the cache', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      responsesCache: createInMemoryResponsesCache(),
+    });
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    search.helper.setQuery('apple').search();
+
+    await runAllMicroTasks();
+
+    search.helper.setQuery('iphone').search();
+
+    await runAllMicroTasks();
+
+    search.helper.setQuery('apple').search();
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(3);
+    expect(search.mainIndex.getResults()._state.query).toBe('apple');
+  });
+
+  it('keeps the other methods of the search client', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      responsesCache: createInMemoryResponsesCache(),
+    });
+
+    search.addWidgets([createWidget()]);
+    search.start();
+
+    search.helper.searchForFacetValues('brand', 'app', 10);
+
+    expect(searchClient.searchForFacetValues).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache the failed searches', async () => {
+    const searchClient = createSearchClient({
+      search: jest.fn(() => Promise.reject(new Error('Network error'))),
+    });
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      responsesCache: createInMemoryResponsesCache(),
+    });
+
+    search.on('error', noop);
+    search.start();
+
+    await runAllMicroTasks();
+
+    search.refresh();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('use', () => {
+  it('hooks middleware into the lifecycle before the instance starts', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
     });
     const button = document.createElement('button');
     const createSearchBox = connectSearchBox(({ refine }, isFirstRender) => {
@@ -1467,54 +2192,261 @@ describe('use', () => {
 
     search.EXPERIMENTAL_use(middlewareAfterStart);
 
-    // The first middleware should still have been only called once
-    expect(middlewareBeforeStart).toHaveBeenCalledTimes(1);
-    expect(middlewareAfterStart).toHaveBeenCalledTimes(1);
-    expect(middlewareAfterStart).toHaveBeenCalledWith({
-      instantSearchInstance: search,
+    // The first middleware should still have been only called once
+    expect(middlewareBeforeStart).toHaveBeenCalledTimes(1);
+    expect(middlewareAfterStart).toHaveBeenCalledTimes(1);
+    expect(middlewareAfterStart).toHaveBeenCalledWith({
+      instantSearchInstance: search,
+    });
+
+    // The first middleware subscribe function should have been only called once
+    expect(middlewareBeforeStartSpy.subscribe).toHaveBeenCalledTimes(1);
+    expect(middlewareAfterStartSpy.subscribe).toHaveBeenCalledTimes(1);
+    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledTimes(0);
+    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledTimes(0);
+
+    button.click();
+
+    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledTimes(1);
+    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledTimes(1);
+    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledWith({
+      uiState: {
+        indexName: {
+          query: 'Trigger search',
+        },
+      },
+    });
+    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledWith({
+      uiState: {
+        indexName: {
+          query: 'Trigger search',
+        },
+      },
+    });
+
+    search.dispose();
+
+    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledTimes(2);
+    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledTimes(2);
+    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledWith({
+      uiState: {
+        indexName: {},
+      },
+    });
+    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledWith({
+      uiState: {
+        indexName: {},
+      },
+    });
+    expect(middlewareBeforeStartSpy.unsubscribe).toHaveBeenCalledTimes(1);
+    expect(middlewareAfterStartSpy.unsubscribe).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('middleware lifecycle hooks', () => {
+  const createMiddleware = (definition = {}) => () => ({
+    onStateChange: jest.fn(),
+    subscribe: jest.fn(),
+    unsubscribe: jest.fn(),
+    ...definition,
+  });
+
+  it('calls `onSearch` with the requests before searching', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const onSearch = jest.fn();
+
+    search.use(createMiddleware({ onSearch }));
+    search.start();
+
+    expect(onSearch).toHaveBeenCalledTimes(1);
+    expect(onSearch).toHaveBeenCalledWith({
+      requests: [{ indexName: 'indexName', params: expect.any(Object) }],
+      searchId: 0,
+    });
+    expect(searchClient.search).toHaveBeenCalledWith([
+      { indexName: 'indexName', params: expect.any(Object) },
+    ]);
+  });
+
+  it('calls `onSearch` of the middleware added after the start', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const onSearch = jest.fn();
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    search.use(createMiddleware({ onSearch }));
+    search.helper.setQuery('apple').search();
+
+    await runAllMicroTasks();
+
+    expect(onSearch).toHaveBeenCalledTimes(1);
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends the requests rewritten by `onSearch` in the order of the middleware', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+
+    search.use(
+      createMiddleware({
+        onSearch: ({ requests }) =>
+          requests.map(request => ({ ...request, indexName: 'rewritten' })),
+      }),
+      createMiddleware({
+        onSearch: ({ requests }) =>
+          requests.concat({ indexName: 'additional', params: {} }),
+      }),
+      createMiddleware({
+        // Not returning anything keeps the requests untouched
+        onSearch: noop,
+      })
+    );
+    search.start();
+
+    expect(searchClient.search).toHaveBeenCalledWith([
+      { indexName: 'rewritten', params: expect.any(Object) },
+      { indexName: 'additional', params: {} },
+    ]);
+  });
+
+  it('calls `onResponse` with the id of the search it settles', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const onSearch = jest.fn();
+    const onResponse = jest.fn();
+
+    search.use(createMiddleware({ onSearch, onResponse }));
+    search.start();
+    search.helper.setQuery('apple').search();
+
+    expect(onSearch.mock.calls.map(([{ searchId }]) => searchId)).toEqual([
+      0,
+      1,
+    ]);
+    expect(onResponse).toHaveBeenCalledTimes(0);
+
+    await runAllMicroTasks();
+
+    expect(onResponse).toHaveBeenCalledTimes(2);
+    expect(onResponse).toHaveBeenCalledWith({
+      searchId: 1,
+      response: await searchClient.search.mock.results[1].value,
+      error: null,
+    });
+  });
+
+  it('calls `onResponse` with the error of the search', async () => {
+    const error = new Error('Network error');
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient({
+        search: jest.fn(() => Promise.reject(error)),
+      }),
+    });
+    const onResponse = jest.fn();
+
+    search.on('error', noop);
+    search.use(createMiddleware({ onResponse }));
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(onResponse).toHaveBeenCalledWith({
+      searchId: 0,
+      response: null,
+      error,
+    });
+  });
+
+  it('calls `onResults` with the results of each index', async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      initialUiState: { indexName: { query: 'apple' } },
+    });
+    const onResults = jest.fn();
+
+    search.use(createMiddleware({ onResults }));
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      index({ indexName: 'nestedIndexName' }),
+    ]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(onResults).toHaveBeenCalledTimes(2);
+    expect(onResults).toHaveBeenCalledWith({
+      indexId: 'indexName',
+      results: search.mainIndex.getResults(),
+      uiState: { indexName: { query: 'apple' }, nestedIndexName: {} },
+    });
+    expect(onResults).toHaveBeenCalledWith({
+      indexId: 'nestedIndexName',
+      results: expect.any(algoliasearchHelper.SearchResults),
+      uiState: { indexName: { query: 'apple' }, nestedIndexName: {} },
+    });
+  });
+
+  it('calls `onError` when the search fails', async () => {
+    const error = new Error('Network error');
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient({
+        search: jest.fn(() => Promise.reject(error)),
+      }),
     });
+    const onError = jest.fn();
 
-    // The first middleware subscribe function should have been only called once
-    expect(middlewareBeforeStartSpy.subscribe).toHaveBeenCalledTimes(1);
-    expect(middlewareAfterStartSpy.subscribe).toHaveBeenCalledTimes(1);
-    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledTimes(0);
-    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledTimes(0);
+    search.on('error', noop);
+    search.use(createMiddleware({ onError }));
+    search.start();
 
-    button.click();
+    await runAllMicroTasks();
 
-    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledTimes(1);
-    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledTimes(1);
-    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledWith({
-      uiState: {
-        indexName: {
-          query: 'Trigger search',
-        },
-      },
-    });
-    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledWith({
-      uiState: {
-        indexName: {
-          query: 'Trigger search',
-        },
-      },
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith({ error });
+  });
+
+  it('calls `onRender` once the widgets are rendered', async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
     });
+    const widget = createWidget();
+    const onRender = jest.fn();
+    const onRenderEvent = jest.fn();
 
-    search.dispose();
+    search.on('render', onRenderEvent);
+    search.use(createMiddleware({ onRender }));
+    search.addWidgets([widget]);
+    search.start();
 
-    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledTimes(2);
-    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledTimes(2);
-    expect(middlewareBeforeStartSpy.onStateChange).toHaveBeenCalledWith({
-      uiState: {
-        indexName: {},
-      },
-    });
-    expect(middlewareAfterStartSpy.onStateChange).toHaveBeenCalledWith({
-      uiState: {
-        indexName: {},
-      },
-    });
-    expect(middlewareBeforeStartSpy.unsubscribe).toHaveBeenCalledTimes(1);
-    expect(middlewareAfterStartSpy.unsubscribe).toHaveBeenCalledTimes(1);
+    await runAllMicroTasks();
+
+    expect(onRender).toHaveBeenCalledTimes(1);
+    expect(widget.render.mock.invocationCallOrder[0]).toBeLessThan(
+      onRender.mock.invocationCallOrder[0]
+    );
+    expect(onRender.mock.invocationCallOrder[0]).toBeLessThan(
+      onRenderEvent.mock.invocationCallOrder[0]
+    );
   });
 });
 
@@ -1587,6 +2519,32 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsear
     });
   });
 
+  test('notifies the middleware with the next UI state', () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+    });
+    const onMiddlewareStateChange = jest.fn();
+
+    search.addWidgets([connectSearchBox(() => {})({})]);
+    search.use(() => ({
+      subscribe() {},
+      unsubscribe() {},
+      onStateChange: onMiddlewareStateChange,
+    }));
+    search.start();
+
+    search.setUiState({
+      indexName: { query: 'apple' },
+    });
+
+    expect(onMiddlewareStateChange).toHaveBeenCalledWith({
+      uiState: {
+        indexName: { query: 'apple' },
+      },
+    });
+  });
+
   test('with object form sets indices state', async () => {
     const searchClient = createSearchClient();
     const search = new InstantSearch({
@@ -2116,3 +3074,298 @@ If you're using custom widgets that do set these query parameters, we recommend
 See https://www.algolia.com/doc/guides/building-search-ui/widgets/customize-an-existing-widget/js/#customize-the-complete-ui-of-the-widgets`);
   });
 });
+
+describe('initialResults', () => {
+  const initialResults = {
+    indexName: {
+      state: { index: 'indexName', query: 'apple' },
+      results: [
+        {
+          index: 'indexName',
+          query: 'apple',
+          hits: [{ objectID: '1' }],
+          nbHits: 1,
+          page: 0,
+          nbPages: 1,
+          hitsPerPage: 20,
+        },
+      ],
+    },
+  };
+
+  it('does not search on start', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      initialResults,
+    });
+
+    search.addWidgets([createWidget()]);
+    search.start();
+
+    expect(searchClient.search).not.toHaveBeenCalled();
+  });
+
+  it('renders the widgets with the initial results', async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      initialResults,
+    });
+    const widget = createWidget();
+
+    search.addWidgets([widget]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(widget.render).toHaveBeenCalledTimes(1);
+    expect(widget.render).toHaveBeenCalledWith(
+      expect.objectContaining({
+        results: expect.objectContaining({
+          query: 'apple',
+          hits: [{ objectID: '1' }],
+        }),
+      })
+    );
+    expect(search.helper.lastResults).toBe(search.mainIndex.getResults());
+  });
+
+  it('searches on start for the indices without initial results', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      initialResults,
+    });
+    const widget = createWidget();
+
+    search.addWidgets([
+      widget,
+      index({ indexName: 'nestedIndexName' }).addWidgets([createWidget()]),
+    ]);
+    search.start();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(searchClient.search).toHaveBeenCalledWith(
+      expect.arrayContaining([
+        expect.objectContaining({ indexName: 'nestedIndexName' }),
+      ])
+    );
+
+    await runAllMicroTasks();
+
+    // The widgets of the hydrated indices render without waiting for it.
+    expect(widget.render).toHaveBeenNthCalledWith(
+      1,
+      expect.objectContaining({
+        results: expect.objectContaining({ hits: [{ objectID: '1' }] }),
+      })
+    );
+  });
+
+  it('searches on start for a restored snapshot without all the results', () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({ indexName: 'indexName', searchClient });
+
+    search.addWidgets([
+      createWidget(),
+      index({ indexName: 'nestedIndexName' }).addWidgets([createWidget()]),
+    ]);
+    search.restoreSnapshot({
+      version: 1,
+      uiState: {},
+      results: initialResults,
+    });
+    search.start();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+  });
+
+  it('searches from the network after the first render', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      initialResults,
+    });
+
+    search.addWidgets([createWidget()]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    search.helper.setQuery('iphone').search();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(search._initialResults).toBe(null);
+  });
+});
+
+describe('getSnapshot', () => {
+  it('throws if called before start', () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+    });
+
+    expect(() => search.getSnapshot()).toThrowErrorMatchingInlineSnapshot(`
+"The \`start\` method needs to be called before \`getSnapshot\`.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+  });
+
+  it('returns the UI state and the results of every index', async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      initialUiState: {
+        indexName: { query: 'apple' },
+        nestedIndexName: { query: 'iphone' },
+      },
+    });
+
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      index({ indexName: 'nestedIndexName' }).addWidgets([
+        connectSearchBox(noop)({}),
+      ]),
+    ]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    const snapshot = search.getSnapshot();
+
+    expect(snapshot).toEqual({
+      version: 1,
+      uiState: {
+        indexName: { query: 'apple' },
+        nestedIndexName: { query: 'iphone' },
+      },
+      results: {
+        indexName: {
+          state: expect.objectContaining({
+            index: 'indexName',
+            query: 'apple',
+          }),
+          results: [expect.objectContaining({ hits: [] })],
+        },
+        nestedIndexName: {
+          state: expect.objectContaining({
+            index: 'nestedIndexName',
+            query: 'iphone',
+          }),
+          results: [expect.objectContaining({ hits: [] })],
+        },
+      },
+    });
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+});
+
+describe('restoreSnapshot', () => {
+  const createSnapshotFromInstance = async () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient({
+        search: jest.fn(requests =>
+          Promise.resolve({
+            results: requests.map(({ indexName, params }) => ({
+              index: indexName,
+              query: params.query,
+              hits: [{ objectID: '1' }],
+              nbHits: 1,
+            })),
+          })
+        ),
+      }),
+      initialUiState: { indexName: { query: 'apple' } },
+    });
+
+    search.addWidgets([connectSearchBox(noop)({})]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    return search.getSnapshot();
+  };
+
+  it('throws with an unsupported version', () => {
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+    });
+
+    expect(() =>
+      search.restoreSnapshot({ version: 0, uiState: {}, results: {} })
+    ).toThrowErrorMatchingInlineSnapshot(`
+"The snapshot version \`0\` is not supported, the expected version is \`1\`.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+  });
+
+  it('restores the snapshot before start without searching', async () => {
+    const snapshot = await createSnapshotFromInstance();
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const widget = createWidget();
+
+    search.addWidgets([connectSearchBox(noop)({}), widget]);
+    search.restoreSnapshot(snapshot);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).not.toHaveBeenCalled();
+    expect(search.helper.state.query).toBe('apple');
+    expect(widget.render).toHaveBeenCalledWith(
+      expect.objectContaining({
+        results: expect.objectContaining({
+          query: 'apple',
+          hits: [{ objectID: '1' }],
+        }),
+      })
+    );
+  });
+
+  it('restores the snapshot after start without searching', async () => {
+    const snapshot = await createSnapshotFromInstance();
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+    });
+    const widget = createWidget();
+
+    search.addWidgets([connectSearchBox(noop)({}), widget]);
+    search.start();
+
+    await runAllMicroTasks();
+
+    searchClient.search.mockClear();
+    widget.render.mockClear();
+
+    search.restoreSnapshot(snapshot);
+
+    await runAllMicroTasks();
+
+    expect(searchClient.search).not.toHaveBeenCalled();
+    expect(search.helper.state.query).toBe('apple');
+    expect(widget.render).toHaveBeenCalledTimes(1);
+    expect(widget.render).toHaveBeenCalledWith(
+      expect.objectContaining({
+        results: expect.objectContaining({
+          query: 'apple',
+          hits: [{ objectID: '1' }],
+        }),
+      })
+    );
+  });
+});
@@ -2,11 +2,13 @@
 
 import qs from 'qs';
 import { createSearchClient } from '../../../test/mock/createSearchClient';
+import { createMultiSearchResponse } from '../../../test/mock/createAPIResponse';
 import { createWidget } from '../../../test/mock/createWidget';
 import { runAllMicroTasks } from '../../../test/utils/runAllMicroTasks';
 import { Router, Widget, UiState, StateMapping, RouteState } from '../../types';
 import historyRouter from '../routers/history';
 import instantsearch from '../main';
+import { warning } from '../utils';
 
 const createFakeRouter = (args: Partial<Router> = {}): Router => ({
   onUpdate(..._args) {},
@@ -662,4 +664,488 @@ describe('RoutingManager', () => {
       expect(actual).toBe('https://website.com/');
     });
   });
+
+  describe('migrations', () => {
+    beforeEach(() => {
+      warning.cache = {};
+    });
+
+    const migrations = [
+      // Version 1 moved the query from `q` to `query`.
+      (routeState: RouteState): RouteState =>
+        Object.keys(routeState).reduce<RouteState>((acc, indexId) => {
+          const indexRouteState = { ...routeState[indexId] };
+
+          if (indexRouteState.q !== undefined) {
+            indexRouteState.query = indexRouteState.q;
+            delete indexRouteState.q;
+          }
+
+          return { ...acc, [indexId]: indexRouteState };
+        }, {}),
+      // Version 2 renamed the index `products` to `indexName`.
+      ({ products, ...routeState }: RouteState): RouteState =>
+        products ? { ...routeState, indexName: products } : routeState,
+    ];
+
+    test('upgrades the route state of a previous version', async () => {
+      const router = createFakeRouter({
+        read: () => ({ products: { q: 'iphone' } }),
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router, migrations },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(search.mainIndex.getHelper()!.state.query).toBe('iphone');
+    });
+
+    test('applies the migrations from the version of the route state', async () => {
+      const router = createFakeRouter({
+        read: () => ({ products: { query: 'iphone' }, v: '1' }),
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router, migrations: [jest.fn(), migrations[1]] },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(search.mainIndex.getHelper()!.state.query).toBe('iphone');
+    });
+
+    test('writes the current version in the route state', async () => {
+      const router = createFakeRouter({
+        write: jest.fn(),
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router, migrations, versionKey: 'version' },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      search.mainIndex.getHelper()!.setQuery('iphone');
+
+      expect(router.write).toHaveBeenLastCalledWith({
+        indexName: { query: 'iphone' },
+        version: 2,
+      });
+    });
+
+    test('does not write the version in the empty route state', async () => {
+      const router = createFakeRouter({
+        write: jest.fn(),
+        createURL: jest.fn(() => '#'),
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router, migrations },
+      });
+
+      search.addWidgets([createFakeHitsPerPage()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      search.mainIndex.getHelper()!.setQuery('iphone');
+
+      expect(router.write).toHaveBeenLastCalledWith({ indexName: {} });
+
+      search.createURL({ indexName: {} });
+
+      expect(router.createURL).toHaveBeenLastCalledWith({ indexName: {} });
+    });
+
+    test('upgrades the route state on router update', async () => {
+      let onRouterUpdateCallback: (routeState: RouteState) => void;
+      const router = createFakeRouter({
+        onUpdate: fn => {
+          onRouterUpdateCallback = fn;
+        },
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router, migrations },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      onRouterUpdateCallback!({ products: { q: 'ipad' } });
+
+      expect(search.mainIndex.getHelper()!.state.query).toBe('ipad');
+
+      onRouterUpdateCallback!({ indexName: { query: 'iphone' }, v: '2' });
+
+      expect(search.mainIndex.getHelper()!.state.query).toBe('iphone');
+    });
+
+    test('does not apply the migrations to the empty route state', () => {
+      const migration = jest.fn(routeState => routeState);
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router: createFakeRouter(), migrations: [migration] },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      expect(migration).not.toHaveBeenCalled();
+    });
+
+    test('warns about the unknown keys after the migrations', () => {
+      const router = createFakeRouter({
+        read: () => ({ indexName: { query: 'iphone', brand: 'Apple' } }),
+      });
+
+      expect(() => {
+        instantsearch({
+          indexName: 'indexName',
+          searchClient: createSearchClient(),
+          routing: { router, migrations },
+        });
+      }).toWarnDev(
+        `[InstantSearch.js]: The UI state for the index "indexName" has unknown keys after the route migrations: \`brand\`.
+
+This can happen when the route was written by a previous version of the app and that no migration handles these keys. They are ignored unless custom widgets read them.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/`
+      );
+    });
+
+    test('warns about the route state of a next version', () => {
+      const router = createFakeRouter({
+        read: () => ({ indexName: { query: 'iphone' }, v: '3' }),
+      });
+
+      expect(() => {
+        instantsearch({
+          indexName: 'indexName',
+          searchClient: createSearchClient(),
+          routing: { router, migrations },
+        });
+      }).toWarnDev(
+        `[InstantSearch.js]: The route state is of version 3 while the current version is 2. It is read without migration.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/`
+      );
+    });
+  });
+
+  describe('seo', () => {
+    beforeEach(() => {
+      document.head.innerHTML = '';
+    });
+
+    test('manages the SEO tags on render', async () => {
+      const router = createFakeRouter({
+        read: () => ({ indexName: { query: 'iphone' } }),
+        createURL: routeState => `/search?${qs.stringify(routeState)}`,
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient({
+          search: jest.fn(() =>
+            Promise.resolve(createMultiSearchResponse({ page: 0, nbPages: 2 }))
+          ),
+        }),
+        routing: { router, seo: { maxIndexedRefinements: 0 } },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(
+        document.head
+          .querySelector('link[rel="canonical"]')!
+          .getAttribute('href')
+      ).toBe('/search?indexName%5Bquery%5D=iphone');
+      expect(document.head.querySelector('meta[name="robots"]')).toBeNull();
+      expect(document.head.querySelector('link[rel="prev"]')).toBeNull();
+      expect(
+        document.head.querySelector('link[rel="next"]')!.getAttribute('href')
+      ).toBe('/search?indexName%5Bquery%5D=iphone&indexName%5Bpage%5D=2');
+
+      search.dispose();
+    });
+
+    test('restores the SEO tags of the page on dispose', async () => {
+      document.head.innerHTML =
+        '<link rel="canonical" href="/"><meta name="robots" content="index, follow">';
+
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient({
+          search: jest.fn(() =>
+            Promise.resolve(createMultiSearchResponse({ page: 0, nbPages: 2 }))
+          ),
+        }),
+        routing: {
+          router: createFakeRouter({
+            read: () => ({ indexName: { query: 'iphone' } }),
+            createURL: routeState => `/search?${qs.stringify(routeState)}`,
+          }),
+          seo: { robots: () => 'noindex, follow' },
+        },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(document.head.querySelectorAll('link, meta')).toHaveLength(3);
+
+      search.dispose();
+
+      expect(document.head.innerHTML).toBe(
+        '<link rel="canonical" href="/"><meta name="robots" content="index, follow">'
+      );
+    });
+
+    test('does not manage the SEO tags without option', async () => {
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: { router: createFakeRouter() },
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(document.head.innerHTML).toBe('');
+
+      search.dispose();
+    });
+  });
+
+  describe('multiple routers', () => {
+    // The URL holds the query while the storage holds the `hitsPerPage`.
+    const urlStateMapping = createFakeStateMapping({
+      stateToRoute: uiState => ({ query: uiState.indexName.query }),
+      routeToState: routeState => ({
+        indexName: { query: routeState.query },
+      }),
+    });
+    const storageStateMapping = createFakeStateMapping({
+      stateToRoute: uiState => ({
+        hitsPerPage: uiState.indexName.hitsPerPage,
+      }),
+      routeToState: routeState => ({
+        indexName: { hitsPerPage: routeState.hitsPerPage },
+      }),
+    });
+
+    const createFakeHitsPerPageWidget = (): Widget =>
+      createWidget({
+        getWidgetSearchParameters(searchParameters, { uiState }) {
+          return searchParameters.setQueryParameter(
+            'hitsPerPage',
+            uiState.hitsPerPage
+          );
+        },
+        getWidgetUiState(uiState, { searchParameters }) {
+          return {
+            ...uiState,
+            hitsPerPage: searchParameters.hitsPerPage,
+          };
+        },
+      });
+
+    test('merges the UI states read from the routers', async () => {
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: [
+          {
+            router: createFakeRouter({ read: () => ({ query: 'iphone' }) }),
+            stateMapping: urlStateMapping,
+          },
+          {
+            router: createFakeRouter({ read: () => ({ hitsPerPage: 40 }) }),
+            stateMapping: storageStateMapping,
+          },
+        ],
+      });
+
+      search.addWidgets([createFakeSearchBox(), createFakeHitsPerPageWidget()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(search.mainIndex.getHelper()!.state.query).toBe('iphone');
+      expect(search.mainIndex.getHelper()!.state.hitsPerPage).toBe(40);
+    });
+
+    test('gives precedence to the routers listed first', () => {
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: [
+          {
+            router: createFakeRouter({
+              read: () => ({ indexName: { query: 'iphone' } }),
+            }),
+          },
+          {
+            router: createFakeRouter({
+              read: () => ({ indexName: { query: 'ipad', page: 2 } }),
+            }),
+          },
+        ],
+      });
+
+      expect(search._initialUiState).toEqual({
+        indexName: { query: 'iphone', page: 2 },
+      });
+    });
+
+    test('writes the route states in every router', async () => {
+      const urlRouter = createFakeRouter({ write: jest.fn() });
+      const storageRouter = createFakeRouter({ write: jest.fn() });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: [
+          { router: urlRouter, stateMapping: urlStateMapping },
+          { router: storageRouter, stateMapping: storageStateMapping },
+        ],
+      });
+
+      search.addWidgets([createFakeSearchBox(), createFakeHitsPerPageWidget()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      search.mainIndex.getHelper()!.setQuery('iphone');
+
+      expect(urlRouter.write).toHaveBeenCalledTimes(1);
+      expect(urlRouter.write).toHaveBeenLastCalledWith({ query: 'iphone' });
+      expect(storageRouter.write).toHaveBeenCalledTimes(1);
+      expect(storageRouter.write).toHaveBeenLastCalledWith({
+        hitsPerPage: undefined,
+      });
+
+      search.mainIndex.getHelper()!.setQueryParameter('hitsPerPage', 40);
+
+      // The route state of the URL didn't change.
+      expect(urlRouter.write).toHaveBeenCalledTimes(1);
+      expect(storageRouter.write).toHaveBeenCalledTimes(2);
+      expect(storageRouter.write).toHaveBeenLastCalledWith({ hitsPerPage: 40 });
+    });
+
+    test('keeps the UI state of the other routers on router update', async () => {
+      let onStorageUpdateCallback: (routeState: RouteState) => void;
+      const storageRouter = createFakeRouter({
+        onUpdate: fn => {
+          onStorageUpdateCallback = fn;
+        },
+      });
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: [
+          {
+            router: createFakeRouter({ read: () => ({ query: 'iphone' }) }),
+            stateMapping: urlStateMapping,
+          },
+          { router: storageRouter, stateMapping: storageStateMapping },
+        ],
+      });
+
+      search.addWidgets([createFakeSearchBox(), createFakeHitsPerPageWidget()]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      search.mainIndex.getHelper()!.setQuery('ipad');
+
+      onStorageUpdateCallback!({ hitsPerPage: 40 });
+
+      expect(search.mainIndex.getHelper()!.state.query).toBe('ipad');
+      expect(search.mainIndex.getHelper()!.state.hitsPerPage).toBe(40);
+    });
+
+    test('creates the URLs with the first router', () => {
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: [
+          {
+            router: createFakeRouter({
+              createURL: routeState => `/search?${qs.stringify(routeState)}`,
+            }),
+            stateMapping: urlStateMapping,
+          },
+          {
+            router: createFakeRouter({ createURL: () => '#' }),
+            stateMapping: storageStateMapping,
+          },
+        ],
+      });
+
+      search.addWidgets([createFakeSearchBox()]);
+      search.start();
+
+      expect(search.createURL({ indexName: { query: 'iphone' } })).toBe(
+        '/search?query=iphone'
+      );
+    });
+
+    test('disposes every router', () => {
+      const routers = [
+        createFakeRouter({ dispose: jest.fn() }),
+        createFakeRouter({ dispose: jest.fn() }),
+      ];
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient: createSearchClient(),
+        routing: routers.map(router => ({ router })),
+      });
+
+      search.start();
+      search.dispose();
+
+      expect(routers[0].dispose).toHaveBeenCalledTimes(1);
+      expect(routers[1].dispose).toHaveBeenCalledTimes(1);
+    });
+
+    test('throws without router', () => {
+      expect(() =>
+        instantsearch({
+          indexName: 'indexName',
+          searchClient: createSearchClient(),
+          routing: [],
+        })
+      ).toThrowErrorMatchingInlineSnapshot(`
+"The routing expects at least one router.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+    });
+  });
 });
@@ -0,0 +1,124 @@
+import createAbortableSearchClient from '../createAbortableSearchClient';
+import { createControlledSearchClient } from '../../../test/mock/createSearchClient';
+import { runAllMicroTasks } from '../../../test/utils/runAllMicroTasks';
+
+describe('createAbortableSearchClient', () => {
+  const requests = [{ indexName: 'indexName', params: {} }];
+
+  it('forwards the searches to the search client', async () => {
+    const { searchClient, searches } = createControlledSearchClient();
+    const client = createAbortableSearchClient(searchClient, {
+      abortStaleSearches: false,
+      onPendingRequestsChange: jest.fn(),
+    });
+    const onResponse = jest.fn();
+
+    client.search(requests).then(onResponse);
+    searches[0].resolver();
+    await runAllMicroTasks();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(searchClient.search).toHaveBeenCalledWith(requests);
+    expect(onResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports the number of pending requests', async () => {
+    const { searchClient, searches } = createControlledSearchClient();
+    const onPendingRequestsChange = jest.fn();
+    const client = createAbortableSearchClient(searchClient, {
+      abortStaleSearches: false,
+      onPendingRequestsChange,
+    });
+
+    client.search(requests);
+    client.search(requests);
+
+    expect(onPendingRequestsChange).toHaveBeenLastCalledWith(2);
+
+    searches[1].resolver();
+    await runAllMicroTasks();
+
+    expect(onPendingRequestsChange).toHaveBeenLastCalledWith(1);
+
+    searches[0].resolver();
+    await runAllMicroTasks();
+
+    expect(onPendingRequestsChange).toHaveBeenLastCalledWith(0);
+  });
+
+  it('keeps the other methods of the search client', () => {
+    const { searchClient } = createControlledSearchClient();
+    const client = createAbortableSearchClient(searchClient, {
+      abortStaleSearches: false,
+      onPendingRequestsChange: jest.fn(),
+    });
+
+    client.searchForFacetValues([]);
+
+    expect(searchClient.searchForFacetValues).toHaveBeenCalledTimes(1);
+  });
+
+  describe('with abortStaleSearches', () => {
+    it('passes an AbortSignal to the search client', () => {
+      const { searchClient } = createControlledSearchClient();
+      const client = createAbortableSearchClient(searchClient, {
+        abortStaleSearches: true,
+        onPendingRequestsChange: jest.fn(),
+      });
+
+      client.search(requests, { headers: { 'X-Custom': 'value' } });
+
+      expect(searchClient.search).toHaveBeenCalledWith(requests, {
+        headers: { 'X-Custom': 'value' },
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    it('aborts the pending searches when a new one is sent', () => {
+      const { searchClient } = createControlledSearchClient();
+      const client = createAbortableSearchClient(searchClient, {
+        abortStaleSearches: true,
+        onPendingRequestsChange: jest.fn(),
+      });
+
+      client.search(requests);
+      client.search(requests);
+
+      const [
+        [, firstOptions],
+        [, secondOptions],
+      ] = (searchClient.search as jest.Mock).mock.calls;
+
+      expect(firstOptions.signal.aborted).toBe(true);
+      expect(secondOptions.signal.aborted).toBe(false);
+    });
+
+    it('ignores the responses of the stale searches', async () => {
+      const { searchClient, searches } = createControlledSearchClient();
+      const onPendingRequestsChange = jest.fn();
+      const client = createAbortableSearchClient(searchClient, {
+        abortStaleSearches: true,
+        onPendingRequestsChange,
+      });
+      const onStaleResponse = jest.fn();
+      const onResponse = jest.fn();
+
+      client.search(requests).then(onStaleResponse, onStaleResponse);
+      client.search(requests).then(onResponse);
+
+      expect(onPendingRequestsChange).toHaveBeenLastCalledWith(1);
+
+      searches[0].resolver();
+      await runAllMicroTasks();
+
+      expect(onStaleResponse).not.toHaveBeenCalled();
+      expect(onPendingRequestsChange).toHaveBeenLastCalledWith(1);
+
+      searches[1].resolver();
+      await runAllMicroTasks();
+
+      expect(onResponse).toHaveBeenCalledTimes(1);
+      expect(onPendingRequestsChange).toHaveBeenLastCalledWith(0);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import createPerformanceMonitor from '../createPerformanceMonitor';
+import { createWidget } from '../../../test/mock/createWidget';
+import { noop } from '../utils';
+
+describe('createPerformanceMonitor', () => {
+  let time: number;
+
+  beforeEach(() => {
+    time = 0;
+    jest.spyOn(performance, 'now').mockImplementation(() => time);
+    (performance as any).mark = jest.fn();
+    (performance as any).measure = jest.fn();
+    (performance as any).clearMarks = jest.fn();
+    (performance as any).clearMeasures = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete (performance as any).mark;
+    delete (performance as any).measure;
+    delete (performance as any).clearMarks;
+    delete (performance as any).clearMeasures;
+  });
+
+  it('summarizes the search and render durations', () => {
+    const monitor = createPerformanceMonitor();
+    const endSearch = monitor.startSearch();
+
+    time = 100;
+    endSearch();
+    time = 105;
+
+    const metrics = monitor.measureRender(() => {
+      monitor.measureWidgetRender(
+        createWidget({ $$type: 'ais.hits' }),
+        'indexName',
+        () => {
+          time += 10;
+        }
+      );
+      monitor.measureWidgetRender(
+        createWidget({ $$type: 'ais.searchBox' }),
+        'indexName',
+        () => {
+          time += 5;
+        }
+      );
+    });
+
+    expect(metrics).toEqual({
+      searchDuration: 100,
+      resultsDuration: 5,
+      renderDuration: 15,
+      widgets: [
+        { indexId: 'indexName', $$type: 'ais.hits', duration: 10 },
+        { indexId: 'indexName', $$type: 'ais.searchBox', duration: 5 },
+      ],
+    });
+  });
+
+  it('reports the search durations only with the first render', () => {
+    const monitor = createPerformanceMonitor();
+
+    monitor.startSearch()();
+    monitor.measureRender(noop);
+
+    expect(monitor.measureRender(noop)).toEqual({
+      searchDuration: null,
+      resultsDuration: null,
+      renderDuration: 0,
+      widgets: [],
+    });
+  });
+
+  it('does not report the index widgets', () => {
+    const monitor = createPerformanceMonitor();
+    const render = jest.fn();
+
+    const metrics = monitor.measureRender(() => {
+      monitor.measureWidgetRender(
+        createWidget({ $$type: 'ais.index' }),
+        'indexName',
+        render
+      );
+    });
+
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(metrics.widgets).toEqual([]);
+  });
+
+  it('records the User Timing entries', () => {
+    const monitor = createPerformanceMonitor();
+
+    monitor.startSearch()();
+    monitor.measureRender(() => {
+      monitor.measureWidgetRender(
+        createWidget({ $$type: 'ais.hits' }),
+        'indexName',
+        noop
+      );
+    });
+
+    expect((performance.mark as jest.Mock).mock.calls).toEqual([
+      ['ais:search:0:start'],
+      ['ais:search:0:end'],
+      ['ais:results:0:start'],
+      ['ais:results:0:end'],
+      ['ais:render:start'],
+      ['ais:render:indexName:ais.hits:start'],
+      ['ais:render:indexName:ais.hits:end'],
+      ['ais:render:end'],
+    ]);
+    expect((performance.measure as jest.Mock).mock.calls).toEqual([
+      ['ais:search', 'ais:search:0:start', 'ais:search:0:end'],
+      ['ais:results', 'ais:results:0:start', 'ais:results:0:end'],
+      [
+        'ais:render:indexName:ais.hits',
+        'ais:render:indexName:ais.hits:start',
+        'ais:render:indexName:ais.hits:end',
+      ],
+      ['ais:render', 'ais:render:start', 'ais:render:end'],
+    ]);
+  });
+
+  it('clears the User Timing marks once measured', () => {
+    const monitor = createPerformanceMonitor();
+
+    monitor.startSearch()();
+    monitor.measureRender(() => {
+      monitor.measureWidgetRender(
+        createWidget({ $$type: 'ais.hits' }),
+        'indexName',
+        noop
+      );
+    });
+
+    expect((performance.clearMarks as jest.Mock).mock.calls).toEqual([
+      ['ais:search:0:start'],
+      ['ais:search:0:end'],
+      ['ais:results:0:start'],
+      ['ais:results:0:end'],
+      ['ais:render:indexName:ais.hits:start'],
+      ['ais:render:indexName:ais.hits:end'],
+      ['ais:render:start'],
+      ['ais:render:end'],
+    ]);
+    // The measures are kept for the tools reading the performance timeline.
+    expect(performance.clearMeasures).not.toHaveBeenCalled();
+  });
+
+  it('does not throw when the start mark was cleared', () => {
+    (performance.measure as jest.Mock).mockImplementation(() => {
+      throw new SyntaxError("The mark 'ais:render:start' does not exist.");
+    });
+
+    const monitor = createPerformanceMonitor();
+    const render = jest.fn();
+
+    expect(() => monitor.measureRender(render)).not.toThrow();
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(performance.clearMarks).toHaveBeenCalledWith('ais:render:end');
+  });
+
+  it('measures the overlapping searches against their own marks', () => {
+    const monitor = createPerformanceMonitor();
+    const endFirstSearch = monitor.startSearch();
+
+    time = 10;
+    const endSecondSearch = monitor.startSearch();
+
+    time = 30;
+    endSecondSearch();
+    endFirstSearch();
+
+    expect((performance.measure as jest.Mock).mock.calls).toEqual([
+      ['ais:search', 'ais:search:1:start', 'ais:search:1:end'],
+    ]);
+    // The first search is superseded by the second one.
+    expect(performance.clearMarks).toHaveBeenCalledWith('ais:search:0:start');
+    expect(monitor.measureRender(noop)).toEqual(
+      expect.objectContaining({ searchDuration: 20 })
+    );
+  });
+
+  it('clears the results mark of a response that was not rendered', () => {
+    const monitor = createPerformanceMonitor();
+
+    monitor.startSearch()();
+    monitor.startSearch()();
+    monitor.measureRender(noop);
+
+    expect(performance.clearMarks).toHaveBeenCalledWith('ais:results:0:start');
+    expect(performance.measure).toHaveBeenCalledWith(
+      'ais:results',
+      'ais:results:1:start',
+      'ais:results:1:end'
+    );
+    expect(performance.measure).not.toHaveBeenCalledWith(
+      'ais:results',
+      'ais:results:0:start',
+      expect.anything()
+    );
+  });
+
+  it('computes the durations without the User Timing API', () => {
+    delete (performance as any).mark;
+    delete (performance as any).measure;
+    delete (performance as any).clearMarks;
+    delete (performance as any).clearMeasures;
+
+    const monitor = createPerformanceMonitor();
+    const endSearch = monitor.startSearch();
+
+    time = 50;
+    endSearch();
+
+    expect(monitor.measureRender(noop)).toEqual(
+      expect.objectContaining({ searchDuration: 50, resultsDuration: 0 })
+    );
+  });
+});
@@ -0,0 +1,173 @@
+import createRetrySearchClient from '../createRetrySearchClient';
+import { createSearchClient } from '../../../test/mock/createSearchClient';
+import { createMultiSearchResponse } from '../../../test/mock/createAPIResponse';
+import { MultiResponse } from '../../types';
+
+describe('createRetrySearchClient', () => {
+  const requests = [{ indexName: 'indexName', params: {} }];
+  const response = createMultiSearchResponse();
+
+  const createFailingSearchClient = (failures: number) => {
+    let calls = 0;
+
+    return createSearchClient({
+      search: jest.fn(() => {
+        calls++;
+
+        return calls <= failures
+          ? Promise.reject<MultiResponse>(new Error(`Failure ${calls}`))
+          : Promise.resolve(response);
+      }),
+    });
+  };
+
+  it('does not retry by default', async () => {
+    const searchClient = createFailingSearchClient(1);
+    const client = createRetrySearchClient(searchClient, {});
+
+    await expect(client.search(requests)).rejects.toThrow('Failure 1');
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries the failed searches', async () => {
+    const searchClient = createFailingSearchClient(2);
+    const client = createRetrySearchClient(searchClient, {
+      retries: 2,
+      retryDelay: 0,
+    });
+
+    await expect(client.search(requests)).resolves.toBe(response);
+    expect(searchClient.search).toHaveBeenCalledTimes(3);
+  });
+
+  it('rejects with the last error once the retries are exhausted', async () => {
+    const searchClient = createFailingSearchClient(3);
+    const client = createRetrySearchClient(searchClient, {
+      retries: 2,
+      retryDelay: 0,
+    });
+
+    await expect(client.search(requests)).rejects.toThrow('Failure 3');
+    expect(searchClient.search).toHaveBeenCalledTimes(3);
+  });
+
+  it('waits with an exponential backoff between the retries', async () => {
+    jest.useFakeTimers();
+
+    const searchClient = createFailingSearchClient(2);
+    const client = createRetrySearchClient(searchClient, {
+      retries: 2,
+      retryDelay: 100,
+    });
+    const flushPromises = async () => {
+      for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+      }
+    };
+
+    const promise = client.search(requests);
+    await flushPromises();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(100);
+    await flushPromises();
+
+    expect(searchClient.search).toHaveBeenCalledTimes(3);
+    await expect(promise).resolves.toBe(response);
+
+    jest.useRealTimers();
+  });
+
+  it('uses the fallback search client after the retries', async () => {
+    const searchClient = createFailingSearchClient(2);
+    const fallbackSearchClient = createSearchClient();
+    const client = createRetrySearchClient(searchClient, {
+      retries: 1,
+      retryDelay: 0,
+      fallbackSearchClient,
+    });
+
+    await client.search(requests);
+
+    expect(searchClient.search).toHaveBeenCalledTimes(2);
+    expect(fallbackSearchClient.search).toHaveBeenCalledTimes(1);
+    expect(fallbackSearchClient.search).toHaveBeenCalledWith(requests);
+  });
+
+  it('does not retry the aborted searches', async () => {
+    const searchClient = createFailingSearchClient(1);
+    const fallbackSearchClient = createSearchClient();
+    const client = createRetrySearchClient(searchClient, {
+      retries: 2,
+      retryDelay: 0,
+      fallbackSearchClient,
+    });
+    const controller = new AbortController();
+
+    controller.abort();
+
+    await expect(
+      client.search(requests, { signal: controller.signal } as any)
+    ).rejects.toThrow('Failure 1');
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(fallbackSearchClient.search).not.toHaveBeenCalled();
+  });
+
+  it('does not retry the searches aborted during the delay', async () => {
+    const searchClient = createFailingSearchClient(1);
+    const client = createRetrySearchClient(searchClient, {
+      retries: 2,
+      retryDelay: 10,
+    });
+    const controller = new AbortController();
+
+    const promise = client.search(requests, {
+      signal: controller.signal,
+    } as any);
+
+    controller.abort();
+
+    await expect(promise).rejects.toThrow('Failure 1');
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels the retries waiting for their delay', async () => {
+    jest.useFakeTimers();
+
+    const searchClient = createFailingSearchClient(1);
+    const client = createRetrySearchClient(searchClient, {
+      retries: 1,
+      retryDelay: 100,
+    });
+    const onSettled = jest.fn();
+
+    client.search(requests).then(onSettled, onSettled);
+
+    for (let i = 0; i < 5; i++) {
+      await Promise.resolve();
+    }
+
+    client.cancelRetries();
+    jest.runAllTimers();
+
+    for (let i = 0; i < 5; i++) {
+      await Promise.resolve();
+    }
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(onSettled).not.toHaveBeenCalled();
+
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,132 @@
+import InstantSearch from '../InstantSearch';
+import getServerState from '../getServerState';
+import index from '../../widgets/index/index';
+import memory from '../routers/memory';
+import { MultiResponse } from '../../types';
+import { createSearchClient } from '../../../test/mock/createSearchClient';
+import {
+  createMultiSearchResponse,
+  createSingleSearchResponse,
+} from '../../../test/mock/createAPIResponse';
+import { createWidget } from '../../../test/mock/createWidget';
+
+describe('getServerState', () => {
+  it('searches for every index in a single request', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      initialUiState: {
+        indexName: { query: 'apple' },
+        nestedIndexId: { page: 2 },
+      },
+    });
+
+    search.addWidgets([
+      createWidget({
+        getWidgetSearchParameters(state, { uiState }) {
+          return state.setQueryParameters({
+            query: uiState.query,
+            page: uiState.page,
+          });
+        },
+      }),
+      index({
+        indexName: 'nestedIndexName',
+        indexId: 'nestedIndexId',
+      }).addWidgets([
+        createWidget({
+          getWidgetSearchParameters(state, { uiState }) {
+            return state.setQueryParameters({ page: uiState.page });
+          },
+        }),
+      ]),
+    ]);
+
+    await getServerState(search);
+
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+    expect(searchClient.search).toHaveBeenCalledWith([
+      {
+        indexName: 'indexName',
+        params: expect.objectContaining({ query: 'apple' }),
+      },
+      {
+        indexName: 'nestedIndexName',
+        params: expect.objectContaining({ query: 'apple', page: 2 }),
+      },
+    ]);
+  });
+
+  it('searches with the UI state of the route', async () => {
+    const searchClient = createSearchClient();
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient,
+      initialUiState: { indexName: { query: 'apple' } },
+      routing: {
+        router: memory({ initialRoute: { indexName: { query: 'iphone' } } }),
+      },
+    });
+
+    search.addWidgets([
+      createWidget({
+        getWidgetSearchParameters(state, { uiState }) {
+          return state.setQueryParameter('query', uiState.query);
+        },
+      }),
+    ]);
+
+    await getServerState(search);
+
+    expect(searchClient.search).toHaveBeenCalledWith([
+      {
+        indexName: 'indexName',
+        params: expect.objectContaining({ query: 'iphone' }),
+      },
+    ]);
+  });
+
+  it('resolves with serializable results keyed by index id', async () => {
+    const searchClient = createSearchClient({
+      search: jest.fn(() =>
+        Promise.resolve(
+          createMultiSearchResponse(
+            createSingleSearchResponse({ index: 'indexName', nbHits: 10 }),
+            createSingleSearchResponse({ index: 'nestedIndexName', nbHits: 5 })
+          )
+        )
+      ),
+    });
+    const search = new InstantSearch({ indexName: 'indexName', searchClient });
+
+    search.addWidgets([
+      index({ indexName: 'nestedIndexName', indexId: 'nestedIndexId' }),
+    ]);
+
+    const initialResults = await getServerState(search);
+
+    expect(JSON.parse(JSON.stringify(initialResults))).toEqual(initialResults);
+    expect(initialResults).toEqual({
+      indexName: {
+        state: expect.objectContaining({ index: 'indexName' }),
+        results: [expect.objectContaining({ nbHits: 10 })],
+      },
+      nestedIndexId: {
+        state: expect.objectContaining({ index: 'nestedIndexName' }),
+        results: [expect.objectContaining({ nbHits: 5 })],
+      },
+    });
+  });
+
+  it('rejects when the search fails', async () => {
+    const searchClient = createSearchClient({
+      search: jest.fn(() =>
+        Promise.reject<MultiResponse>(new Error('Network error'))
+      ),
+    });
+    const search = new InstantSearch({ indexName: 'indexName', searchClient });
+
+    await expect(getServerState(search)).rejects.toThrow('Network error');
+  });
+});
@@ -0,0 +1,244 @@
+import { SearchResults, SearchParameters } from 'algoliasearch-helper';
+import {
+  getSeoMetadata,
+  createSeoMetadataWriter,
+  getRefinementsCount,
+} from '../seoMetadata';
+import { UiState } from '../../types';
+
+const createURL = (uiState: UiState) => `/search?${JSON.stringify(uiState)}`;
+
+const createResults = ({ page, nbPages }: { page: number; nbPages: number }) =>
+  new SearchResults(new SearchParameters({ index: 'indexName' }), [
+    {
+      hits: [],
+      nbHits: nbPages * 20,
+      page,
+      nbPages,
+      hitsPerPage: 20,
+      processingTimeMS: 0,
+      exhaustiveNbHits: true,
+      query: '',
+      params: '',
+    },
+  ]);
+
+describe('getRefinementsCount', () => {
+  it('counts the refinements of every index', () => {
+    expect(
+      getRefinementsCount({
+        indexName: {
+          query: 'iphone',
+          page: 2,
+          refinementList: { brand: ['Apple', 'Samsung'], color: [] },
+          menu: { category: 'Phones' },
+          range: { price: '10:100' },
+          toggle: { free_shipping: true },
+        },
+        otherIndex: {
+          hierarchicalMenu: { categories: ['Phones', 'Phones > iPhone'] },
+        },
+      })
+    ).toBe(6);
+    expect(getRefinementsCount({ indexName: { query: 'iphone' } })).toBe(0);
+  });
+});
+
+describe('getSeoMetadata', () => {
+  it('returns the URL of the UI state as canonical URL', () => {
+    const uiState = { indexName: { query: 'iphone' } };
+
+    expect(
+      getSeoMetadata(
+        { paginationLinks: false },
+        { uiState, indexId: 'indexName', results: null, createURL }
+      )
+    ).toEqual({ canonical: createURL(uiState) });
+  });
+
+  it('returns the canonical URL of the option', () => {
+    const canonical = jest.fn(() => 'https://example.org/search');
+    const uiState = { indexName: { query: 'iphone' } };
+
+    expect(
+      getSeoMetadata(
+        { canonical },
+        { uiState, indexId: 'indexName', results: null, createURL }
+      )
+    ).toEqual({ canonical: 'https://example.org/search' });
+    expect(canonical).toHaveBeenCalledWith({ uiState, createURL });
+
+    expect(
+      getSeoMetadata(
+        { canonical: false },
+        { uiState, indexId: 'indexName', results: null, createURL }
+      )
+    ).toEqual({});
+  });
+
+  it('does not index the pages with too many refinements', () => {
+    const getRobots = (uiState: UiState) =>
+      getSeoMetadata(
+        { canonical: false, maxIndexedRefinements: 1 },
+        { uiState, indexId: 'indexName', results: null, createURL }
+      ).robots;
+
+    expect(getRobots({ indexName: { menu: { category: 'Phones' } } })).toBe(
+      null
+    );
+    expect(
+      getRobots({
+        indexName: {
+          menu: { category: 'Phones' },
+          refinementList: { brand: ['Apple'] },
+        },
+      })
+    ).toBe('noindex, follow');
+  });
+
+  it('returns the robots of the option', () => {
+    const robots = jest.fn(({ refinementsCount }) =>
+      refinementsCount > 0 ? 'noindex' : 'index, follow'
+    );
+    const uiState = { indexName: { refinementList: { brand: ['Apple'] } } };
+
+    expect(
+      getSeoMetadata(
+        { canonical: false, robots, maxIndexedRefinements: 10 },
+        { uiState, indexId: 'indexName', results: null, createURL }
+      )
+    ).toEqual({ robots: 'noindex' });
+    expect(robots).toHaveBeenCalledWith({ uiState, refinementsCount: 1 });
+  });
+
+  it('returns the pagination links', () => {
+    const getLinks = (uiState: UiState, results: SearchResults) => {
+      const { prev, next } = getSeoMetadata(
+        { canonical: false },
+        { uiState, indexId: 'indexName', results, createURL }
+      );
+
+      return { prev, next };
+    };
+
+    expect(
+      getLinks(
+        { indexName: { query: 'a' } },
+        createResults({ page: 0, nbPages: 3 })
+      )
+    ).toEqual({
+      prev: null,
+      next: createURL({ indexName: { query: 'a', page: 2 } }),
+    });
+    expect(
+      getLinks(
+        { indexName: { query: 'a', page: 2 } },
+        createResults({ page: 1, nbPages: 3 })
+      )
+    ).toEqual({
+      prev: createURL({ indexName: { query: 'a' } }),
+      next: createURL({ indexName: { query: 'a', page: 3 } }),
+    });
+    expect(
+      getLinks(
+        { indexName: { query: 'a', page: 3 } },
+        createResults({ page: 2, nbPages: 3 })
+      )
+    ).toEqual({
+      prev: createURL({ indexName: { query: 'a', page: 2 } }),
+      next: null,
+    });
+  });
+
+  it('does not return the pagination links without results', () => {
+    expect(
+      getSeoMetadata(
+        { canonical: false },
+        { uiState: {}, indexId: 'indexName', results: null, createURL }
+      )
+    ).toEqual({});
+  });
+});
+
+describe('createSeoMetadataWriter', () => {
+  beforeEach(() => {
+    document.head.innerHTML = '';
+  });
+
+  it('creates and updates the tags', () => {
+    const { write } = createSeoMetadataWriter();
+
+    write({
+      canonical: '/search?query=iphone',
+      robots: 'noindex, follow',
+      prev: null,
+      next: '/search?query=iphone&page=2',
+    });
+
+    expect(document.head.innerHTML).toMatchInlineSnapshot(
+      `"<link rel=\\"canonical\\" href=\\"/search?query=iphone\\"><meta name=\\"robots\\" content=\\"noindex, follow\\"><link rel=\\"next\\" href=\\"/search?query=iphone&amp;page=2\\">"`
+    );
+
+    write({
+      canonical: '/search?query=ipad',
+      robots: null,
+      prev: '/search?query=ipad',
+      next: null,
+    });
+
+    expect(document.head.innerHTML).toMatchInlineSnapshot(
+      `"<link rel=\\"canonical\\" href=\\"/search?query=ipad\\"><link rel=\\"prev\\" href=\\"/search?query=ipad\\">"`
+    );
+  });
+
+  it('leaves the tags without value untouched', () => {
+    const { write } = createSeoMetadataWriter();
+
+    document.head.innerHTML = '<meta name="robots" content="index">';
+
+    write({ canonical: '/search' });
+
+    expect(document.head.innerHTML).toMatchInlineSnapshot(
+      `"<meta name=\\"robots\\" content=\\"index\\"><link rel=\\"canonical\\" href=\\"/search\\">"`
+    );
+  });
+
+  it('restores the tags of the page instead of removing them', () => {
+    const { write } = createSeoMetadataWriter();
+
+    document.head.innerHTML =
+      '<meta name="robots" content="index, follow"><link rel="canonical" href="/">';
+
+    write({ canonical: '/search', robots: 'noindex, follow' });
+    write({ canonical: '/search?query=ipad', robots: 'noindex' });
+
+    expect(document.head.innerHTML).toMatchInlineSnapshot(
+      `"<meta name=\\"robots\\" content=\\"noindex\\"><link rel=\\"canonical\\" href=\\"/search?query=ipad\\">"`
+    );
+
+    write({ canonical: null, robots: null });
+
+    expect(document.head.innerHTML).toMatchInlineSnapshot(
+      `"<meta name=\\"robots\\" content=\\"index, follow\\"><link rel=\\"canonical\\" href=\\"/\\">"`
+    );
+  });
+
+  it('restores the tags that it wrote', () => {
+    const writer = createSeoMetadataWriter();
+    const otherWriter = createSeoMetadataWriter();
+
+    document.head.innerHTML = '<meta name="robots" content="index, follow">';
+
+    writer.write({
+      canonical: '/search',
+      robots: 'noindex, follow',
+      next: '/search?page=2',
+    });
+    otherWriter.write({ prev: '/' });
+    writer.restore();
+
+    expect(document.head.innerHTML).toMatchInlineSnapshot(
+      `"<meta name=\\"robots\\" content=\\"index, follow\\"><link rel=\\"prev\\" href=\\"/\\">"`
+    );
+  });
+});
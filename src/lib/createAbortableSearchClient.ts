@@ -0,0 +1,99 @@
+import { SearchClient } from '../types';
+import { wrapSearchClient } from './utils';
+
+type AbortableSearchClientOptions = {
+  /**
+   * Aborts the in-flight searches when a new one is sent. Their responses
+   * are ignored even if the search client does not support cancellation.
+   */
+  abortStaleSearches: boolean;
+  /**
+   * Called with the number of in-flight searches each time it changes.
+   */
+  onPendingRequestsChange(pendingRequests: number): void;
+};
+
+type PendingRequest = {
+  abort(): void;
+};
+
+function createAbortController(): AbortController | null {
+  return typeof AbortController === 'undefined' ? null : new AbortController();
+}
+
+/**
+ * Creates a search client that keeps track of the in-flight searches. With
+ * `abortStaleSearches`, the searches superseded by a new one are aborted: the
+ * `AbortSignal` is forwarded to `searchClient.search` with the request options,
+ * and their promise never settles so that they are not dispatched to the Helper.
+ */
+export default function createAbortableSearchClient(
+  searchClient: SearchClient,
+  { abortStaleSearches, onPendingRequestsChange }: AbortableSearchClientOptions
+): SearchClient {
+  let pendingRequests: PendingRequest[] = [];
+
+  const removePendingRequest = (pendingRequest: PendingRequest) => {
+    const previousLength = pendingRequests.length;
+
+    pendingRequests = pendingRequests.filter(_ => _ !== pendingRequest);
+
+    if (pendingRequests.length !== previousLength) {
+      onPendingRequestsChange(pendingRequests.length);
+    }
+  };
+
+  return wrapSearchClient(searchClient, (requests, ...args) => {
+    if (abortStaleSearches) {
+      pendingRequests.forEach(pendingRequest => pendingRequest.abort());
+    }
+
+    const controller = abortStaleSearches ? createAbortController() : null;
+    let isStale = false;
+
+    const pendingRequest: PendingRequest = {
+      abort() {
+        isStale = true;
+        removePendingRequest(pendingRequest);
+
+        if (controller) {
+          controller.abort();
+        }
+      },
+    };
+
+    pendingRequests = pendingRequests.concat(pendingRequest);
+    onPendingRequestsChange(pendingRequests.length);
+
+    let response: PromiseLike<any>;
+
+    try {
+      response = controller
+        ? searchClient.search(requests, {
+            ...args[0],
+            signal: controller.signal,
+          })
+        : searchClient.search(requests, ...args);
+    } catch (error) {
+      removePendingRequest(pendingRequest);
+      throw error;
+    }
+
+    return new Promise((resolve, reject) => {
+      response.then(
+        content => {
+          if (!isStale) {
+            removePendingRequest(pendingRequest);
+            resolve(content);
+          }
+        },
+        error => {
+          if (!isStale) {
+            removePendingRequest(pendingRequest);
+            reject(error);
+          }
+        }
+      );
+    });
+  });
+}
@@ -0,0 +1,216 @@
+import { Widget } from '../types';
+
+export type WidgetRenderMetrics = {
+  indexId: string;
+  $$type: Widget['$$type'];
+  /**
+   * Time spent in the `render` method of the widget, in milliseconds.
+   */
+  duration: number;
+};
+
+export type PerformanceMetrics = {
+  /**
+   * Time between the search being sent and its response, in milliseconds.
+   * It's `null` when the render isn't the first one following a response,
+   * e.g. for a stalled render.
+   */
+  searchDuration: number | null;
+  /**
+   * Time between the response and the start of the render, in milliseconds.
+   * It covers the processing of the response by the Helper.
+   */
+  resultsDuration: number | null;
+  /**
+   * Time spent to render the whole tree, in milliseconds.
+   */
+  renderDuration: number;
+  /**
+   * The render durations of the widgets, in render order. The `index` widgets
+   * are not part of them: their own widgets are listed instead.
+   */
+  widgets: WidgetRenderMetrics[];
+};
+
+export type PerformanceMonitor = {
+  /**
+   * Marks the start of a search and returns the function to call when its
+   * response arrives.
+   */
+  startSearch(): () => void;
+  measureRender(render: () => void): PerformanceMetrics;
+  measureWidgetRender(
+    widget: Widget,
+    indexId: string,
+    render: () => void
+  ): void;
+};
+
+function now(): number {
+  return typeof performance !== 'undefined' &&
+    typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now();
+}
+
+// The User Timing API is not available in every environment (e.g. older
+// browsers or Node.js), the durations are still computed without it.
+function hasUserTiming(): boolean {
+  return (
+    typeof performance !== 'undefined' &&
+    typeof performance.mark === 'function' &&
+    typeof performance.measure === 'function' &&
+    typeof performance.clearMarks === 'function'
+  );
+}
+
+function startMeasure(markName: string): void {
+  if (hasUserTiming()) {
+    performance.mark(`${markName}:start`);
+  }
+}
+
+function clearMeasure(markName: string): void {
+  if (hasUserTiming()) {
+    performance.clearMarks(`${markName}:start`);
+  }
+}
+
+/**
+ * Records the `measureName` entry between the marks of `markName`. The measures
+ * are kept for the tools reading the performance timeline (e.g. the devtools),
+ * only the marks are cleared since their names are specific to each search.
+ */
+function endMeasure(measureName: string, markName: string = measureName): void {
+  if (hasUserTiming()) {
+    const startMark = `${markName}:start`;
+    const endMark = `${markName}:end`;
+
+    performance.mark(endMark);
+
+    try {
+      performance.measure(measureName, startMark, endMark);
+    } catch (error) {
+      // The start mark can be cleared by the application (e.g. with
+      // `performance.clearMarks()`), which must not break the render.
+    }
+
+    performance.clearMarks(startMark);
+    performance.clearMarks(endMark);
+  }
+}
+
+function measureCallback(name: string, callback: () => void): void {
+  startMeasure(name);
+
+  try {
+    callback();
+  } finally {
+    endMeasure(name);
+  }
+}
+
+/**
+ * Creates the monitor that records the User Timing entries of the search and
+ * render phases (`ais:search`, `ais:results`, `ais:render` and
+ * `ais:render:<indexId>:<$$type>`) and summarizes them for each render.
+ *
+ * The searches can overlap, their marks are suffixed with the id of the
+ * search (e.g. `ais:search:3:start`).
+ */
+export default function createPerformanceMonitor(): PerformanceMonitor {
+  let nextSearchId = 0;
+  let pendingSearchIds: number[] = [];
+  let resultsMarkName: string | null = null;
+  let searchDuration: number | null = null;
+  let responseTime: number | null = null;
+  let widgets: WidgetRenderMetrics[] = [];
+
+  return {
+    startSearch() {
+      const searchId = nextSearchId++;
+      const startTime = now();
+
+      pendingSearchIds.push(searchId);
+      startMeasure(`ais:search:${searchId}`);
+
+      return () => {
+        if (pendingSearchIds.indexOf(searchId) === -1) {
+          return;
+        }
+
+        // The searches sent before are superseded, the Helper ignores their
+        // responses (some of them never settle once aborted).
+        pendingSearchIds.forEach(pendingSearchId => {
+          if (pendingSearchId < searchId) {
+            clearMeasure(`ais:search:${pendingSearchId}`);
+          }
+        });
+        pendingSearchIds = pendingSearchIds.filter(
+          pendingSearchId => pendingSearchId > searchId
+        );
+
+        responseTime = now();
+        searchDuration = responseTime - startTime;
+
+        endMeasure('ais:search', `ais:search:${searchId}`);
+
+        // The previous response has not been rendered yet.
+        if (resultsMarkName) {
+          clearMeasure(resultsMarkName);
+        }
+
+        resultsMarkName = `ais:results:${searchId}`;
+        startMeasure(resultsMarkName);
+      };
+    },
+
+    measureRender(render) {
+      const startTime = now();
+      const resultsDuration =
+        responseTime === null ? null : startTime - responseTime;
+
+      if (resultsMarkName) {
+        endMeasure('ais:results', resultsMarkName);
+        resultsMarkName = null;
+      }
+
+      widgets = [];
+      measureCallback('ais:render', render);
+
+      const metrics: PerformanceMetrics = {
+        searchDuration,
+        resultsDuration,
+        renderDuration: now() - startTime,
+        widgets,
+      };
+
+      // The search metrics are only reported with the render that follows the
+      // response.
+      searchDuration = null;
+      responseTime = null;
+
+      return metrics;
+    },
+
+    measureWidgetRender(widget, indexId, render) {
+      if (widget.$$type === 'ais.index') {
+        render();
+        return;
+      }
+
+      const startTime = now();
+
+      measureCallback(
+        `ais:render:${indexId}:${widget.$$type || 'unknown'}`,
+        render
+      );
+
+      widgets.push({
+        indexId,
+        $$type: widget.$$type,
+        duration: now() - startTime,
+      });
+    },
+  };
+}
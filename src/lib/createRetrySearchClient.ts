@@ -0,0 +1,95 @@
+import { SearchClient } from '../types';
+import { wrapSearchClient } from './utils';
+
+export type ErrorHandlingOptions = {
+  /**
+   * Number of times a failed search is retried before giving up.
+   *
+   * @default 0
+   */
+  retries?: number;
+  /**
+   * Time in milliseconds before the first retry. The delay is doubled for
+   * each of the following retries (exponential backoff).
+   *
+   * @default 100
+   */
+  retryDelay?: number;
+  /**
+   * Search client used when the search still fails after the retries, for
+   * example a client targeting a replica or a local stand-in.
+   */
+  fallbackSearchClient?: SearchClient;
+};
+
+const isAborted = (requestOptions?: { signal?: AbortSignal }) =>
+  Boolean(
+    requestOptions && requestOptions.signal && requestOptions.signal.aborted
+  );
+
+export type RetrySearchClient = SearchClient & {
+  /**
+   * Cancels the retries waiting for their delay, their searches never settle.
+   */
+  cancelRetries(): void;
+};
+
+/**
+ * Creates a search client that retries the failed searches with an
+ * exponential backoff, then falls back to another search client.
+ */
+export default function createRetrySearchClient(
+  searchClient: SearchClient,
+  { retries = 0, retryDelay = 100, fallbackSearchClient }: ErrorHandlingOptions
+): RetrySearchClient {
+  let timers: Array<ReturnType<typeof setTimeout>> = [];
+
+  const wait = (ms: number) =>
+    new Promise(resolve => {
+      const timer = setTimeout(() => {
+        timers = timers.filter(_ => _ !== timer);
+        resolve();
+      }, ms);
+
+      timers.push(timer);
+    });
+
+  const retrySearchClient = wrapSearchClient(
+    searchClient,
+    (requests, ...args) => {
+      const search = (attempt: number): Promise<any> =>
+        Promise.resolve(searchClient.search(requests, ...args)).catch(error => {
+          // The aborted searches are stale, there's no point in retrying them.
+          if (isAborted(args[0])) {
+            throw error;
+          }
+
+          if (attempt < retries) {
+            return wait(retryDelay * Math.pow(2, attempt)).then(() => {
+              // The search can be aborted while waiting for the retry.
+              if (isAborted(args[0])) {
+                throw error;
+              }
+
+              return search(attempt + 1);
+            });
+          }
+
+          if (fallbackSearchClient) {
+            return fallbackSearchClient.search(requests, ...args);
+          }
+
+          throw error;
+        });
+
+      return search(0);
+    }
+  ) as RetrySearchClient;
+
+  retrySearchClient.cancelRetries = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers = [];
+  };
+
+  return retrySearchClient;
+}
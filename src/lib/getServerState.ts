@@ -0,0 +1,97 @@
+import algoliasearchHelper, {
+  DerivedHelper,
+  SearchParameters,
+} from 'algoliasearch-helper';
+import { InstantSearch, InitialResults, UiState } from '../types';
+import { Index, isIndexWidget } from '../widgets/index/index';
+import { mergeSearchParameters } from './utils';
+
+type ResolvedIndex = {
+  indexId: string;
+  state: SearchParameters;
+};
+
+function resolveIndices(
+  indexWidget: Index,
+  uiState: UiState,
+  parentState: SearchParameters | null
+): ResolvedIndex[] {
+  const indexId = indexWidget.getIndexId();
+  const localState = indexWidget.getWidgetSearchParameters(
+    new algoliasearchHelper.SearchParameters({
+      index: indexWidget.getIndexName(),
+    }),
+    { uiState: uiState[indexId] || {} }
+  );
+  // Like `resolveSearchParameters`, the index only inherits the parameters it
+  // picks from its parents.
+  const state =
+    parentState === null
+      ? localState
+      : mergeSearchParameters(
+          indexWidget.getInheritedSearchParameters(parentState),
+          localState
+        );
+
+  return indexWidget
+    .getWidgets()
+    .filter(isIndexWidget)
+    .reduce<ResolvedIndex[]>(
+      (indices, innerIndex) =>
+        indices.concat(resolveIndices(innerIndex, uiState, state)),
+      [{ indexId, state }]
+    );
+}
+
+/**
+ * Computes the results of every index of an InstantSearch instance that is
+ * not started yet (e.g. on the server). The widgets must be added before
+ * calling this function. The indices are searched with the UI state that
+ * `start` would use, i.e. `initialUiState` with the route state of `routing`.
+ * The resolved payload is serializable and can be passed to the
+ * `initialResults` option of the instance created on the client.
+ */
+export default function getServerState(
+  search: InstantSearch
+): Promise<InitialResults> {
+  const indices = resolveIndices(
+    search.mainIndex,
+    search._initialUiState,
+    null
+  );
+  const helper = algoliasearchHelper(search.client, search.indexName);
+
+  return new Promise((resolve, reject) => {
+    const initialResults: InitialResults = {};
+    let pendingResults = indices.length;
+
+    const derivedHelpers = indices.map(({ indexId, state }) => {
+      const derivedHelper: DerivedHelper = helper.derive(() => state);
+
+      derivedHelper.once('result', ({ results }) => {
+        initialResults[indexId] = {
+          // Spreading the instance drops the prototype, which makes the state
+          // a plain object that survives serialization.
+          state: { ...state },
+          results: results._rawResults,
+        };
+
+        pendingResults--;
+
+        if (pendingResults === 0) {
+          derivedHelpers.forEach(_ => _.detach());
+          resolve(initialResults);
+        }
+      });
+
+      return derivedHelper;
+    });
+
+    helper.once('error', ({ error }) => {
+      derivedHelpers.forEach(_ => _.detach());
+      reject(error);
+    });
+
+    helper.searchOnlyWithDerivedHelpers();
+  });
+}
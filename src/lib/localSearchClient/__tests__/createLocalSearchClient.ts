@@ -0,0 +1,226 @@
+import createLocalSearchClient from '../createLocalSearchClient';
+import instantsearch from '../../main';
+import connectHits from '../../../connectors/hits/connectHits';
+import connectRefinementList from '../../../connectors/refinement-list/connectRefinementList';
+import connectRange from '../../../connectors/range/connectRange';
+import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
+
+describe('createLocalSearchClient', () => {
+  const records = [
+    {
+      objectID: '1',
+      name: 'Apple iPhone',
+      brand: 'Apple',
+      price: 999,
+      popularity: 10,
+    },
+    {
+      objectID: '2',
+      name: 'Apple iPad',
+      brand: 'Apple',
+      price: 799,
+      popularity: 30,
+    },
+    {
+      objectID: '3',
+      name: 'Galaxy phone',
+      brand: 'Samsung',
+      price: 899,
+      popularity: 20,
+    },
+    {
+      objectID: '4',
+      name: 'Pixel phone',
+      brand: 'Google',
+      price: 599,
+      popularity: 5,
+    },
+  ];
+
+  const search = (params: object, settings = {}) =>
+    createLocalSearchClient({ records, settings })
+      .search([{ indexName: 'indexName', params }])
+      .then(({ results }) => results[0] as any);
+
+  const getObjectIDs = ({ hits }) => hits.map(hit => hit.objectID);
+
+  describe('search', () => {
+    it('returns all the records without query', async () => {
+      const result = await search({});
+
+      expect(getObjectIDs(result)).toEqual(['1', '2', '3', '4']);
+      expect(result).toEqual(
+        expect.objectContaining({
+          nbHits: 4,
+          page: 0,
+          nbPages: 1,
+          hitsPerPage: 20,
+          index: 'indexName',
+        })
+      );
+    });
+
+    it('matches every word of the query, the last one as a prefix', async () => {
+      expect(getObjectIDs(await search({ query: 'apple ip' }))).toEqual([
+        '1',
+        '2',
+      ]);
+      expect(getObjectIDs(await search({ query: 'app iphone' }))).toEqual([]);
+    });
+
+    it('ranks the hits by searchable attribute, then custom ranking', async () => {
+      const result = await search(
+        { query: 'apple' },
+        {
+          searchableAttributes: ['brand', 'name'],
+          customRanking: ['desc(popularity)'],
+        }
+      );
+
+      expect(getObjectIDs(result)).toEqual(['2', '1']);
+      expect(getObjectIDs(await search({ query: 'phone' }))).toEqual([
+        '3',
+        '4',
+      ]);
+    });
+
+    it('paginates the hits', async () => {
+      const result = await search({ hitsPerPage: 3, page: 1 });
+
+      expect(getObjectIDs(result)).toEqual(['4']);
+      expect(result).toEqual(
+        expect.objectContaining({ nbHits: 4, nbPages: 2, page: 1 })
+      );
+    });
+
+    it('filters with facet, numeric and tag filters', async () => {
+      expect(
+        getObjectIDs(
+          await search({ facetFilters: [['brand:Samsung', 'brand:Google']] })
+        )
+      ).toEqual(['3', '4']);
+      expect(
+        getObjectIDs(await search({ facetFilters: ['brand:-Apple'] }))
+      ).toEqual(['3', '4']);
+      expect(
+        getObjectIDs(
+          await search({ numericFilters: ['price>=799', 'price<999'] })
+        )
+      ).toEqual(['2', '3']);
+      expect(getObjectIDs(await search({ tagFilters: 'promo' }))).toEqual([]);
+    });
+
+    it('returns the facets and their stats', async () => {
+      const result = await search({
+        facets: ['brand', 'price'],
+        maxValuesPerFacet: 2,
+      });
+
+      expect(result.facets).toEqual({
+        brand: { Apple: 2, Google: 1 },
+        price: { '599': 1, '799': 1 },
+      });
+      expect(result.facets_stats).toEqual({
+        price: { min: 599, max: 999, avg: 824, sum: 3296 },
+      });
+    });
+
+    it('highlights the matching words', async () => {
+      const result = await search({
+        query: 'apple ip',
+        attributesToHighlight: ['name', 'brand'],
+        highlightPreTag: '<mark>',
+        highlightPostTag: '</mark>',
+      });
+
+      expect(result.hits[0]._highlightResult).toEqual({
+        name: {
+          value: '<mark>Apple</mark> <mark>iP</mark>hone',
+          matchLevel: 'full',
+          matchedWords: ['apple', 'ip'],
+        },
+        brand: {
+          value: '<mark>Apple</mark>',
+          matchLevel: 'partial',
+          matchedWords: ['apple'],
+        },
+      });
+    });
+
+    it('retrieves the requested attributes', async () => {
+      const result = await search({
+        attributesToRetrieve: ['name'],
+        attributesToHighlight: [],
+      });
+
+      expect(result.hits[0]).toEqual({ objectID: '1', name: 'Apple iPhone' });
+    });
+  });
+
+  describe('searchForFacetValues', () => {
+    it('returns the facet values matching the facet query', async () => {
+      const [result] = await createLocalSearchClient({
+        records,
+      }).searchForFacetValues([
+        {
+          indexName: 'indexName',
+          params: { facetName: 'brand', facetQuery: 'g', maxFacetHits: 10 },
+        },
+      ]);
+
+      expect(result.facetHits).toEqual([
+        { value: 'Google', count: 1, highlighted: '<em>G</em>oogle' },
+      ]);
+    });
+  });
+
+  describe('with connectors', () => {
+    it('renders the hits, the refinements and the range', async () => {
+      const renderHits = jest.fn();
+      const renderRefinementList = jest.fn();
+      const renderRange = jest.fn();
+      const instance = instantsearch({
+        indexName: 'indexName',
+        searchClient: createLocalSearchClient({ records }),
+        initialUiState: {
+          indexName: { refinementList: { brand: ['Apple'] } },
+        },
+      });
+
+      instance.addWidgets([
+        connectHits(renderHits)({}),
+        connectRefinementList(renderRefinementList)({ attribute: 'brand' }),
+        connectRange(renderRange)({ attribute: 'price' }),
+      ]);
+      instance.start();
+
+      await runAllMicroTasks();
+
+      const [{ hits }] = renderHits.mock.calls[
+        renderHits.mock.calls.length - 1
+      ];
+      const [{ items }] = renderRefinementList.mock.calls[
+        renderRefinementList.mock.calls.length - 1
+      ];
+      const [{ range }] = renderRange.mock.calls[
+        renderRange.mock.calls.length - 1
+      ];
+
+      expect(hits.map(hit => hit.objectID)).toEqual(['1', '2']);
+      expect(items).toEqual([
+        expect.objectContaining({ value: 'Apple', count: 2, isRefined: true }),
+        expect.objectContaining({
+          value: 'Google',
+          count: 1,
+          isRefined: false,
+        }),
+        expect.objectContaining({
+          value: 'Samsung',
+          count: 1,
+          isRefined: false,
+        }),
+      ]);
+      expect(range).toEqual({ min: 799, max: 999 });
+    });
+  });
+});
@@ -0,0 +1,459 @@
+import { SearchClient } from '../../types';
+import { getPropertyByPath, toArray } from '../utils';
+import { matchRecordFilters } from './filters';
+import {
+  tokenize,
+  getMatchedQueryWords,
+  highlight,
+  HighlightTags,
+} from './highlight';
+
+export type LocalIndexSettings = {
+  /**
+   * The attributes in which the query is searched, by decreasing importance.
+   * Defaults to every attribute of the records.
+   */
+  searchableAttributes?: string[];
+  /**
+   * The attributes returned for the `*` facets.
+   */
+  attributesForFaceting?: string[];
+  /**
+   * The criteria to sort the hits that are equally relevant, e.g.
+   * `['desc(popularity)']`. Defaults to the order of the records.
+   */
+  customRanking?: string[];
+  /**
+   * Defaults to the searchable attributes.
+   */
+  attributesToHighlight?: string[];
+  /**
+   * @default 20
+   */
+  hitsPerPage?: number;
+  /**
+   * @default 100
+   */
+  maxValuesPerFacet?: number;
+};
+
+export type LocalSearchClientOptions = {
+  records: Array<{ [attribute: string]: any }>;
+  settings?: LocalIndexSettings;
+};
+
+type LocalRecord = { objectID: string; [attribute: string]: any };
+
+type SearchableAttribute = {
+  attribute: string;
+  rank: number;
+};
+
+type FacetValue = {
+  value: string;
+  count: number;
+};
+
+const DEFAULT_HIGHLIGHT_TAGS: HighlightTags = {
+  highlightPreTag: '<em>',
+  highlightPostTag: '</em>',
+};
+
+// The list parameters also accept a comma-separated string.
+function toList(value: string | string[]): string[] {
+  return typeof value === 'string' ? value.split(',') : value;
+}
+
+// Removes the modifiers of the attributes, e.g. `unordered(title)` or
+// `searchable(brand)`.
+function getAttributeName(attribute: string): string {
+  const match = attribute.trim().match(/^\w+\((.+)\)$/);
+
+  return match ? match[1] : attribute.trim();
+}
+
+function getStrings(value: any): string[] {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  return toArray(value)
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(String);
+}
+
+function setPropertyByPath(object: object, path: string, value: any) {
+  const parts = path.split('.');
+
+  parts.reduce((current, key, position) => {
+    current[key] = position === parts.length - 1 ? value : current[key] || {};
+
+    return current[key];
+  }, object);
+}
+
+function getSearchableAttributes(
+  records: LocalRecord[],
+  { searchableAttributes }: LocalIndexSettings
+): SearchableAttribute[] {
+  if (searchableAttributes) {
+    // The attributes of a comma-separated item have the same rank.
+    return searchableAttributes.reduce<SearchableAttribute[]>(
+      (acc, item, rank) =>
+        acc.concat(
+          item.split(',').map(attribute => ({
+            attribute: getAttributeName(attribute),
+            rank,
+          }))
+        ),
+      []
+    );
+  }
+
+  return records
+    .reduce<string[]>(
+      (attributes, record) =>
+        attributes.concat(
+          Object.keys(record).filter(
+            attribute =>
+              attribute !== 'objectID' && attributes.indexOf(attribute) === -1
+          )
+        ),
+      []
+    )
+    .map((attribute, rank) => ({ attribute, rank }));
+}
+
+/**
+ * Returns the rank of the most important attribute matching the query, or -1
+ * when the record doesn't match all the words of the query.
+ */
+function getMatchingRank(
+  record: LocalRecord,
+  queryWords: string[],
+  searchableAttributes: SearchableAttribute[]
+): number {
+  if (queryWords.length === 0) {
+    return 0;
+  }
+
+  const matchedWords: string[] = [];
+  let matchingRank = -1;
+
+  searchableAttributes.forEach(({ attribute, rank }) => {
+    getStrings(getPropertyByPath(record, attribute)).forEach(text => {
+      tokenize(text).forEach(word => {
+        getMatchedQueryWords(word, queryWords).forEach(queryWord => {
+          if (matchingRank === -1 || rank < matchingRank) {
+            matchingRank = rank;
+          }
+
+          if (matchedWords.indexOf(queryWord) === -1) {
+            matchedWords.push(queryWord);
+          }
+        });
+      });
+    });
+  });
+
+  return matchedWords.length === queryWords.length ? matchingRank : -1;
+}
+
+function compareCustomRanking(
+  customRanking: string[],
+  first: LocalRecord,
+  second: LocalRecord
+): number {
+  for (let i = 0; i < customRanking.length; i++) {
+    const match = customRanking[i].match(/^(asc|desc)\((.+)\)$/);
+
+    if (match) {
+      const [, order, attribute] = match;
+      const firstValue = getPropertyByPath(first, attribute);
+      const secondValue = getPropertyByPath(second, attribute);
+
+      if (firstValue !== secondValue) {
+        // The records without value are ranked last.
+        if (firstValue === undefined) {
+          return 1;
+        }
+
+        if (secondValue === undefined) {
+          return -1;
+        }
+
+        return (firstValue < secondValue ? -1 : 1) * (order === 'asc' ? 1 : -1);
+      }
+    }
+  }
+
+  return 0;
+}
+
+function getFacetValues(
+  attribute: string,
+  records: LocalRecord[]
+): FacetValue[] {
+  const counts: { [value: string]: number } = {};
+
+  records.forEach(record => {
+    getStrings(getPropertyByPath(record, attribute)).forEach(value => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+  });
+
+  return Object.keys(counts)
+    .map(value => ({ value, count: counts[value] }))
+    .sort((first, second) => {
+      if (first.count !== second.count) {
+        return second.count - first.count;
+      }
+
+      return first.value < second.value ? -1 : 1;
+    });
+}
+
+function getFacetStats(attribute: string, records: LocalRecord[]) {
+  const values = records.reduce<any[]>((acc, record) => {
+    const value = getPropertyByPath(record, attribute);
+
+    return value === undefined || value === null
+      ? acc
+      : acc.concat(toArray(value));
+  }, []);
+
+  if (values.length === 0 || values.some(value => typeof value !== 'number')) {
+    return null;
+  }
+
+  const sum = values.reduce((acc, value) => acc + value, 0);
+
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: sum / values.length,
+    sum,
+  };
+}
+
+/**
+ * Creates a search client that answers the queries over records held in
+ * memory, without network. It supports the subset of the search parameters
+ * that the connectors rely on: the query (with prefix matching on the last
+ * word), the facet, numeric and tag filters, the facets, the pagination and
+ * the highlighting. The records are searched whatever the index name.
+ */
+export default function createLocalSearchClient({
+  records: userRecords,
+  settings = {},
+}: LocalSearchClientOptions): SearchClient {
+  const records: LocalRecord[] = userRecords.map((record, position) => ({
+    ...record,
+    objectID:
+      record.objectID === undefined ? String(position) : record.objectID,
+  }));
+  const searchableAttributes = getSearchableAttributes(records, settings);
+  const {
+    customRanking = [],
+    attributesForFaceting = [],
+    attributesToHighlight: defaultAttributesToHighlight = searchableAttributes.map(
+      ({ attribute }) => attribute
+    ),
+    hitsPerPage: defaultHitsPerPage = 20,
+    maxValuesPerFacet: defaultMaxValuesPerFacet = 100,
+  } = settings;
+
+  const getMatchedRecords = (params: any): LocalRecord[] => {
+    const queryWords = tokenize(params.query || '');
+
+    return records
+      .map((record, position) => ({
+        record,
+        position,
+        rank: getMatchingRank(record, queryWords, searchableAttributes),
+      }))
+      .filter(
+        ({ record, rank }) => rank !== -1 && matchRecordFilters(record, params)
+      )
+      .sort(
+        (first, second) =>
+          first.rank - second.rank ||
+          compareCustomRanking(customRanking, first.record, second.record) ||
+          first.position - second.position
+      )
+      .map(({ record }) => record);
+  };
+
+  const createHit = (
+    record: LocalRecord,
+    {
+      queryWords,
+      attributesToRetrieve,
+      attributesToHighlight,
+      highlightTags,
+    }: {
+      queryWords: string[];
+      attributesToRetrieve: string[];
+      attributesToHighlight: string[];
+      highlightTags: HighlightTags;
+    }
+  ) => {
+    const hit: { [attribute: string]: any } =
+      attributesToRetrieve.indexOf('*') !== -1
+        ? { ...record }
+        : attributesToRetrieve.reduce(
+            (acc, attribute) => {
+              const [key] = attribute.trim().split('.');
+
+              return key in record ? { ...acc, [key]: record[key] } : acc;
+            },
+            { objectID: record.objectID }
+          );
+
+    if (attributesToHighlight.length > 0) {
+      hit._highlightResult = attributesToHighlight.reduce((acc, attribute) => {
+        const value = getPropertyByPath(record, attribute.trim());
+
+        if (typeof value === 'string') {
+          setPropertyByPath(
+            acc,
+            attribute.trim(),
+            highlight(value, queryWords, highlightTags)
+          );
+        } else if (
+          Array.isArray(value) &&
+          value.every(item => typeof item === 'string')
+        ) {
+          setPropertyByPath(
+            acc,
+            attribute.trim(),
+            value.map(item => highlight(item, queryWords, highlightTags))
+          );
+        }
+
+        return acc;
+      }, {});
+    }
+
+    return hit;
+  };
+
+  const searchIndex = (indexName: string, params: any) => {
+    const {
+      query = '',
+      page = 0,
+      hitsPerPage = defaultHitsPerPage,
+      maxValuesPerFacet = defaultMaxValuesPerFacet,
+      facets = [],
+      attributesToRetrieve = ['*'],
+      attributesToHighlight = defaultAttributesToHighlight,
+      highlightPreTag = DEFAULT_HIGHLIGHT_TAGS.highlightPreTag,
+      highlightPostTag = DEFAULT_HIGHLIGHT_TAGS.highlightPostTag,
+    } = params;
+    const matchedRecords = getMatchedRecords(params);
+    const facetAttributes = toList(facets).reduce<string[]>(
+      (acc, attribute) =>
+        acc.concat(
+          attribute === '*'
+            ? attributesForFaceting.map(getAttributeName)
+            : attribute
+        ),
+      []
+    );
+    const facetsStats = facetAttributes.reduce((acc, attribute) => {
+      const stats = getFacetStats(attribute, matchedRecords);
+
+      return stats ? { ...acc, [attribute]: stats } : acc;
+    }, {});
+
+    return {
+      hits: matchedRecords
+        .slice(page * hitsPerPage, (page + 1) * hitsPerPage)
+        .map(record =>
+          createHit(record, {
+            queryWords: tokenize(query),
+            attributesToRetrieve: toList(attributesToRetrieve),
+            attributesToHighlight: toList(attributesToHighlight),
+            highlightTags: { highlightPreTag, highlightPostTag },
+          })
+        ),
+      nbHits: matchedRecords.length,
+      page,
+      nbPages:
+        hitsPerPage > 0 ? Math.ceil(matchedRecords.length / hitsPerPage) : 0,
+      hitsPerPage,
+      processingTimeMS: 0,
+      exhaustiveNbHits: true,
+      exhaustiveFacetsCount: true,
+      query,
+      params: '',
+      index: indexName,
+      facets: facetAttributes.reduce(
+        (acc, attribute) => ({
+          ...acc,
+          [attribute]: getFacetValues(attribute, matchedRecords)
+            .slice(0, maxValuesPerFacet)
+            .reduce(
+              (values, { value, count }) => ({ ...values, [value]: count }),
+              {}
+            ),
+        }),
+        {}
+      ),
+      ...(Object.keys(facetsStats).length > 0 && {
+        facets_stats: facetsStats,
+      }),
+    };
+  };
+
+  const searchFacetValues = (params: any) => {
+    const {
+      facetName,
+      facetQuery = '',
+      maxFacetHits = 10,
+      highlightPreTag = DEFAULT_HIGHLIGHT_TAGS.highlightPreTag,
+      highlightPostTag = DEFAULT_HIGHLIGHT_TAGS.highlightPostTag,
+    } = params;
+    const facetQueryWords = tokenize(facetQuery);
+
+    return {
+      facetHits: getFacetValues(facetName, getMatchedRecords(params))
+        .map(({ value, count }) => ({
+          value,
+          count,
+          highlightResult: highlight(value, facetQueryWords, {
+            highlightPreTag,
+            highlightPostTag,
+          }),
+        }))
+        .filter(
+          ({ highlightResult }) =>
+            facetQueryWords.length === 0 ||
+            highlightResult.matchLevel === 'full'
+        )
+        .slice(0, maxFacetHits)
+        .map(({ value, count, highlightResult }) => ({
+          value,
+          count,
+          highlighted: highlightResult.value,
+        })),
+      exhaustiveFacetsCount: true,
+      processingTimeMS: 0,
+    };
+  };
+
+  return {
+    search(requests) {
+      return Promise.resolve({
+        results: requests.map(({ indexName, params = {} }) =>
+          searchIndex(indexName, params)
+        ),
+      });
+    },
+    searchForFacetValues(requests) {
+      return Promise.resolve(
+        requests.map(({ params = {} }) => searchFacetValues(params))
+      );
+    },
+  } as SearchClient;
+}
@@ -0,0 +1,108 @@
+import { getPropertyByPath, toArray } from '../utils';
+
+type Filters = string | Array<string | string[]> | undefined;
+
+const NUMERIC_FILTER_REGEX = /^(.+?)\s*(<=|>=|!=|<|>|=)\s*(.+)$/;
+
+function getValues(record: object, attribute: string): any[] {
+  const value = getPropertyByPath(record, attribute.trim());
+
+  return value === undefined || value === null ? [] : toArray(value);
+}
+
+/**
+ * Filters are combined with AND, the nested arrays of filters with OR. The
+ * string form is a comma-separated list of filters.
+ */
+function matchFilters(
+  filters: Filters,
+  matchFilter: (filter: string) => boolean
+): boolean {
+  if (!filters) {
+    return true;
+  }
+
+  const normalizedFilters =
+    typeof filters === 'string' ? filters.split(',').filter(Boolean) : filters;
+
+  return normalizedFilters.every(filter =>
+    Array.isArray(filter) ? filter.some(matchFilter) : matchFilter(filter)
+  );
+}
+
+function matchFacetFilter(record: object, filter: string): boolean {
+  const separatorPosition = filter.indexOf(':');
+  const attribute = filter.slice(0, separatorPosition);
+  let value = filter.slice(separatorPosition + 1);
+  const isNegative = value.charAt(0) === '-';
+
+  if (isNegative) {
+    value = value.slice(1);
+  } else if (value.slice(0, 2) === '\\-') {
+    // The values starting with a dash are escaped not to be negated.
+    value = value.slice(1);
+  }
+
+  const isMatching = getValues(record, attribute).some(
+    recordValue => String(recordValue) === value
+  );
+
+  return isNegative ? !isMatching : isMatching;
+}
+
+function matchNumericFilter(record: object, filter: string): boolean {
+  const match = filter.match(NUMERIC_FILTER_REGEX);
+
+  if (!match) {
+    return false;
+  }
+
+  const [, attribute, operator, rawValue] = match;
+  const value = parseFloat(rawValue);
+
+  return getValues(record, attribute).some(recordValue => {
+    const numericValue = Number(recordValue);
+
+    switch (operator) {
+      case '<':
+        return numericValue < value;
+      case '<=':
+        return numericValue <= value;
+      case '=':
+        return numericValue === value;
+      case '!=':
+        return numericValue !== value;
+      case '>=':
+        return numericValue >= value;
+      case '>':
+        return numericValue > value;
+      default:
+        return false;
+    }
+  });
+}
+
+function matchTagFilter(record: object, filter: string): boolean {
+  return getValues(record, '_tags').indexOf(filter) !== -1;
+}
+
+export function matchRecordFilters(
+  record: object,
+  {
+    facetFilters,
+    numericFilters,
+    tagFilters,
+  }: {
+    facetFilters?: Filters;
+    numericFilters?: Filters;
+    tagFilters?: Filters;
+  }
+): boolean {
+  return (
+    matchFilters(facetFilters, filter => matchFacetFilter(record, filter)) &&
+    matchFilters(numericFilters, filter =>
+      matchNumericFilter(record, filter)
+    ) &&
+    matchFilters(tagFilters, filter => matchTagFilter(record, filter))
+  );
+}
@@ -0,0 +1,82 @@
+const WORD_REGEX = /[a-z0-9\u00C0-\uFFFF]+/gi;
+
+export type HighlightTags = {
+  highlightPreTag: string;
+  highlightPostTag: string;
+};
+
+export type HighlightResult = {
+  value: string;
+  matchLevel: 'none' | 'partial' | 'full';
+  matchedWords: string[];
+};
+
+export function tokenize(text: string): string[] {
+  return text.toLowerCase().match(WORD_REGEX) || [];
+}
+
+/**
+ * Returns the query words that match the word. The last query word matches as
+ * a prefix while the others must be complete (i.e. the query is "prefixLast").
+ */
+export function getMatchedQueryWords(
+  word: string,
+  queryWords: string[]
+): string[] {
+  const lowerCasedWord = word.toLowerCase();
+
+  return queryWords.filter((queryWord, position) =>
+    position === queryWords.length - 1
+      ? lowerCasedWord.indexOf(queryWord) === 0
+      : lowerCasedWord === queryWord
+  );
+}
+
+export function highlight(
+  text: string,
+  queryWords: string[],
+  { highlightPreTag, highlightPostTag }: HighlightTags
+): HighlightResult {
+  const matchedWords: string[] = [];
+  let value = '';
+  let lastIndex = 0;
+  let match: RegExpExecArray | null;
+
+  WORD_REGEX.lastIndex = 0;
+
+  // eslint-disable-next-line no-cond-assign
+  while ((match = WORD_REGEX.exec(text))) {
+    const [word] = match;
+    const matchedQueryWords = getMatchedQueryWords(word, queryWords);
+
+    if (matchedQueryWords.length > 0) {
+      const matchLength = Math.max(
+        ...matchedQueryWords.map(queryWord => queryWord.length)
+      );
+
+      matchedQueryWords.forEach(queryWord => {
+        if (matchedWords.indexOf(queryWord) === -1) {
+          matchedWords.push(queryWord);
+        }
+      });
+
+      value +=
+        text.slice(lastIndex, match.index) +
+        highlightPreTag +
+        word.slice(0, matchLength) +
+        highlightPostTag +
+        word.slice(matchLength);
+      lastIndex = match.index + word.length;
+    }
+  }
+
+  value += text.slice(lastIndex);
+
+  let matchLevel: HighlightResult['matchLevel'] = 'none';
+
+  if (matchedWords.length > 0) {
+    matchLevel = matchedWords.length === queryWords.length ? 'full' : 'partial';
+  }
+
+  return { value, matchLevel, matchedWords };
+}
@@ -0,0 +1 @@
+export { default as createLocalSearchClient } from './createLocalSearchClient';
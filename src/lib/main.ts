@@ -9,6 +9,13 @@ import * as middlewares from '../middlewares/index';
 import * as routers from './routers/index';
 import * as stateMappings from './stateMappings/index';
 import { createInfiniteHitsSessionStorageCache } from './infiniteHitsCache/index';
+import {
+  createInMemoryResponsesCache,
+  createSessionStorageResponsesCache,
+} from './responsesCache/index';
+import getServerState from './getServerState';
+import { createLocalSearchClient } from './localSearchClient/index';
+import { createWorkerSearchClient, exposeSearchClient } from './worker/index';
 import { InstantSearchOptions } from '../types';
 
 /**
@@ -37,9 +44,15 @@ instantsearch.connectors = connectors;
 instantsearch.widgets = widgets;
 instantsearch.version = version;
 instantsearch.createInfiniteHitsSessionStorageCache = createInfiniteHitsSessionStorageCache;
+instantsearch.createInMemoryResponsesCache = createInMemoryResponsesCache;
+instantsearch.createSessionStorageResponsesCache = createSessionStorageResponsesCache;
 instantsearch.highlight = helpers.highlight;
 instantsearch.snippet = helpers.snippet;
 instantsearch.insights = helpers.insights;
 instantsearch.middlewares = middlewares;
+instantsearch.getServerState = getServerState;
+instantsearch.createWorkerSearchClient = createWorkerSearchClient;
+instantsearch.exposeSearchClient = exposeSearchClient;
+instantsearch.createLocalSearchClient = createLocalSearchClient;
 
 export default instantsearch;
@@ -0,0 +1,76 @@
+import createInMemoryResponsesCache from '../inMemory';
+import { createMultiSearchResponse } from '../../../../test/mock/createAPIResponse';
+
+describe('createInMemoryResponsesCache', () => {
+  const response = createMultiSearchResponse();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns null initially', () => {
+    const cache = createInMemoryResponsesCache();
+
+    expect(cache.read({ key: 'key' })).toBeNull();
+  });
+
+  it('returns the response that was written', () => {
+    const cache = createInMemoryResponsesCache();
+
+    cache.write({ key: 'key', response });
+
+    expect(cache.read({ key: 'key' })).toBe(response);
+    expect(cache.read({ key: 'other' })).toBeNull();
+  });
+
+  it('discards the responses older than the ttl', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const cache = createInMemoryResponsesCache({ ttl: 100 });
+
+    cache.write({ key: 'key', response });
+
+    now.mockReturnValue(100);
+    expect(cache.read({ key: 'key' })).toBe(response);
+
+    now.mockReturnValue(101);
+    expect(cache.read({ key: 'key' })).toBeNull();
+
+    now.mockReturnValue(0);
+    expect(cache.read({ key: 'key' })).toBeNull();
+  });
+
+  it('evicts the least recently used response once `maxEntries` is reached', () => {
+    const cache = createInMemoryResponsesCache({ maxEntries: 2 });
+
+    cache.write({ key: 'a', response });
+    cache.write({ key: 'b', response });
+    cache.read({ key: 'a' });
+    cache.write({ key: 'c', response });
+
+    expect(cache.read({ key: 'a' })).toBe(response);
+    expect(cache.read({ key: 'b' })).toBeNull();
+    expect(cache.read({ key: 'c' })).toBe(response);
+  });
+
+  it('removes all the responses on clear', () => {
+    const cache = createInMemoryResponsesCache();
+
+    cache.write({ key: 'a', response });
+    cache.write({ key: 'b', response });
+    cache.clear();
+
+    expect(cache.read({ key: 'a' })).toBeNull();
+    expect(cache.read({ key: 'b' })).toBeNull();
+  });
+
+  it('removes the responses matching the predicate on invalidate', () => {
+    const cache = createInMemoryResponsesCache();
+
+    cache.write({ key: 'a', response });
+    cache.write({ key: 'b', response });
+    cache.invalidate!(({ key }) => key === 'a');
+
+    expect(cache.read({ key: 'a' })).toBeNull();
+    expect(cache.read({ key: 'b' })).toBe(response);
+  });
+});
@@ -0,0 +1,110 @@
+import createSessionStorageResponsesCache from '../sessionStorage';
+import { createMultiSearchResponse } from '../../../../test/mock/createAPIResponse';
+
+const KEY = 'ais.responses';
+
+describe('createSessionStorageResponsesCache', () => {
+  const response = createMultiSearchResponse();
+
+  beforeEach(() => {
+    window.sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns null initially', () => {
+    const cache = createSessionStorageResponsesCache();
+
+    expect(cache.read({ key: 'key' })).toBeNull();
+  });
+
+  it('returns the response that was written', () => {
+    const cache = createSessionStorageResponsesCache();
+
+    cache.write({ key: 'key', response });
+
+    expect(cache.read({ key: 'key' })).toEqual(response);
+    expect(JSON.parse(window.sessionStorage.getItem(KEY)!)).toEqual({
+      key: { response, timestamp: expect.any(Number) },
+    });
+  });
+
+  it('uses the provided storage key', () => {
+    const cache = createSessionStorageResponsesCache({ key: 'custom' });
+
+    cache.write({ key: 'key', response });
+
+    expect(window.sessionStorage.getItem(KEY)).toBeNull();
+    expect(window.sessionStorage.getItem('custom')).not.toBeNull();
+  });
+
+  it('discards the responses older than the ttl', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const cache = createSessionStorageResponsesCache({ ttl: 100 });
+
+    cache.write({ key: 'key', response });
+
+    now.mockReturnValue(101);
+
+    expect(cache.read({ key: 'key' })).toBeNull();
+    expect(JSON.parse(window.sessionStorage.getItem(KEY)!)).toEqual({});
+  });
+
+  it('returns null when the stored value is invalid', () => {
+    const cache = createSessionStorageResponsesCache();
+
+    window.sessionStorage.setItem(KEY, '{invalid');
+
+    expect(cache.read({ key: 'key' })).toBeNull();
+  });
+
+  it('evicts the least recently used response once `maxEntries` is reached', () => {
+    const cache = createSessionStorageResponsesCache({ maxEntries: 2 });
+
+    cache.write({ key: 'a', response });
+    cache.write({ key: 'b', response });
+    cache.read({ key: 'a' });
+    cache.write({ key: 'c', response });
+
+    expect(
+      Object.keys(JSON.parse(window.sessionStorage.getItem(KEY)!))
+    ).toEqual(['a', 'c']);
+    expect(cache.read({ key: 'b' })).toBeNull();
+  });
+
+  it('does not throw when the session storage is not accessible', () => {
+    jest.spyOn(window, 'sessionStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    const cache = createSessionStorageResponsesCache();
+
+    expect(() => cache.write({ key: 'key', response })).not.toThrow();
+    expect(cache.read({ key: 'key' })).toBeNull();
+    expect(() => cache.clear()).not.toThrow();
+  });
+
+  it('removes the stored responses on clear', () => {
+    const cache = createSessionStorageResponsesCache();
+
+    cache.write({ key: 'key', response });
+    cache.clear();
+
+    expect(window.sessionStorage.getItem(KEY)).toBeNull();
+  });
+
+  it('removes the stored responses matching the predicate on invalidate', () => {
+    const cache = createSessionStorageResponsesCache();
+
+    cache.write({ key: 'a', response });
+    cache.write({ key: 'b', response });
+    cache.invalidate!(({ key }) => key === 'a');
+
+    expect(cache.read({ key: 'a' })).toBeNull();
+    expect(JSON.parse(window.sessionStorage.getItem(KEY)!)).toEqual({
+      b: { response, timestamp: expect.any(Number) },
+    });
+  });
+});
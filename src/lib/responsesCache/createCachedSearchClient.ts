@@ -0,0 +1,40 @@
+import { ResponsesCache, SearchClient } from '../../types';
+import { wrapSearchClient } from '../utils';
+
+function getKey(requests: any): string {
+  return JSON.stringify(requests);
+}
+
+/**
+ * Returns whether the multi-query serialized in the cache `key` targets one of
+ * the `indexNames`.
+ */
+export function isKeyForIndices(key: string, indexNames: string[]): boolean {
+  const requests: Array<{ indexName: string }> = JSON.parse(key);
+
+  return requests.some(request => indexNames.indexOf(request.indexName) !== -1);
+}
+
+/**
+ * Creates a search client that resolves the multi-queries it already
+ * answered from the cache, and forwards the other ones to `searchClient`.
+ */
+export default function createCachedSearchClient(
+  searchClient: SearchClient,
+  cache: ResponsesCache
+): SearchClient {
+  return wrapSearchClient(searchClient, (requests, ...args) => {
+    const key = getKey(requests);
+    const cachedResponse = cache.read({ key });
+
+    if (cachedResponse) {
+      return Promise.resolve(cachedResponse);
+    }
+
+    return searchClient.search(requests, ...args).then(response => {
+      cache.write({ key, response });
+
+      return response;
+    });
+  });
+}
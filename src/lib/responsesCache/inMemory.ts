@@ -0,0 +1,63 @@
+import { MultiResponse, ResponsesCache } from '../../types';
+
+type InMemoryResponsesCacheProps = {
+  /**
+   * Time in milliseconds after which a cached response is discarded.
+   * The responses never expire by default.
+   */
+  ttl?: number;
+  /**
+   * Maximum number of responses kept in the cache. Once reached, the least
+   * recently used response is evicted. The cache is unbounded by default.
+   */
+  maxEntries?: number;
+};
+
+type Entry = {
+  key: string;
+  response: MultiResponse;
+  timestamp: number;
+};
+
+export default function createInMemoryResponsesCache({
+  ttl = Infinity,
+  maxEntries = Infinity,
+}: InMemoryResponsesCacheProps = {}): ResponsesCache {
+  // The entries are sorted from the least to the most recently used.
+  let entries: Entry[] = [];
+
+  return {
+    read({ key }) {
+      const entry = entries.filter(_ => _.key === key)[0];
+
+      if (!entry) {
+        return null;
+      }
+
+      entries = entries.filter(_ => _ !== entry);
+
+      if (Date.now() - entry.timestamp > ttl) {
+        return null;
+      }
+
+      entries.push(entry);
+
+      return entry.response;
+    },
+    write({ key, response }) {
+      entries = entries
+        .filter(_ => _.key !== key)
+        .concat({ key, response, timestamp: Date.now() });
+
+      if (entries.length > maxEntries) {
+        entries = entries.slice(entries.length - maxEntries);
+      }
+    },
+    clear() {
+      entries = [];
+    },
+    invalidate(predicate) {
+      entries = entries.filter(entry => !predicate({ key: entry.key }));
+    },
+  };
+}
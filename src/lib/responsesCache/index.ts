@@ -0,0 +1,2 @@
+export { default as createInMemoryResponsesCache } from './inMemory';
+export { default as createSessionStorageResponsesCache } from './sessionStorage';
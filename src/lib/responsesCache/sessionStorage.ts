@@ -0,0 +1,135 @@
+import { MultiResponse, ResponsesCache } from '../../types';
+
+type SessionStorageResponsesCacheProps = {
+  /**
+   * Time in milliseconds after which a cached response is discarded.
+   * The responses never expire by default.
+   */
+  ttl?: number;
+  /**
+   * The key used to store the responses in the session storage.
+   *
+   * @default 'ais.responses'
+   */
+  key?: string;
+  /**
+   * Maximum number of responses kept in the cache. Once reached, the least
+   * recently used response is evicted. The cache is unbounded by default.
+   */
+  maxEntries?: number;
+};
+
+type Entries = {
+  // The keys are sorted from the least to the most recently used.
+  [key: string]: {
+    response: MultiResponse;
+    timestamp: number;
+  };
+};
+
+// Accessing the storage throws in some environments, e.g. in sandboxed
+// iframes or when the cookies are blocked.
+function hasSessionStorage(): boolean {
+  try {
+    return (
+      typeof window !== 'undefined' &&
+      typeof window.sessionStorage !== 'undefined'
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+export default function createSessionStorageResponsesCache({
+  ttl = Infinity,
+  key: storageKey = 'ais.responses',
+  maxEntries = Infinity,
+}: SessionStorageResponsesCacheProps = {}): ResponsesCache {
+  function readEntries(): Entries {
+    try {
+      return JSON.parse(window.sessionStorage.getItem(storageKey) || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function writeEntries(entries: Entries): void {
+    const keys = Object.keys(entries);
+
+    keys.slice(0, Math.max(keys.length - maxEntries, 0)).forEach(key => {
+      delete entries[key];
+    });
+
+    try {
+      window.sessionStorage.setItem(storageKey, JSON.stringify(entries));
+    } catch (error) {
+      // do nothing
+    }
+  }
+
+  return {
+    read({ key }) {
+      if (!hasSessionStorage()) {
+        return null;
+      }
+
+      const entries = readEntries();
+      const entry = entries[key];
+
+      if (!entry) {
+        return null;
+      }
+
+      if (Date.now() - entry.timestamp > ttl) {
+        delete entries[key];
+        writeEntries(entries);
+
+        return null;
+      }
+
+      // Moves the entry to the most recently used position.
+      delete entries[key];
+      entries[key] = entry;
+      writeEntries(entries);
+
+      return entry.response;
+    },
+    write({ key, response }) {
+      if (!hasSessionStorage()) {
+        return;
+      }
+
+      const entries = readEntries();
+
+      delete entries[key];
+      entries[key] = { response, timestamp: Date.now() };
+      writeEntries(entries);
+    },
+    clear() {
+      if (!hasSessionStorage()) {
+        return;
+      }
+
+      try {
+        window.sessionStorage.removeItem(storageKey);
+      } catch (error) {
+        // do nothing
+      }
+    },
+    invalidate(predicate) {
+      if (!hasSessionStorage()) {
+        return;
+      }
+
+      const entries = readEntries();
+
+      Object.keys(entries).forEach(key => {
+        if (predicate({ key })) {
+          delete entries[key];
+        }
+      });
+
+      writeEntries(entries);
+    },
+  };
+}
@@ -0,0 +1,167 @@
+import qs from 'qs';
+import createCompactEncoding from '../createCompactEncoding';
+import historyRouter from '../history';
+
+const createLocation = (url: string) => {
+  const { protocol, hostname, port, pathname, search, hash } = new URL(url);
+
+  return { protocol, hostname, port, pathname, search, hash };
+};
+
+describe('createCompactEncoding', () => {
+  const location = createLocation('https://example.com/search#top');
+  const routeState = {
+    instant_search: {
+      query: 'apple iphone',
+      page: '2',
+      refinementList: {
+        brand: ['Apple', 'Samsung'],
+        color: ['red'],
+        'tag, special': ['a,b', 'c & d'],
+      },
+      range: { price: '100:500' },
+    },
+    q: { query: 'alias collision' },
+  };
+
+  it('creates compact URLs', () => {
+    const { createURL } = createCompactEncoding({
+      aliases: { instant_search: 'is' },
+    });
+
+    expect(
+      createURL({ qsModule: qs, location, routeState })
+    ).toMatchInlineSnapshot(
+      `"https://example.com/search?is[q]=apple+iphone&is[p]=2&is[rl][brand]=Apple,Samsung&is[rl][color]=red,&is[rl][tag%2C+special]=a%2Cb,c+%26+d&is[r][price]=100:500&~q[q]=alias+collision#top"`
+    );
+    expect(createURL({ qsModule: qs, location, routeState: {} })).toBe(
+      'https://example.com/search#top'
+    );
+  });
+
+  it('parses the compact URLs', () => {
+    const { createURL, parseURL } = createCompactEncoding({
+      aliases: { instant_search: 'is' },
+    });
+    const url = createURL({ qsModule: qs, location, routeState });
+
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      routeState
+    );
+  });
+
+  it('parses the legacy URLs', () => {
+    const { parseURL } = createCompactEncoding({
+      aliases: { instant_search: 'is' },
+    });
+    const legacyRouteState = {
+      instant_search: {
+        query: 'a,b',
+        refinementList: { brand: ['Apple', 'Samsung'], color: ['red'] },
+      },
+    };
+
+    expect(
+      parseURL({
+        qsModule: qs,
+        location: createLocation(
+          `https://example.com/search?${qs.stringify(legacyRouteState)}`
+        ),
+      })
+    ).toEqual(legacyRouteState);
+  });
+
+  it('parses the empty arrays', () => {
+    const { createURL, parseURL } = createCompactEncoding();
+    const url = createURL({
+      qsModule: qs,
+      location,
+      routeState: { indexName: { refinementList: { brand: [] } } },
+    });
+
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual({
+      indexName: { refinementList: { brand: [] } },
+    });
+  });
+
+  it('writes the state in a single base64url parameter with `payloadParam`', () => {
+    const { createURL, parseURL } = createCompactEncoding({
+      payloadParam: 'state',
+    });
+    const url = createURL({ qsModule: qs, location, routeState });
+    const [, payload] = url.match(/\?state=([\w-]+)#top$/)!;
+
+    expect(url).toMatch(/^https:\/\/example\.com\/search\?state=[\w-]+#top$/);
+    // The payload is compressed: the aliased JSON alone would take 243
+    // characters once encoded in base64url.
+    expect(payload.length).toBeLessThan(243);
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      routeState
+    );
+  });
+
+  it('round-trips the non-ASCII values in the payload', () => {
+    const { createURL, parseURL } = createCompactEncoding({
+      payloadParam: 'state',
+    });
+    const nonAsciiRouteState = { indexName: { query: 'Été 東京 🍎' } };
+    const url = createURL({
+      qsModule: qs,
+      location,
+      routeState: nonAsciiRouteState,
+    });
+
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      nonAsciiRouteState
+    );
+  });
+
+  it('parses the legacy URLs with `payloadParam`', () => {
+    const { parseURL } = createCompactEncoding({ payloadParam: 'state' });
+
+    expect(
+      parseURL({
+        qsModule: qs,
+        location: createLocation(
+          'https://example.com/search?indexName%5Bquery%5D=iphone'
+        ),
+      })
+    ).toEqual({ indexName: { query: 'iphone' } });
+  });
+
+  it('ignores a malformed payload', () => {
+    const { parseURL } = createCompactEncoding({ payloadParam: 'state' });
+
+    expect(
+      parseURL({
+        qsModule: qs,
+        location: createLocation('https://example.com/search?state=e30ie'),
+      })
+    ).toEqual({});
+  });
+
+  it('throws when an alias is used for several keys', () => {
+    expect(() =>
+      createCompactEncoding({ aliases: { instant_search: 'q' } })
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"The alias \`q\` is used for several keys."`
+    );
+  });
+
+  it('plugs into the history router', () => {
+    window.history.pushState(
+      null,
+      '',
+      'http://localhost/?indexName[q]=iphone&indexName[rl][brand]=Apple,'
+    );
+
+    const router = historyRouter(createCompactEncoding());
+
+    expect(router.read()).toEqual({
+      indexName: { query: 'iphone', refinementList: { brand: ['Apple'] } },
+    });
+    expect(router.createURL({ indexName: { page: 2 } })).toBe(
+      'http://localhost/?indexName[p]=2'
+    );
+  });
+});
@@ -0,0 +1,203 @@
+import qs from 'qs';
+import createRoutePattern from '../createRoutePattern';
+import historyRouter from '../history';
+
+const createLocation = (url: string) => {
+  const { protocol, hostname, port, pathname, search, hash } = new URL(url);
+
+  return { protocol, hostname, port, pathname, search, hash };
+};
+
+describe('createRoutePattern', () => {
+  const rules = [
+    { type: 'refinementList' as const, attribute: 'brand', name: 'brand' },
+    { type: 'menu' as const, attribute: 'categories', name: 'category' },
+    { type: 'range' as const, attribute: 'price', name: 'price' },
+    { type: 'query' as const, name: 'q' },
+    { type: 'page' as const, name: 'page' },
+  ];
+  const location = createLocation('https://example.com/search?lang=en#top');
+
+  it('creates URLs with path segments and query parameters', () => {
+    const { createURL } = createRoutePattern({ basePath: '/search', rules });
+
+    expect(
+      createURL({
+        qsModule: qs,
+        location,
+        routeState: {
+          query: 'iphone',
+          page: 2,
+          refinementList: { brand: ['Apple', 'Samsung'] },
+          menu: { categories: 'Cell Phones' },
+          range: { price: '100:500' },
+        },
+      })
+    ).toBe(
+      'https://example.com/search/brand/Apple+Samsung/category/Cell-Phones/price/100:500?q=iphone&page=2#top'
+    );
+    expect(createURL({ qsModule: qs, location, routeState: {} })).toBe(
+      'https://example.com/search#top'
+    );
+  });
+
+  it('parses the URLs', () => {
+    const { parseURL } = createRoutePattern({ basePath: '/search', rules });
+
+    expect(
+      parseURL({
+        qsModule: qs,
+        location: createLocation(
+          'https://example.com/search/brand/Apple+Samsung/category/Cell-Phones?q=iphone&page=2'
+        ),
+      })
+    ).toEqual({
+      query: 'iphone',
+      page: 2,
+      refinementList: { brand: ['Apple', 'Samsung'] },
+      menu: { categories: 'Cell Phones' },
+    });
+  });
+
+  it('keeps the UI state not covered by the rules in the query string', () => {
+    const { createURL, parseURL } = createRoutePattern({
+      basePath: '/search',
+      rules,
+    });
+    const routeState = {
+      refinementList: { brand: ['Apple'], color: ['red'] },
+      sortBy: 'price_asc',
+    };
+    const url = createURL({ qsModule: qs, location, routeState });
+
+    expect(url).toBe(
+      `https://example.com/search/brand/Apple?${qs.stringify({
+        sortBy: 'price_asc',
+        refinementList: { color: ['red'] },
+      })}#top`
+    );
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      routeState
+    );
+  });
+
+  it('round-trips the values with special characters', () => {
+    const { createURL, parseURL } = createRoutePattern({ rules });
+    const routeState = {
+      query: 'a-b c~d',
+      refinementList: {
+        brand: ['T-Shirt Co', 'A / B', 'C+D', '100%', 'Été'],
+      },
+      menu: { categories: '~-- -' },
+    };
+    const url = createURL({ qsModule: qs, location, routeState });
+
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      routeState
+    );
+  });
+
+  it('uses the custom slugs', () => {
+    const { createURL, parseURL } = createRoutePattern({
+      rules: [
+        {
+          type: 'menu',
+          attribute: 'categories',
+          name: 'category',
+          slugs: { 'Cell Phones & Accessories': 'phones' },
+        },
+      ],
+    });
+    const routeState = { menu: { categories: 'Cell Phones & Accessories' } };
+    const url = createURL({ qsModule: qs, location, routeState });
+
+    expect(url).toBe('https://example.com/category/phones#top');
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      routeState
+    );
+  });
+
+  it('maps the UI state of a single index with `indexId`', () => {
+    const { createURL, parseURL } = createRoutePattern({
+      basePath: '/search',
+      indexId: 'products',
+      rules,
+    });
+    const routeState = {
+      products: { query: 'iphone', refinementList: { brand: ['Apple'] } },
+      articles: { query: 'iphone' },
+    };
+    const url = createURL({ qsModule: qs, location, routeState });
+
+    expect(url).toBe(
+      `https://example.com/search/brand/Apple?${qs.stringify({
+        articles: { query: 'iphone' },
+        q: 'iphone',
+      })}#top`
+    );
+    expect(parseURL({ qsModule: qs, location: createLocation(url) })).toEqual(
+      routeState
+    );
+  });
+
+  it('ignores the segments outside of the base path', () => {
+    const { parseURL } = createRoutePattern({ basePath: '/search', rules });
+
+    expect(
+      parseURL({
+        qsModule: qs,
+        location: createLocation('https://example.com/about/brand/Apple'),
+      })
+    ).toEqual({});
+  });
+
+  it('throws with duplicate names', () => {
+    expect(() =>
+      createRoutePattern({
+        rules: [
+          { type: 'query', name: 'q' },
+          { type: 'menu', attribute: 'brand', name: 'q' },
+        ],
+      })
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"The name \`q\` is used by several rules of the route pattern."`
+    );
+  });
+
+  it('throws with duplicate slugs', () => {
+    expect(() =>
+      createRoutePattern({
+        rules: [
+          {
+            type: 'menu',
+            attribute: 'brand',
+            name: 'brand',
+            slugs: { Apple: 'apple', 'Apple Inc.': 'apple' },
+          },
+        ],
+      })
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"The slug \`apple\` is used for several values of the rule \`menu.brand\`."`
+    );
+  });
+
+  it('plugs into the history router', () => {
+    window.history.pushState(
+      null,
+      '',
+      'http://localhost/search/brand/Apple?q=iphone'
+    );
+
+    const router = historyRouter(
+      createRoutePattern({ basePath: '/search', rules })
+    );
+
+    expect(router.read()).toEqual({
+      query: 'iphone',
+      refinementList: { brand: ['Apple'] },
+    });
+    expect(router.createURL({ page: 3 })).toBe(
+      'http://localhost/search?page=3'
+    );
+  });
+});
@@ -0,0 +1,95 @@
+import hashRouter from '../hash';
+
+const wait = (ms = 0) => new Promise(res => setTimeout(res, ms));
+
+describe('hash router', () => {
+  beforeEach(async () => {
+    window.history.pushState(null, '-- divider --', 'http://localhost/');
+
+    // The `hashchange` events of the previous tests are dispatched
+    // asynchronously.
+    await wait(0);
+  });
+
+  it('reads the route state from the hash', () => {
+    window.location.hash = '#/products?query=iphone&page=2';
+
+    const router = hashRouter();
+
+    expect(router.read()).toEqual({ query: 'iphone', page: '2' });
+  });
+
+  it('creates URLs keeping the path of the hash', () => {
+    window.history.pushState(null, '', 'http://localhost/search?lang=en');
+    window.location.hash = '#/products';
+
+    const router = hashRouter();
+
+    expect(router.createURL({ query: 'iphone' })).toBe(
+      'http://localhost/search?lang=en#/products?query=iphone'
+    );
+    expect(router.createURL({})).toBe(
+      'http://localhost/search?lang=en#/products'
+    );
+  });
+
+  it('writes after the delay', async () => {
+    const router = hashRouter({
+      writeDelay: 0,
+      windowTitle: ({ query }) => `Search: ${query}`,
+    });
+
+    router.write({ query: 'i' });
+    router.write({ query: 'iphone' });
+
+    expect(window.location.hash).toBe('');
+
+    await wait(0);
+
+    expect(window.location.hash).toBe('#?query=iphone');
+    expect(window.document.title).toBe('Search: iphone');
+  });
+
+  it('calls the callback on navigation but not on write', async () => {
+    const router = hashRouter({ writeDelay: 0 });
+    const callback = jest.fn();
+
+    router.onUpdate(callback);
+    router.write({ query: 'iphone' });
+
+    await wait(0);
+    await wait(0);
+
+    expect(callback).not.toHaveBeenCalled();
+
+    window.location.hash = '#?query=ipad';
+
+    await wait(0);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith({ query: 'ipad' });
+
+    router.dispose();
+  });
+
+  it('removes the listener and cleans up the hash on dispose', async () => {
+    window.location.hash = '#?query=iphone';
+
+    const router = hashRouter({ writeDelay: 0 });
+    const callback = jest.fn();
+
+    router.onUpdate(callback);
+    router.dispose();
+
+    await wait(0);
+    await wait(0);
+
+    expect(window.location.hash).toBe('');
+
+    window.location.hash = '#?query=ipad';
+
+    await wait(0);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
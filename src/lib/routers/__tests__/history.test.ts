@@ -33,4 +33,128 @@ describe('life cycle', () => {
       ]
     `);
   });
+
+  it('replaces the history entry when only the pagination changes', async () => {
+    const pushState = jest.spyOn(window.history, 'pushState');
+    const replaceState = jest.spyOn(window.history, 'replaceState');
+
+    const router = historyRouter({
+      writeDelay: 0,
+    });
+
+    router.write({ indexName: { query: 'iphone' } });
+    await wait(0);
+
+    router.write({ indexName: { query: 'iphone', page: 2 } });
+    await wait(0);
+
+    router.write({ indexName: { query: 'iphone', page: 3, hitsPerPage: 40 } });
+    await wait(0);
+
+    router.write({
+      indexName: { query: 'iphone', refinementList: { brand: ['Apple'] } },
+    });
+    await wait(0);
+
+    expect(pushState).toHaveBeenCalledTimes(2);
+    expect(pushState).toHaveBeenNthCalledWith(
+      1,
+      { indexName: { query: 'iphone' } },
+      '',
+      'http://localhost/?indexName%5Bquery%5D=iphone'
+    );
+    expect(pushState).toHaveBeenNthCalledWith(
+      2,
+      { indexName: { query: 'iphone', refinementList: { brand: ['Apple'] } } },
+      '',
+      'http://localhost/?indexName%5Bquery%5D=iphone&indexName%5BrefinementList%5D%5Bbrand%5D%5B0%5D=Apple'
+    );
+    expect(replaceState).toHaveBeenCalledTimes(2);
+    expect(replaceState).toHaveBeenLastCalledWith(
+      { indexName: { query: 'iphone', page: 3, hitsPerPage: 40 } },
+      '',
+      'http://localhost/?indexName%5Bquery%5D=iphone&indexName%5Bpage%5D=3&indexName%5BhitsPerPage%5D=40'
+    );
+  });
+
+  it('compares the first write with the route state of the URL', async () => {
+    window.history.pushState(null, '', 'http://localhost/?query=iphone');
+
+    const pushState = jest.spyOn(window.history, 'pushState');
+    const replaceState = jest.spyOn(window.history, 'replaceState');
+
+    const router = historyRouter({
+      writeDelay: 0,
+    });
+
+    router.write({ query: 'iphone', page: 2 });
+    await wait(0);
+
+    expect(pushState).not.toHaveBeenCalled();
+    expect(replaceState).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses the history mode of the options', async () => {
+    const pushState = jest.spyOn(window.history, 'pushState');
+    const replaceState = jest.spyOn(window.history, 'replaceState');
+
+    const replaceRouter = historyRouter({
+      writeDelay: 0,
+      historyMode: 'replace',
+    });
+
+    replaceRouter.write({ query: 'iphone' });
+    await wait(0);
+
+    expect(pushState).not.toHaveBeenCalled();
+    expect(replaceState).toHaveBeenCalledTimes(1);
+
+    const pushRouter = historyRouter({
+      writeDelay: 0,
+      historyMode: 'push',
+    });
+
+    pushRouter.write({ query: 'iphone', page: 2 });
+    await wait(0);
+
+    expect(pushState).toHaveBeenCalledTimes(1);
+    expect(replaceState).toHaveBeenCalledTimes(1);
+  });
+
+  it('calls the history mode function with the route states', async () => {
+    const pushState = jest.spyOn(window.history, 'pushState');
+    const replaceState = jest.spyOn(window.history, 'replaceState');
+    const historyMode = jest.fn(({ routeState }) =>
+      routeState.query === 'iphone' ? 'push' : 'replace'
+    );
+
+    const router = historyRouter({
+      writeDelay: 0,
+      historyMode,
+    });
+
+    router.write({ query: 'iphone' });
+    await wait(0);
+
+    router.write({ query: 'iphone', refinementList: { brand: ['Apple'] } });
+    await wait(0);
+
+    router.write({ query: 'ipad' });
+    await wait(0);
+
+    expect(historyMode).toHaveBeenCalledTimes(3);
+    expect(historyMode).toHaveBeenNthCalledWith(1, {
+      previousRouteState: {},
+      routeState: { query: 'iphone' },
+    });
+    expect(historyMode).toHaveBeenNthCalledWith(3, {
+      previousRouteState: {
+        query: 'iphone',
+        refinementList: { brand: ['Apple'] },
+      },
+      routeState: { query: 'ipad' },
+    });
+    expect(pushState).toHaveBeenCalledTimes(2);
+    expect(replaceState).toHaveBeenCalledTimes(1);
+  });
 });
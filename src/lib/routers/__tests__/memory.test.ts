@@ -0,0 +1,122 @@
+import memoryRouter from '../memory';
+import InstantSearch from '../../InstantSearch';
+import connectSearchBox from '../../../connectors/search-box/connectSearchBox';
+import { createSearchClient } from '../../../../test/mock/createSearchClient';
+import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
+import { noop } from '../../utils';
+
+describe('memory router', () => {
+  it('reads the initial route', () => {
+    const router = memoryRouter({ initialRoute: { query: 'iphone' } });
+
+    expect(router.read()).toEqual({ query: 'iphone' });
+    expect(memoryRouter().read()).toEqual({});
+  });
+
+  it('writes the route states on the stack', () => {
+    const router = memoryRouter();
+
+    router.write({ query: 'i' });
+    router.write({ query: 'iphone' });
+
+    expect(router.read()).toEqual({ query: 'iphone' });
+  });
+
+  it('goes back and forward in the stack', () => {
+    const router = memoryRouter({ initialRoute: { query: 'i' } });
+    const callback = jest.fn();
+
+    router.onUpdate(callback);
+    router.write({ query: 'ip' });
+    router.write({ query: 'iphone' });
+
+    expect(callback).not.toHaveBeenCalled();
+
+    router.back();
+    router.back();
+
+    expect(router.read()).toEqual({ query: 'i' });
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(callback).toHaveBeenLastCalledWith({ query: 'i' });
+
+    // There's no entry before the first one.
+    router.back();
+
+    expect(callback).toHaveBeenCalledTimes(2);
+
+    router.forward();
+
+    expect(router.read()).toEqual({ query: 'ip' });
+    expect(callback).toHaveBeenLastCalledWith({ query: 'ip' });
+  });
+
+  it('drops the next entries on write', () => {
+    const router = memoryRouter();
+
+    router.write({ query: 'iphone' });
+    router.back();
+    router.write({ query: 'ipad' });
+    router.forward();
+
+    expect(router.read()).toEqual({ query: 'ipad' });
+  });
+
+  it('creates relative URLs', () => {
+    const router = memoryRouter({
+      createURL: ({ qsModule, routeState }) =>
+        `/search?${qsModule.stringify(routeState)}`,
+    });
+
+    expect(memoryRouter().createURL({ query: 'iphone', page: 2 })).toBe(
+      '?query=iphone&page=2'
+    );
+    expect(memoryRouter().createURL({})).toBe('');
+    expect(router.createURL({ query: 'iphone' })).toBe('/search?query=iphone');
+  });
+
+  it('removes the callbacks on dispose', () => {
+    const router = memoryRouter();
+    const callback = jest.fn();
+
+    router.onUpdate(callback);
+    router.write({ query: 'iphone' });
+    router.dispose();
+    router.back();
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('syncs the UI state of InstantSearch', async () => {
+    const router = memoryRouter({
+      initialRoute: { indexName: { query: 'i' } },
+    });
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      routing: { router },
+    });
+
+    search.addWidgets([connectSearchBox(noop)({})]);
+    search.start();
+
+    expect(search.helper!.state.query).toBe('i');
+
+    search.helper!.setQuery('iphone').search();
+
+    await runAllMicroTasks();
+
+    expect(router.read()).toEqual({ indexName: { query: 'iphone' } });
+
+    router.back();
+
+    await runAllMicroTasks();
+
+    expect(search.helper!.state.query).toBe('i');
+
+    router.forward();
+
+    await runAllMicroTasks();
+
+    expect(search.helper!.state.query).toBe('iphone');
+  });
+});
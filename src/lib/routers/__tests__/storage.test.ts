@@ -0,0 +1,171 @@
+import storageRouter from '../storage';
+import InstantSearch from '../../InstantSearch';
+import connectSearchBox from '../../../connectors/search-box/connectSearchBox';
+import { createSearchClient } from '../../../../test/mock/createSearchClient';
+import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
+import { noop } from '../../utils';
+
+function dispatchStorageEvent(key: string, storageArea: Storage) {
+  window.dispatchEvent(new StorageEvent('storage', { key, storageArea }));
+}
+
+describe('storage router', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+  });
+
+  it('persists the route state to the local storage', () => {
+    const router = storageRouter();
+
+    expect(router.read()).toEqual({});
+
+    router.write({ query: 'iphone' });
+
+    expect(router.read()).toEqual({ query: 'iphone' });
+    expect(JSON.parse(window.localStorage.getItem('instantsearch')!)).toEqual({
+      routeState: { query: 'iphone' },
+      expiresAt: null,
+    });
+    expect(storageRouter().read()).toEqual({ query: 'iphone' });
+  });
+
+  it('persists the route state to a custom storage and key', () => {
+    const router = storageRouter({
+      key: 'search',
+      storage: window.sessionStorage,
+    });
+
+    router.write({ query: 'iphone' });
+
+    expect(window.sessionStorage.getItem('search')).not.toBeNull();
+    expect(window.localStorage.getItem('search')).toBeNull();
+    expect(storageRouter().read()).toEqual({});
+  });
+
+  it('discards the expired route state', () => {
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    const router = storageRouter({ ttl: 500 });
+
+    router.write({ query: 'iphone' });
+    dateNow.mockReturnValue(1499);
+
+    expect(router.read()).toEqual({ query: 'iphone' });
+
+    dateNow.mockReturnValue(1500);
+
+    expect(router.read()).toEqual({});
+    expect(window.localStorage.getItem('instantsearch')).toBeNull();
+
+    dateNow.mockRestore();
+  });
+
+  it('ignores the malformed items', () => {
+    const router = storageRouter();
+
+    window.localStorage.setItem('instantsearch', '{"query":');
+
+    expect(router.read()).toEqual({});
+
+    window.localStorage.setItem('instantsearch', '"iphone"');
+
+    expect(router.read()).toEqual({});
+  });
+
+  it('does not throw when the storage is unavailable', () => {
+    const storage = {
+      getItem: jest.fn(() => {
+        throw new Error('SecurityError');
+      }),
+      setItem: jest.fn(() => {
+        throw new Error('QuotaExceededError');
+      }),
+    } as any;
+    const router = storageRouter({ storage });
+
+    expect(() => router.write({ query: 'iphone' })).not.toThrow();
+    expect(router.read()).toEqual({});
+  });
+
+  it('calls the callback when another tab persists the route state', () => {
+    const router = storageRouter();
+    const callback = jest.fn();
+
+    router.onUpdate(callback);
+    window.localStorage.setItem(
+      'instantsearch',
+      JSON.stringify({ routeState: { query: 'iphone' }, expiresAt: null })
+    );
+
+    dispatchStorageEvent('other', window.localStorage);
+    dispatchStorageEvent('instantsearch', window.sessionStorage);
+
+    expect(callback).not.toHaveBeenCalled();
+
+    dispatchStorageEvent('instantsearch', window.localStorage);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith({ query: 'iphone' });
+
+    router.dispose();
+  });
+
+  it('does not change the URL of the links', () => {
+    expect(storageRouter().createURL()).toBe('#');
+  });
+
+  it('removes the listener and keeps the route state on dispose', () => {
+    const router = storageRouter();
+    const callback = jest.fn();
+
+    router.onUpdate(callback);
+    router.write({ query: 'iphone' });
+    router.dispose();
+    dispatchStorageEvent('instantsearch', window.localStorage);
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(router.read()).toEqual({ query: 'iphone' });
+  });
+
+  it('syncs the UI state of InstantSearch', async () => {
+    window.localStorage.setItem(
+      'instantsearch',
+      JSON.stringify({
+        routeState: { indexName: { query: 'i' } },
+        expiresAt: null,
+      })
+    );
+
+    const search = new InstantSearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+      routing: { router: storageRouter() },
+    });
+
+    search.addWidgets([connectSearchBox(noop)({})]);
+    search.start();
+
+    expect(search.helper!.state.query).toBe('i');
+
+    search.helper!.setQuery('iphone').search();
+
+    await runAllMicroTasks();
+
+    expect(storageRouter().read()).toEqual({ indexName: { query: 'iphone' } });
+
+    window.localStorage.setItem(
+      'instantsearch',
+      JSON.stringify({
+        routeState: { indexName: { query: 'ipad' } },
+        expiresAt: null,
+      })
+    );
+    dispatchStorageEvent('instantsearch', window.localStorage);
+
+    await runAllMicroTasks();
+
+    expect(search.helper!.state.query).toBe('ipad');
+
+    search.dispose();
+  });
+});
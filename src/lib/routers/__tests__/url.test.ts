@@ -0,0 +1,38 @@
+import { buildURL } from '../url';
+
+describe('buildURL', () => {
+  const location = {
+    protocol: 'https:',
+    hostname: 'example.com',
+    port: '',
+    pathname: '/search',
+    search: '?query=iphone',
+    hash: '#top',
+  };
+
+  it('replaces the query string of the location', () => {
+    expect(buildURL({ location, queryString: 'query=ipad' })).toBe(
+      'https://example.com/search?query=ipad#top'
+    );
+    expect(buildURL({ location, queryString: '' })).toBe(
+      'https://example.com/search#top'
+    );
+  });
+
+  it('keeps the port of the location', () => {
+    expect(
+      buildURL({ location: { ...location, port: '8080' }, queryString: '' })
+    ).toBe('https://example.com:8080/search#top');
+  });
+
+  it('replaces the path and the hash of the location', () => {
+    expect(
+      buildURL({
+        location,
+        pathname: '/products',
+        queryString: 'page=2',
+        hash: '',
+      })
+    ).toBe('https://example.com/products?page=2');
+  });
+});
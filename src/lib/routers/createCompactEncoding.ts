@@ -0,0 +1,231 @@
+import qs from 'qs';
+import { RouteState } from '../../types';
+import { compressToBase64Url, decompressFromBase64Url } from '../utils';
+import { RouterLocation, PARSE_OPTIONS, buildURL } from './url';
+
+export type CompactEncodingOptions = {
+  /**
+   * Short aliases for the keys of the route state, e.g. the index ids or the
+   * attributes: `{ instant_search: 'is', brand: 'b' }`. They're added to the
+   * default aliases of the UI state keys (e.g. `rl` for `refinementList`).
+   */
+  aliases?: { [key: string]: string };
+  /**
+   * Writes the whole route state in this single query parameter, as JSON
+   * compressed in base64url, instead of the compact query string.
+   */
+  payloadParam?: string;
+};
+
+const DEFAULT_ALIASES: { [key: string]: string } = {
+  query: 'q',
+  page: 'p',
+  hitsPerPage: 'hpp',
+  sortBy: 's',
+  refinementList: 'rl',
+  menu: 'm',
+  hierarchicalMenu: 'hm',
+  numericMenu: 'nm',
+  ratingMenu: 'rm',
+  range: 'r',
+  toggle: 't',
+  geoSearch: 'gs',
+  places: 'pl',
+  configure: 'c',
+};
+
+// The values of the arrays are separated by raw commas in the query string,
+// while the commas of the values are percent-encoded. The decoded arrays are
+// joined with this character until they're split back.
+const ARRAY_SEPARATOR = '\u0000';
+
+// The keys that collide with an alias are escaped with this prefix.
+const ESCAPE_PREFIX = '~';
+
+function encodeQueryComponent(value: string): string {
+  return encodeURIComponent(value)
+    .replace(/%20/g, '+')
+    .replace(/%3A/g, ':');
+}
+
+function decodeQueryComponent(value: string): string {
+  const decodedValue = value.replace(/\+/g, ' ');
+
+  try {
+    return decodeURIComponent(decodedValue);
+  } catch (error) {
+    // The value is kept as is when it's not properly encoded, like `qs` does.
+    return decodedValue;
+  }
+}
+
+function mapKeys(
+  value: any,
+  mapKey: (key: string) => string,
+  mapValue: (value: any) => any
+): any {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.keys(value).reduce(
+      (acc, key) => ({
+        ...acc,
+        [mapKey(key)]: mapKeys(value[key], mapKey, mapValue),
+      }),
+      {}
+    );
+  }
+
+  return mapValue(value);
+}
+
+// The legacy links use the `qs` format in which the arrays are parsed by `qs`.
+function parseArrays(value: any): any {
+  if (typeof value !== 'string' || value.indexOf(ARRAY_SEPARATOR) === -1) {
+    return value;
+  }
+
+  // The empty arrays are written with a single comma, and the arrays with a
+  // single value with a trailing comma.
+  if (value === ARRAY_SEPARATOR) {
+    return [];
+  }
+
+  const values = value.split(ARRAY_SEPARATOR);
+
+  return values[values.length - 1] === '' ? values.slice(0, -1) : values;
+}
+
+function serializeValue(value: any): string {
+  if (!Array.isArray(value)) {
+    return encodeQueryComponent(String(value));
+  }
+
+  const serializedValue = value
+    .map(item => encodeQueryComponent(String(item)))
+    .join(',');
+
+  return value.length > 1 ? serializedValue : `${serializedValue},`;
+}
+
+/**
+ * Creates the `createURL` and `parseURL` functions of the history router that
+ * write shorter URLs than the default `qs` format: the keys are replaced by
+ * aliases and the arrays are comma-separated, e.g.
+ * `?instant_search[rl][brand]=Apple,Samsung` instead of
+ * `?instant_search%5BrefinementList%5D%5Bbrand%5D%5B0%5D=Apple&...`. The whole
+ * state can also be written in a single compressed parameter with
+ * `payloadParam`. The URLs written in the default format are still parsed,
+ * which keeps the existing links working.
+ *
+ * Usage:
+ * ```javascript
+ * instantsearch.routers.history(
+ *   instantsearch.routers.createCompactEncoding({
+ *     aliases: { instant_search: 'is' },
+ *   })
+ * );
+ * ```
+ */
+export default function createCompactEncoding({
+  aliases: userAliases = {},
+  payloadParam,
+}: CompactEncodingOptions = {}) {
+  const aliases = { ...DEFAULT_ALIASES, ...userAliases };
+  const keysByAlias = Object.keys(aliases).reduce<{ [alias: string]: string }>(
+    (acc, key) => {
+      if (acc[aliases[key]] !== undefined) {
+        throw new Error(
+          `The alias \`${aliases[key]}\` is used for several keys.`
+        );
+      }
+
+      return { ...acc, [aliases[key]]: key };
+    },
+    {}
+  );
+
+  const encodeKey = (key: string): string => {
+    if (aliases[key] !== undefined) {
+      return aliases[key];
+    }
+
+    return keysByAlias[key] !== undefined || key.indexOf(ESCAPE_PREFIX) === 0
+      ? `${ESCAPE_PREFIX}${key}`
+      : key;
+  };
+
+  const decodeKey = (key: string): string => {
+    if (key.indexOf(ESCAPE_PREFIX) === 0) {
+      return key.slice(ESCAPE_PREFIX.length);
+    }
+
+    return keysByAlias[key] !== undefined ? keysByAlias[key] : key;
+  };
+
+  const stringify = (qsModule: typeof qs, routeState: RouteState): string => {
+    if (payloadParam) {
+      return Object.keys(routeState).length > 0
+        ? `${encodeQueryComponent(payloadParam)}=${compressToBase64Url(
+            JSON.stringify(mapKeys(routeState, encodeKey, value => value))
+          )}`
+        : '';
+    }
+
+    // The keys and the values are encoded beforehand to keep the commas of the
+    // arrays and the brackets of the nested keys readable.
+    return qsModule.stringify(
+      mapKeys(
+        routeState,
+        key => encodeQueryComponent(encodeKey(key)),
+        serializeValue
+      ),
+      { encode: false }
+    );
+  };
+
+  const parse = (qsModule: typeof qs, queryString: string): RouteState => {
+    const query = qsModule.parse(queryString, {
+      ...PARSE_OPTIONS,
+      decoder: value =>
+        value
+          .split(',')
+          .map(decodeQueryComponent)
+          .join(ARRAY_SEPARATOR),
+    });
+
+    if (payloadParam && typeof query[payloadParam] === 'string') {
+      try {
+        return mapKeys(
+          JSON.parse(decompressFromBase64Url(query[payloadParam])),
+          decodeKey,
+          value => value
+        );
+      } catch (error) {
+        // The payload is malformed, e.g. truncated when copied.
+        return {};
+      }
+    }
+
+    return mapKeys(query, decodeKey, parseArrays);
+  };
+
+  const createURL = ({
+    qsModule,
+    routeState,
+    location,
+  }: {
+    qsModule: typeof qs;
+    routeState: RouteState;
+    location: RouterLocation;
+  }): string =>
+    buildURL({ location, queryString: stringify(qsModule, routeState) });
+
+  const parseURL = ({
+    qsModule,
+    location,
+  }: {
+    qsModule: typeof qs;
+    location: RouterLocation;
+  }): RouteState => parse(qsModule, location.search.slice(1));
+
+  return { createURL, parseURL };
+}
@@ -0,0 +1,369 @@
+import qs from 'qs';
+import { IndexUiState, RouteState } from '../../types';
+import { RouterLocation, PARSE_OPTIONS, buildURL } from './url';
+
+type AttributeRuleType =
+  | 'refinementList'
+  | 'menu'
+  | 'hierarchicalMenu'
+  | 'range';
+
+type ParameterRule = {
+  type: 'query' | 'page';
+  /**
+   * The name of the path segment or of the query parameter.
+   */
+  name: string;
+  /**
+   * Defaults to `query`.
+   */
+  in?: 'path' | 'query';
+};
+
+type AttributeRule = {
+  type: AttributeRuleType;
+  attribute: string;
+  /**
+   * The name of the path segment or of the query parameter.
+   */
+  name: string;
+  /**
+   * Defaults to `path`.
+   */
+  in?: 'path' | 'query';
+  /**
+   * Custom slugs for some values, e.g. `{ 'Cell Phones': 'phones' }`. The
+   * other values are slugified with a reversible encoding.
+   */
+  slugs?: { [value: string]: string };
+};
+
+export type RoutePatternRule = ParameterRule | AttributeRule;
+
+export type RoutePatternOptions = {
+  /**
+   * The path before the segments of the pattern, e.g. `/search`.
+   */
+  basePath?: string;
+  /**
+   * The id of the index whose UI state is mapped, when the route state holds
+   * the UI state of several indices (e.g. with the `simple` state mapping).
+   * Without it, the route state is the UI state of a single index (e.g. with
+   * the `singleIndex` state mapping).
+   */
+  indexId?: string;
+  rules: RoutePatternRule[];
+};
+
+const VALUES_SEPARATOR = '+';
+
+// The spaces are replaced by dashes for readability, the actual dashes and the
+// tildes are escaped with a tilde to keep the encoding reversible.
+function slugify(value: string): string {
+  return encodeURIComponent(
+    value
+      .replace(/~/g, '~~')
+      .replace(/-/g, '~-')
+      .replace(/ /g, '-')
+  ).replace(/%3A/g, ':');
+}
+
+function unslugify(slug: string): string {
+  return decodeURIComponent(slug).replace(/~(.)|-/g, (match, escaped) =>
+    match === '-' ? ' ' : escaped
+  );
+}
+
+function isAttributeRule(rule: RoutePatternRule): rule is AttributeRule {
+  return rule.type !== 'query' && rule.type !== 'page';
+}
+
+function getRuleKey(rule: RoutePatternRule): string {
+  return isAttributeRule(rule) ? `${rule.type}.${rule.attribute}` : rule.type;
+}
+
+function getRuleValue(indexUiState: IndexUiState, rule: RoutePatternRule): any {
+  if (!isAttributeRule(rule)) {
+    return indexUiState[rule.type];
+  }
+
+  const values = indexUiState[rule.type];
+
+  return values && (values as { [attribute: string]: any })[rule.attribute];
+}
+
+function omitRuleValue(
+  indexUiState: IndexUiState,
+  rule: RoutePatternRule
+): IndexUiState {
+  const rest = { ...indexUiState };
+
+  if (!isAttributeRule(rule)) {
+    delete rest[rule.type];
+
+    return rest;
+  }
+
+  const otherValues = { ...indexUiState[rule.type] };
+
+  delete otherValues[rule.attribute];
+  delete rest[rule.type];
+
+  return Object.keys(otherValues).length > 0
+    ? { ...rest, [rule.type]: otherValues }
+    : rest;
+}
+
+function setRuleValue(
+  indexUiState: IndexUiState,
+  rule: RoutePatternRule,
+  value: any
+): IndexUiState {
+  if (!isAttributeRule(rule)) {
+    return { ...indexUiState, [rule.type]: value };
+  }
+
+  return {
+    ...indexUiState,
+    [rule.type]: {
+      ...indexUiState[rule.type],
+      [rule.attribute]: value,
+    },
+  };
+}
+
+function encodeValue(rule: RoutePatternRule, value: string): string {
+  if (!isAttributeRule(rule)) {
+    return slugify(String(value));
+  }
+
+  return rule.slugs && rule.slugs[value] !== undefined
+    ? rule.slugs[value]
+    : slugify(value);
+}
+
+function decodeValue(
+  valuesBySlug: { [slug: string]: string },
+  slug: string
+): string {
+  return valuesBySlug[slug] !== undefined
+    ? valuesBySlug[slug]
+    : unslugify(slug);
+}
+
+function serializeRuleValue(rule: RoutePatternRule, value: any): string {
+  return rule.type === 'refinementList' || rule.type === 'hierarchicalMenu'
+    ? (value as string[])
+        .map(item => encodeValue(rule, item))
+        .join(VALUES_SEPARATOR)
+    : encodeValue(rule, value);
+}
+
+function parseRuleValue(
+  rule: RoutePatternRule,
+  valuesBySlug: { [slug: string]: string },
+  serializedValue: string
+): any {
+  switch (rule.type) {
+    case 'page':
+      return Number(unslugify(serializedValue));
+    case 'refinementList':
+    case 'hierarchicalMenu':
+      return serializedValue
+        .split(VALUES_SEPARATOR)
+        .map(slug => decodeValue(valuesBySlug, slug));
+    default:
+      return decodeValue(valuesBySlug, serializedValue);
+  }
+}
+
+function isEmptyValue(value: any): boolean {
+  return (
+    value === undefined ||
+    value === '' ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Creates the `createURL` and `parseURL` functions of the history router from
+ * declarative rules: the values of the UI state of an index are written in
+ * path segments (e.g. `/search/brand/Apple/category/Phones?page=2`) or in
+ * query parameters. The UI state that isn't covered by the rules is kept in
+ * the query string. The values are slugified with a reversible encoding, so
+ * that parsing a created URL always gives back the same route state.
+ *
+ * Usage:
+ * ```javascript
+ * instantsearch.routers.history({
+ *   ...instantsearch.routers.createRoutePattern({
+ *     basePath: '/search',
+ *     indexId: 'instant_search',
+ *     rules: [
+ *       { type: 'refinementList', attribute: 'brand', name: 'brand' },
+ *       { type: 'menu', attribute: 'categories', name: 'category' },
+ *       { type: 'page', name: 'page' },
+ *     ],
+ *   }),
+ * });
+ * ```
+ */
+export default function createRoutePattern({
+  basePath = '',
+  indexId,
+  rules,
+}: RoutePatternOptions) {
+  const normalizedBasePath = basePath.replace(/\/$/, '');
+  const pathRules = rules.filter(rule =>
+    rule.in ? rule.in === 'path' : isAttributeRule(rule)
+  );
+  const queryRules = rules.filter(rule => pathRules.indexOf(rule) === -1);
+  const valuesBySlugByRule = rules.map(rule => {
+    const slugs = (isAttributeRule(rule) && rule.slugs) || {};
+
+    return Object.keys(slugs).reduce<{ [slug: string]: string }>(
+      (acc, value) => {
+        if (acc[slugs[value]] !== undefined) {
+          throw new Error(
+            `The slug \`${
+              slugs[value]
+            }\` is used for several values of the rule \`${getRuleKey(rule)}\`.`
+          );
+        }
+
+        return { ...acc, [slugs[value]]: value };
+      },
+      {}
+    );
+  });
+
+  rules.forEach((rule, position) => {
+    const isDuplicate = rules.some(
+      (otherRule, otherPosition) =>
+        otherPosition < position && otherRule.name === rule.name
+    );
+
+    if (isDuplicate) {
+      throw new Error(
+        `The name \`${rule.name}\` is used by several rules of the route pattern.`
+      );
+    }
+  });
+
+  const createURL = ({
+    qsModule,
+    routeState,
+    location,
+  }: {
+    qsModule: typeof qs;
+    routeState: RouteState;
+    location: RouterLocation;
+  }): string => {
+    const indexUiState: IndexUiState =
+      (indexId === undefined ? routeState : routeState[indexId]) || {};
+
+    const path = pathRules.reduce((acc, rule) => {
+      const value = getRuleValue(indexUiState, rule);
+
+      return isEmptyValue(value)
+        ? acc
+        : `${acc}/${encodeURIComponent(rule.name)}/${serializeRuleValue(
+            rule,
+            value
+          )}`;
+    }, normalizedBasePath);
+
+    const remainingUiState = rules.reduce(omitRuleValue, indexUiState);
+    const queryParameters = queryRules.reduce((acc, rule) => {
+      const value = getRuleValue(indexUiState, rule);
+
+      return isEmptyValue(value)
+        ? acc
+        : { ...acc, [rule.name]: serializeRuleValue(rule, value) };
+    }, {});
+
+    let remainingRouteState: RouteState = remainingUiState;
+
+    if (indexId !== undefined) {
+      remainingRouteState = { ...routeState };
+
+      if (Object.keys(remainingUiState).length > 0) {
+        remainingRouteState[indexId] = remainingUiState;
+      } else {
+        delete remainingRouteState[indexId];
+      }
+    }
+
+    const queryString = qsModule.stringify({
+      ...remainingRouteState,
+      ...queryParameters,
+    });
+
+    return buildURL({ location, pathname: path || '/', queryString });
+  };
+
+  const parseURL = ({
+    qsModule,
+    location,
+  }: {
+    qsModule: typeof qs;
+    location: RouterLocation;
+  }): RouteState => {
+    const { ...query } = qsModule.parse(
+      location.search.slice(1),
+      PARSE_OPTIONS
+    );
+    const serializedValues: { [name: string]: string } = {};
+
+    queryRules.forEach(rule => {
+      if (typeof query[rule.name] === 'string') {
+        serializedValues[rule.name] = query[rule.name];
+      }
+
+      delete query[rule.name];
+    });
+
+    if (location.pathname.indexOf(normalizedBasePath) === 0) {
+      const segments = location.pathname
+        .slice(normalizedBasePath.length)
+        .split('/')
+        .filter(Boolean);
+
+      for (let i = 0; i < segments.length - 1; i += 2) {
+        const name = decodeURIComponent(segments[i]);
+
+        if (pathRules.some(rule => rule.name === name)) {
+          serializedValues[name] = segments[i + 1];
+        }
+      }
+    }
+
+    const remainingUiState: IndexUiState =
+      (indexId === undefined ? query : query[indexId]) || {};
+    const indexUiState = rules.reduce(
+      (acc, rule, position) =>
+        serializedValues[rule.name] === undefined
+          ? acc
+          : setRuleValue(
+              acc,
+              rule,
+              parseRuleValue(
+                rule,
+                valuesBySlugByRule[position],
+                serializedValues[rule.name]
+              )
+            ),
+      remainingUiState
+    );
+
+    if (indexId === undefined) {
+      return indexUiState;
+    }
+
+    return Object.keys(indexUiState).length > 0
+      ? { ...query, [indexId]: indexUiState }
+      : query;
+  };
+
+  return { createURL, parseURL };
+}
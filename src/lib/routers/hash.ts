@@ -0,0 +1,205 @@
+import qs from 'qs';
+import { Router, RouteState } from '../../types';
+import { PARSE_OPTIONS, buildURL } from './url';
+
+type CreateURL = ({
+  qsModule,
+  routeState,
+  location,
+}: {
+  qsModule: typeof qs;
+  routeState: RouteState;
+  location: Location;
+}) => string;
+
+type ParseURL = ({
+  qsModule,
+  location,
+}: {
+  qsModule: typeof qs;
+  location: Location;
+}) => RouteState;
+
+type HashRouterArgs = {
+  windowTitle?: (routeState: RouteState) => string;
+  writeDelay?: number;
+  createURL?: CreateURL;
+  parseURL?: ParseURL;
+};
+
+// The hash is made of an optional path owned by the app and of the query
+// string of the route state, e.g. `#/products?query=iphone`.
+const splitHash = (hash: string): { path: string; queryString: string } => {
+  const [path, ...queryString] = hash.replace(/^#/, '').split('?');
+
+  return { path, queryString: queryString.join('?') };
+};
+
+const defaultCreateURL: CreateURL = ({ qsModule, routeState, location }) => {
+  const { path } = splitHash(location.hash);
+  const queryString = qsModule.stringify(routeState);
+
+  // The query string of the page is left untouched.
+  return buildURL({
+    location,
+    queryString: location.search.slice(1),
+    hash: queryString ? `#${path}?${queryString}` : path && `#${path}`,
+  });
+};
+
+const defaultParseURL: ParseURL = ({ qsModule, location }) =>
+  qsModule.parse(splitHash(location.hash).queryString, PARSE_OPTIONS);
+
+const getHash = (url: string): string => {
+  const hashIndex = url.indexOf('#');
+
+  return hashIndex === -1 ? '' : url.slice(hashIndex);
+};
+
+const setWindowTitle = (title?: string): void => {
+  if (title) {
+    window.document.title = title;
+  }
+};
+
+class HashRouter implements Router {
+  /**
+   * Transforms a UI state into a title for the page.
+   */
+  private readonly windowTitle?: HashRouterArgs['windowTitle'];
+  /**
+   * Time in milliseconds before performing a write in the hash.
+   * It prevents from adding too many entries in the history and
+   * makes the back button more usable.
+   *
+   * @default 400
+   */
+  private readonly writeDelay: Required<HashRouterArgs>['writeDelay'];
+  /**
+   * Creates a full URL based on the route state.
+   * The storage adaptor maps all syncable keys to the query string of the hash.
+   */
+  private readonly _createURL: Required<HashRouterArgs>['createURL'];
+  /**
+   * Parses the URL into a route state.
+   * It should be symetrical to `createURL`.
+   */
+  private readonly parseURL: Required<HashRouterArgs>['parseURL'];
+
+  private writeTimer?: number;
+  private writtenHash?: string;
+  private _onHashChange?(): void;
+
+  /**
+   * Initializes a new storage provider that syncs the search state to the hash
+   * of the URL (`window.location.hash` and `onhashchange` event). It doesn't
+   * rely on the history API, which makes it usable on static hosts and in
+   * webviews that don't support it.
+   */
+  public constructor(
+    {
+      windowTitle,
+      writeDelay = 400,
+      createURL = defaultCreateURL,
+      parseURL = defaultParseURL,
+    }: HashRouterArgs = {} as HashRouterArgs
+  ) {
+    this.windowTitle = windowTitle;
+    this.writeTimer = undefined;
+    this.writeDelay = writeDelay;
+    this._createURL = createURL;
+    this.parseURL = parseURL;
+
+    const title = this.windowTitle && this.windowTitle(this.read());
+
+    setWindowTitle(title);
+  }
+
+  /**
+   * Reads the hash and returns a syncable UI search state.
+   */
+  public read(): RouteState {
+    return this.parseURL({ qsModule: qs, location: window.location });
+  }
+
+  /**
+   * Writes a search state into the hash.
+   */
+  public write(routeState: RouteState): void {
+    const hash = getHash(this.createURL(routeState));
+    const title = this.windowTitle && this.windowTitle(routeState);
+
+    if (this.writeTimer) {
+      window.clearTimeout(this.writeTimer);
+    }
+
+    this.writeTimer = window.setTimeout(() => {
+      setWindowTitle(title);
+
+      // Setting the same hash doesn't trigger the `hashchange` event.
+      if (hash !== window.location.hash) {
+        this.writtenHash = hash;
+        window.location.hash = hash;
+      }
+
+      this.writeTimer = undefined;
+    }, this.writeDelay);
+  }
+
+  /**
+   * Sets a callback on the `onhashchange` event of the current page. The
+   * changes of the hash made by `write` are ignored.
+   */
+  public onUpdate(callback: (routeState: RouteState) => void): void {
+    this._onHashChange = () => {
+      // The `hashchange` event is also triggered by the writes of the router.
+      if (window.location.hash === this.writtenHash) {
+        this.writtenHash = undefined;
+        return;
+      }
+
+      if (this.writeTimer) {
+        window.clearTimeout(this.writeTimer);
+        this.writeTimer = undefined;
+      }
+
+      callback(this.read());
+    };
+
+    window.addEventListener('hashchange', this._onHashChange);
+  }
+
+  /**
+   * Creates a complete URL from a given syncable UI state.
+   *
+   * It always generates the full URL, not a relative one.
+   * This allows to handle cases like using a <base href>.
+   * See: https://github.com/algolia/instantsearch.js/issues/790
+   */
+  public createURL(routeState: RouteState): string {
+    return this._createURL({
+      qsModule: qs,
+      routeState,
+      location: window.location,
+    });
+  }
+
+  /**
+   * Removes the event listener and cleans up the hash.
+   */
+  public dispose(): void {
+    if (this._onHashChange) {
+      window.removeEventListener('hashchange', this._onHashChange);
+    }
+
+    if (this.writeTimer) {
+      window.clearTimeout(this.writeTimer);
+    }
+
+    this.write({});
+  }
+}
+
+export default function(props?: HashRouterArgs): HashRouter {
+  return new HashRouter(props);
+}
@@ -1,5 +1,6 @@
 import qs from 'qs';
 import { Router, RouteState } from '../../types';
+import { PARSE_OPTIONS, buildURL } from './url';
 
 type CreateURL = ({
   qsModule,
@@ -19,38 +20,84 @@ type ParseURL = ({
   location: Location;
 }) => RouteState;
 
+export type HistoryMode = 'push' | 'replace';
+
+type HistoryModePolicy = ({
+  previousRouteState,
+  routeState,
+}: {
+  previousRouteState: RouteState;
+  routeState: RouteState;
+}) => HistoryMode;
+
 type BrowserHistoryArgs = {
   windowTitle?: (routeState: RouteState) => string;
   writeDelay?: number;
   createURL?: CreateURL;
   parseURL?: ParseURL;
+  historyMode?: HistoryMode | HistoryModePolicy;
 };
 
-const defaultCreateURL: CreateURL = ({ qsModule, routeState, location }) => {
-  const { protocol, hostname, port = '', pathname, hash } = location;
-  const queryString = qsModule.stringify(routeState);
-  const portWithPrefix = port === '' ? '' : `:${port}`;
+const defaultCreateURL: CreateURL = ({ qsModule, routeState, location }) =>
+  buildURL({ location, queryString: qsModule.stringify(routeState) });
+
+const defaultParseURL: ParseURL = ({ qsModule, location }) =>
+  qsModule.parse(location.search.slice(1), PARSE_OPTIONS);
+
+// The keys of the UI state that don't deserve their own history entry.
+const REPLACED_KEYS = ['page', 'hitsPerPage'];
+
+function isObject(value: any): value is { [key: string]: any } {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
 
-  // IE <= 11 has no proper `location.origin` so we cannot rely on it.
-  if (!queryString) {
-    return `${protocol}//${hostname}${portWithPrefix}${pathname}${hash}`;
+function isEqualValue(first: any, second: any): boolean {
+  if (Array.isArray(first) && Array.isArray(second)) {
+    return (
+      first.length === second.length &&
+      first.every((item, index) => isEqualValue(item, second[index]))
+    );
   }
 
-  return `${protocol}//${hostname}${portWithPrefix}${pathname}?${queryString}${hash}`;
-};
+  // The values read from the URL are strings, e.g. the page.
+  return first === second || String(first) === String(second);
+}
+
+/**
+ * Returns the keys of the values that differ between the two route states,
+ * e.g. `page` for `{ indexName: { page: 1 } }` and `{ indexName: { page: 2 } }`.
+ */
+function getChangedKeys(previous: any, next: any): string[] {
+  if (!isObject(previous) || !isObject(next)) {
+    return [];
+  }
+
+  const keys = Object.keys({ ...previous, ...next });
+
+  return keys.reduce<string[]>((acc, key) => {
+    if (isObject(previous[key]) || isObject(next[key])) {
+      return acc.concat(getChangedKeys(previous[key] || {}, next[key] || {}));
+    }
+
+    return isEqualValue(previous[key], next[key]) ? acc : acc.concat(key);
+  }, []);
+}
+
+/**
+ * Replaces the history entry when only the pagination changes (i.e. `page` or
+ * `hitsPerPage`), and pushes a new entry for the other changes like the query
+ * or the refinements.
+ */
+const defaultHistoryMode: HistoryModePolicy = ({
+  previousRouteState,
+  routeState,
+}) => {
+  const changedKeys = getChangedKeys(previousRouteState, routeState);
 
-const defaultParseURL: ParseURL = ({ qsModule, location }) => {
-  // `qs` by default converts arrays with more than 20 items to an object.
-  // We want to avoid this because the data structure manipulated can therefore vary.
-  // Setting the limit to `100` seems a good number because the engine's default is 100
-  // (it can go up to 1000 but it is very unlikely to select more than 100 items in the UI).
-  //
-  // Using an `arrayLimit` of `n` allows `n + 1` items.
-  //
-  // See:
-  //   - https://github.com/ljharb/qs#parsing-arrays
-  //   - https://www.algolia.com/doc/api-reference/api-parameters/maxValuesPerFacet/
-  return qsModule.parse(location.search.slice(1), { arrayLimit: 99 });
+  return changedKeys.length > 0 &&
+    changedKeys.every(key => REPLACED_KEYS.indexOf(key) !== -1)
+    ? 'replace'
+    : 'push';
 };
 
 const setWindowTitle = (title?: string): void => {
@@ -82,13 +129,26 @@ class BrowserHistory implements Router {
    * It should be symetrical to `createURL`.
    */
   private readonly parseURL: Required<BrowserHistoryArgs>['parseURL'];
+  /**
+   * Chooses whether a write pushes a new entry in the history or replaces the
+   * current one. A function receives the previous and the next route states.
+   *
+   * @default replaces for the pagination changes, pushes otherwise
+   */
+  private readonly historyMode: Required<BrowserHistoryArgs>['historyMode'];
 
   private writeTimer?: number;
+  /**
+   * The route state of the current history entry, known after the first
+   * write or `popstate` event.
+   */
+  private lastRouteState?: RouteState;
   private _onPopState?(event: PopStateEvent): void;
 
   /**
    * Initializes a new storage provider that syncs the search state to the URL
-   * using web APIs (`window.location.pushState` and `onpopstate` event).
+   * using web APIs (`window.history.pushState`, `window.history.replaceState`
+   * and `onpopstate` event).
    */
   public constructor(
     {
@@ -96,6 +156,7 @@ class BrowserHistory implements Router {
       writeDelay = 400,
       createURL = defaultCreateURL,
       parseURL = defaultParseURL,
+      historyMode = defaultHistoryMode,
     }: BrowserHistoryArgs = {} as BrowserHistoryArgs
   ) {
     this.windowTitle = windowTitle;
@@ -103,6 +164,7 @@ class BrowserHistory implements Router {
     this.writeDelay = writeDelay;
     this._createURL = createURL;
     this.parseURL = parseURL;
+    this.historyMode = historyMode;
 
     const title = this.windowTitle && this.windowTitle(this.read());
 
@@ -117,7 +179,8 @@ class BrowserHistory implements Router {
   }
 
   /**
-   * Pushes a search state into the URL.
+   * Pushes a search state into the URL, or replaces the current one according
+   * to the history mode.
    */
   public write(routeState: RouteState): void {
     const url = this.createURL(routeState);
@@ -128,8 +191,21 @@ class BrowserHistory implements Router {
     }
 
     this.writeTimer = window.setTimeout(() => {
+      const previousRouteState = this.lastRouteState || this.read();
+      const historyMode =
+        typeof this.historyMode === 'function'
+          ? this.historyMode({ previousRouteState, routeState })
+          : this.historyMode;
+
       setWindowTitle(title);
-      window.history.pushState(routeState, title || '', url);
+
+      if (historyMode === 'replace') {
+        window.history.replaceState(routeState, title || '', url);
+      } else {
+        window.history.pushState(routeState, title || '', url);
+      }
+
+      this.lastRouteState = routeState;
       this.writeTimer = undefined;
     }, this.writeDelay);
   }
@@ -145,16 +221,13 @@ class BrowserHistory implements Router {
         this.writeTimer = undefined;
       }
 
-      const routeState = event.state;
-
       // At initial load, the state is read from the URL without update.
       // Therefore the state object is not available.
       // In this case, we fallback and read the URL.
-      if (!routeState) {
-        callback(this.read());
-      } else {
-        callback(routeState);
-      }
+      const routeState = event.state || this.read();
+
+      this.lastRouteState = routeState;
+      callback(routeState);
     };
 
     window.addEventListener('popstate', this._onPopState);
@@ -1 +1,6 @@
 export { default as history } from './history';
+export { default as hash } from './hash';
+export { default as memory } from './memory';
+export { default as createRoutePattern } from './createRoutePattern';
+export { default as createCompactEncoding } from './createCompactEncoding';
+export { default as storage } from './storage';
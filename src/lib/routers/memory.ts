@@ -0,0 +1,128 @@
+import qs from 'qs';
+import { Router, RouteState } from '../../types';
+import { isEqual } from '../utils';
+
+type CreateURL = ({
+  qsModule,
+  routeState,
+}: {
+  qsModule: typeof qs;
+  routeState: RouteState;
+}) => string;
+
+type MemoryRouterArgs = {
+  /**
+   * The route state of the first entry of the stack.
+   */
+  initialRoute?: RouteState;
+  createURL?: CreateURL;
+};
+
+const defaultCreateURL: CreateURL = ({ qsModule, routeState }) => {
+  const queryString = qsModule.stringify(routeState);
+
+  return queryString ? `?${queryString}` : '';
+};
+
+class MemoryRouter implements Router {
+  /**
+   * Creates a URL based on the route state. There's no location to resolve it
+   * against, the default one is relative.
+   */
+  private readonly _createURL: Required<MemoryRouterArgs>['createURL'];
+
+  private routeStates: RouteState[];
+  private position: number;
+  private callbacks: Array<(routeState: RouteState) => void> = [];
+
+  /**
+   * Initializes a new storage provider that keeps the search states in an
+   * in-memory stack. It doesn't rely on any browser API, which makes it usable
+   * in tests, in Node.js or in embedded widgets that don't own the URL.
+   */
+  public constructor(
+    {
+      initialRoute = {},
+      createURL = defaultCreateURL,
+    }: MemoryRouterArgs = {} as MemoryRouterArgs
+  ) {
+    this._createURL = createURL;
+    this.routeStates = [initialRoute];
+    this.position = 0;
+  }
+
+  /**
+   * Returns the route state of the current entry.
+   */
+  public read(): RouteState {
+    return this.routeStates[this.position];
+  }
+
+  /**
+   * Pushes a search state on the stack. The entries after the current one are
+   * dropped, like with the history of a browser.
+   */
+  public write(routeState: RouteState): void {
+    // The state of the current entry is written back after `back` and
+    // `forward`, it must not drop the next entries.
+    if (isEqual(routeState, this.read())) {
+      return;
+    }
+
+    this.routeStates = this.routeStates
+      .slice(0, this.position + 1)
+      .concat(routeState);
+    this.position = this.routeStates.length - 1;
+  }
+
+  /**
+   * Sets a callback called when the current entry changes with `back` or
+   * `forward`.
+   */
+  public onUpdate(callback: (routeState: RouteState) => void): void {
+    this.callbacks.push(callback);
+  }
+
+  /**
+   * Creates a URL from a given syncable UI state.
+   */
+  public createURL(routeState: RouteState): string {
+    return this._createURL({ qsModule: qs, routeState });
+  }
+
+  /**
+   * Goes to the previous entry of the stack, if any.
+   */
+  public back(): void {
+    this.go(-1);
+  }
+
+  /**
+   * Goes to the next entry of the stack, if any.
+   */
+  public forward(): void {
+    this.go(1);
+  }
+
+  /**
+   * Removes the callbacks. The stack is kept.
+   */
+  public dispose(): void {
+    this.callbacks = [];
+  }
+
+  private go(delta: number): void {
+    const position = this.position + delta;
+
+    if (position < 0 || position >= this.routeStates.length) {
+      return;
+    }
+
+    this.position = position;
+    this.callbacks.forEach(callback => callback(this.read()));
+  }
+}
+
+export default function(props?: MemoryRouterArgs): MemoryRouter {
+  return new MemoryRouter(props);
+}
@@ -0,0 +1,149 @@
+import { Router, RouteState } from '../../types';
+
+type StorageRouterArgs = {
+  /**
+   * The key of the item in the storage.
+   *
+   * @default 'instantsearch'
+   */
+  key?: string;
+  /**
+   * The Web Storage to persist the route state to, e.g. `window.sessionStorage`.
+   *
+   * @default window.localStorage
+   */
+  storage?: Storage;
+  /**
+   * Time in milliseconds after which the persisted route state is discarded.
+   * The route state never expires by default.
+   */
+  ttl?: number;
+};
+
+type StorageItem = {
+  routeState: RouteState;
+  expiresAt: number | null;
+};
+
+// Accessing the storage throws in some environments, e.g. in sandboxed
+// iframes or when the cookies are blocked.
+function getDefaultStorage(): Storage | null {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+class StorageRouter implements Router {
+  private readonly key: Required<StorageRouterArgs>['key'];
+  private readonly storage: Storage | null;
+  private readonly ttl?: StorageRouterArgs['ttl'];
+
+  private _onStorage?(event: StorageEvent): void;
+
+  /**
+   * Initializes a new storage provider that persists the search state to a
+   * Web Storage instead of the URL. The state is restored on the next visits
+   * and synchronized across the tabs with the `storage` event.
+   */
+  public constructor(
+    {
+      key = 'instantsearch',
+      storage = getDefaultStorage() as Storage,
+      ttl,
+    }: StorageRouterArgs = {} as StorageRouterArgs
+  ) {
+    this.key = key;
+    this.storage = storage;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Reads the storage and returns a syncable UI search state. The expired
+   * state is removed.
+   */
+  public read(): RouteState {
+    const item = this.readItem();
+
+    if (!item) {
+      return {};
+    }
+
+    if (item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      this.removeItem();
+      return {};
+    }
+
+    return item.routeState;
+  }
+
+  /**
+   * Persists a search state to the storage.
+   */
+  public write(routeState: RouteState): void {
+    const item: StorageItem = {
+      routeState,
+      expiresAt: this.ttl === undefined ? null : Date.now() + this.ttl,
+    };
+
+    try {
+      this.storage!.setItem(this.key, JSON.stringify(item));
+    } catch (error) {
+      // The storage is full or unavailable, the state isn't persisted.
+    }
+  }
+
+  /**
+   * Sets a callback on the `storage` event, triggered when the state is
+   * persisted from another tab.
+   */
+  public onUpdate(callback: (routeState: RouteState) => void): void {
+    this._onStorage = event => {
+      if (event.key === this.key && event.storageArea === this.storage) {
+        callback(this.read());
+      }
+    };
+
+    window.addEventListener('storage', this._onStorage);
+  }
+
+  /**
+   * The state isn't part of the URL, the links don't change the page.
+   */
+  public createURL(): string {
+    return '#';
+  }
+
+  /**
+   * Removes the event listener. The state stays in the storage to be restored
+   * on the next visit.
+   */
+  public dispose(): void {
+    if (this._onStorage) {
+      window.removeEventListener('storage', this._onStorage);
+    }
+  }
+
+  private readItem(): StorageItem | null {
+    try {
+      const item = JSON.parse(this.storage!.getItem(this.key)!);
+
+      return item && typeof item === 'object' && item.routeState ? item : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  private removeItem(): void {
+    try {
+      this.storage!.removeItem(this.key);
+    } catch (error) {
+      // The storage is unavailable.
+    }
+  }
+}
+
+export default function(props?: StorageRouterArgs): StorageRouter {
+  return new StorageRouter(props);
+}
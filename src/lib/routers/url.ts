@@ -0,0 +1,52 @@
+/**
+ * The parts of the location that the routers read. A plain object can be
+ * passed instead of `window.location`, e.g. on the server.
+ */
+export type RouterLocation = {
+  protocol: string;
+  hostname: string;
+  port?: string;
+  pathname: string;
+  search: string;
+  hash: string;
+};
+
+/**
+ * The options of `qs.parse` for the query strings of the route states.
+ *
+ * `qs` by default converts arrays with more than 20 items to an object.
+ * We want to avoid this because the data structure manipulated can therefore vary.
+ * Setting the limit to `100` seems a good number because the engine's default is 100
+ * (it can go up to 1000 but it is very unlikely to select more than 100 items in the UI).
+ *
+ * Using an `arrayLimit` of `n` allows `n + 1` items.
+ *
+ * See:
+ *   - https://github.com/ljharb/qs#parsing-arrays
+ *   - https://www.algolia.com/doc/api-reference/api-parameters/maxValuesPerFacet/
+ */
+export const PARSE_OPTIONS = { arrayLimit: 99 };
+
+/**
+ * Builds the URL of the location with another path, query string or hash.
+ * The query string is left out when it's empty.
+ */
+export function buildURL({
+  location,
+  pathname = location.pathname,
+  queryString,
+  hash = location.hash,
+}: {
+  location: RouterLocation;
+  pathname?: string;
+  queryString: string;
+  hash?: string;
+}): string {
+  const { protocol, hostname, port = '' } = location;
+  const portWithPrefix = port === '' ? '' : `:${port}`;
+
+  // IE <= 11 has no proper `location.origin` so we cannot rely on it.
+  return `${protocol}//${hostname}${portWithPrefix}${pathname}${
+    queryString ? `?${queryString}` : ''
+  }${hash}`;
+}
@@ -0,0 +1,301 @@
+import { SearchResults } from 'algoliasearch-helper';
+import { UiState, IndexUiState } from '../types';
+
+export type SeoOptions = {
+  /**
+   * Returns the canonical URL of the page, or `null` to remove it. Defaults to
+   * the URL of the current UI state.
+   */
+  canonical?:
+    | boolean
+    | ((options: {
+        uiState: UiState;
+        createURL(uiState: UiState): string;
+      }) => string | null);
+  /**
+   * Returns the content of the `robots` meta tag, or `null` to restore the one
+   * of the page.
+   */
+  robots?: (options: {
+    uiState: UiState;
+    refinementsCount: number;
+  }) => string | null;
+  /**
+   * Sets the `robots` meta tag to `noindex, follow` when more refinements are
+   * active, and restores the one of the page otherwise. It's ignored when
+   * `robots` is provided.
+   */
+  maxIndexedRefinements?: number;
+  /**
+   * Adds the `prev` and `next` links of the pagination of the main index.
+   *
+   * @default true
+   */
+  paginationLinks?: boolean;
+};
+
+/**
+ * The values of the tags, `undefined` leaves the tag untouched and `null`
+ * reverts it: the tag is removed when it was added by the writer, and
+ * its value is restored when it was part of the page (e.g. rendered by the
+ * server).
+ */
+export type SeoMetadata = {
+  canonical?: string | null;
+  robots?: string | null;
+  prev?: string | null;
+  next?: string | null;
+};
+
+function getIndexRefinementsCount(indexUiState: IndexUiState): number {
+  const {
+    refinementList = {},
+    hierarchicalMenu = {},
+    menu = {},
+    numericMenu = {},
+    range = {},
+    toggle = {},
+    ratingMenu = {},
+  } = indexUiState;
+
+  return (
+    Object.keys(refinementList).reduce(
+      (count, attribute) => count + refinementList[attribute].length,
+      0
+    ) +
+    [hierarchicalMenu, menu, numericMenu, range, toggle, ratingMenu].reduce(
+      (count, refinements: { [attribute: string]: any }) =>
+        count +
+        Object.keys(refinements).filter(attribute => {
+          const value = refinements[attribute];
+
+          return Array.isArray(value) ? value.length > 0 : Boolean(value);
+        }).length,
+      0
+    )
+  );
+}
+
+export function getRefinementsCount(uiState: UiState): number {
+  return Object.keys(uiState).reduce(
+    (count, indexId) => count + getIndexRefinementsCount(uiState[indexId]),
+    0
+  );
+}
+
+function getPageURL(
+  uiState: UiState,
+  indexId: string,
+  page: number,
+  createURL: (uiState: UiState) => string
+): string {
+  const indexUiState = { ...uiState[indexId] };
+
+  // The first page isn't part of the UI state.
+  if (page > 1) {
+    indexUiState.page = page;
+  } else {
+    delete indexUiState.page;
+  }
+
+  return createURL({ ...uiState, [indexId]: indexUiState });
+}
+
+/**
+ * Derives the SEO tags of the page from the UI state and the results of the
+ * main index.
+ */
+export function getSeoMetadata(
+  {
+    canonical = true,
+    robots,
+    maxIndexedRefinements,
+    paginationLinks = true,
+  }: SeoOptions,
+  {
+    uiState,
+    indexId,
+    results,
+    createURL,
+  }: {
+    uiState: UiState;
+    indexId: string;
+    results: SearchResults | null;
+    createURL(uiState: UiState): string;
+  }
+): SeoMetadata {
+  const metadata: SeoMetadata = {};
+
+  if (typeof canonical === 'function') {
+    metadata.canonical = canonical({ uiState, createURL });
+  } else if (canonical) {
+    metadata.canonical = createURL(uiState);
+  }
+
+  if (robots) {
+    metadata.robots = robots({
+      uiState,
+      refinementsCount: getRefinementsCount(uiState),
+    });
+  } else if (maxIndexedRefinements !== undefined) {
+    metadata.robots =
+      getRefinementsCount(uiState) > maxIndexedRefinements
+        ? 'noindex, follow'
+        : null;
+  }
+
+  // The pagination is only known once the results are received.
+  if (paginationLinks && results) {
+    // The page of the results starts at 0 while the one of the UI state
+    // starts at 1.
+    const { page, nbPages } = results;
+
+    metadata.prev =
+      page > 0 ? getPageURL(uiState, indexId, page, createURL) : null;
+    metadata.next =
+      page + 1 < nbPages
+        ? getPageURL(uiState, indexId, page + 2, createURL)
+        : null;
+  }
+
+  return metadata;
+}
+
+export type SeoMetadataWriter = {
+  /**
+   * Writes the SEO tags in the `<head>` of the document.
+   */
+  write(metadata: SeoMetadata): void;
+  /**
+   * Reverts the tags written so far: the ones it added are removed and the
+   * ones of the page get their value back.
+   */
+  restore(): void;
+};
+
+function createMeta(name: string) {
+  return () => {
+    const meta = document.createElement('meta');
+
+    meta.setAttribute('name', name);
+
+    return meta;
+  };
+}
+
+function createLink(rel: string) {
+  return () => {
+    const link = document.createElement('link');
+
+    link.setAttribute('rel', rel);
+
+    return link;
+  };
+}
+
+/**
+ * Creates a writer of the SEO tags. Each writer keeps track of the tags it
+ * added and of the values it overrode, to restore them independently of the
+ * other writers.
+ */
+export function createSeoMetadataWriter(): SeoMetadataWriter {
+  // The tags added to the page, which are removed when they have no value.
+  const createdElements: Element[] = [];
+
+  // The values of the tags of the page before they were overridden.
+  const originalValues: Array<{
+    element: Element;
+    value: string | null;
+  }> = [];
+
+  const findOriginalValue = (element: Element) =>
+    originalValues.filter(_ => _.element === element)[0];
+
+  const setHeadElement = (
+    selector: string,
+    createElement: () => HTMLElement,
+    attribute: string,
+    value: string | null | undefined
+  ): void => {
+    if (value === undefined) {
+      return;
+    }
+
+    let element = document.head.querySelector(selector);
+
+    if (value === null) {
+      if (!element) {
+        return;
+      }
+
+      const originalValue = findOriginalValue(element);
+
+      if (createdElements.indexOf(element) !== -1) {
+        createdElements.splice(createdElements.indexOf(element), 1);
+        element.parentNode!.removeChild(element);
+      } else if (originalValue) {
+        originalValues.splice(originalValues.indexOf(originalValue), 1);
+
+        if (originalValue.value === null) {
+          element.removeAttribute(attribute);
+        } else {
+          element.setAttribute(attribute, originalValue.value);
+        }
+      }
+
+      return;
+    }
+
+    if (!element) {
+      element = createElement();
+      createdElements.push(element);
+      document.head.appendChild(element);
+    } else if (
+      createdElements.indexOf(element) === -1 &&
+      !findOriginalValue(element)
+    ) {
+      originalValues.push({ element, value: element.getAttribute(attribute) });
+    }
+
+    element.setAttribute(attribute, value);
+  };
+
+  const write = (metadata: SeoMetadata): void => {
+    // The tags are rendered by the server in non-browser environments.
+    if (typeof document === 'undefined') {
+      return;
+    }
+
+    setHeadElement(
+      'link[rel="canonical"]',
+      createLink('canonical'),
+      'href',
+      metadata.canonical
+    );
+    setHeadElement(
+      'meta[name="robots"]',
+      createMeta('robots'),
+      'content',
+      metadata.robots
+    );
+    setHeadElement(
+      'link[rel="prev"]',
+      createLink('prev'),
+      'href',
+      metadata.prev
+    );
+    setHeadElement(
+      'link[rel="next"]',
+      createLink('next'),
+      'href',
+      metadata.next
+    );
+  };
+
+  return {
+    write,
+    restore() {
+      write({ canonical: null, robots: null, prev: null, next: null });
+    },
+  };
+}
@@ -0,0 +1,145 @@
+import fromSchemaStateMapping from '../fromSchema';
+import { warning } from '../../utils';
+
+describe('fromSchemaStateMapping', () => {
+  const createStateMapping = () =>
+    fromSchemaStateMapping({
+      products: {
+        q: 'query',
+        brands: {
+          path: 'refinementList.brand',
+          toRoute: (brands: string[]) => brands.join('~'),
+          fromRoute: (brands: string) => brands.split('~'),
+        },
+        category: ['hierarchicalMenu', 'categories.lvl0'],
+        page: { path: 'page', fromRoute: Number, defaultValue: 1 },
+        sort: { path: 'sortBy', defaultValue: 'products' },
+      },
+      articles: {
+        articlesQuery: 'query',
+      },
+    });
+
+  beforeEach(() => {
+    warning.cache = {};
+  });
+
+  describe('stateToRoute', () => {
+    it('maps the UI state to the route keys', () => {
+      const stateMapping = createStateMapping();
+
+      expect(
+        stateMapping.stateToRoute({
+          products: {
+            query: 'iphone',
+            refinementList: { brand: ['Apple', 'Samsung'], color: ['red'] },
+            hierarchicalMenu: { 'categories.lvl0': ['Phones'] },
+            page: 2,
+            sortBy: 'products_price_asc',
+            configure: { hitsPerPage: 10 },
+          },
+          articles: { query: 'news' },
+        })
+      ).toEqual({
+        q: 'iphone',
+        brands: 'Apple~Samsung',
+        category: ['Phones'],
+        page: 2,
+        sort: 'products_price_asc',
+        articlesQuery: 'news',
+      });
+    });
+
+    it('omits the default values', () => {
+      const stateMapping = createStateMapping();
+
+      expect(
+        stateMapping.stateToRoute({
+          products: { query: 'iphone', page: 1, sortBy: 'products' },
+        })
+      ).toEqual({ q: 'iphone' });
+    });
+
+    it('warns when the mapping is not stable', () => {
+      const stateMapping = fromSchemaStateMapping({
+        products: {
+          page: { path: 'page', toRoute: (page: number) => page - 1 },
+        },
+      });
+
+      expect(() => stateMapping.stateToRoute({ products: { page: 2 } }))
+        .toWarnDev(`[InstantSearch.js]: The state mapping created from the schema is not stable: the route {"page":1} gives back the route {"page":0}.
+
+Make sure that \`fromRoute\` is the inverse of \`toRoute\` for each key of the schema.`);
+    });
+
+    it('does not warn when the mapping is stable', () => {
+      const stateMapping = createStateMapping();
+
+      expect(() =>
+        stateMapping.stateToRoute({
+          products: {
+            query: 'iphone',
+            refinementList: { brand: ['Apple'] },
+            page: 3,
+          },
+        })
+      ).not.toWarnDev();
+    });
+  });
+
+  describe('routeToState', () => {
+    it('maps the route keys to the UI state', () => {
+      const stateMapping = createStateMapping();
+
+      expect(
+        stateMapping.routeToState({
+          q: 'iphone',
+          brands: 'Apple~Samsung',
+          category: ['Phones'],
+          page: '2',
+          articlesQuery: 'news',
+          unknown: 'value',
+        })
+      ).toEqual({
+        products: {
+          query: 'iphone',
+          refinementList: { brand: ['Apple', 'Samsung'] },
+          hierarchicalMenu: { 'categories.lvl0': ['Phones'] },
+          page: 2,
+          sortBy: 'products',
+        },
+        articles: { query: 'news' },
+      });
+    });
+
+    it('sets the default values of the missing keys', () => {
+      const stateMapping = createStateMapping();
+
+      expect(stateMapping.routeToState({})).toEqual({
+        products: { page: 1, sortBy: 'products' },
+        articles: {},
+      });
+    });
+
+    it('round-trips the route', () => {
+      const stateMapping = createStateMapping();
+      const route = { q: 'iphone', brands: 'Apple', page: 3 };
+
+      expect(
+        stateMapping.stateToRoute(stateMapping.routeToState(route))
+      ).toEqual(route);
+    });
+  });
+
+  it('throws when a route key is declared several times', () => {
+    expect(() =>
+      fromSchemaStateMapping({
+        products: { q: 'query' },
+        articles: { q: 'query' },
+      })
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"The route key \`q\` is declared several times in the schema."`
+    );
+  });
+});
@@ -0,0 +1,184 @@
+import { StateMapping, UiState, IndexUiState, RouteState } from '../../types';
+import { getPropertyByPath, isEqual, warning } from '../utils';
+
+export type RouteKeySchema = {
+  /**
+   * The path of the value in the UI state of the index, e.g. `query` or
+   * `refinementList.brand`. Use the array form when a key contains dots,
+   * e.g. `['hierarchicalMenu', 'categories.lvl0']`.
+   */
+  path: string | string[];
+  /**
+   * Transforms the value of the UI state into the value of the route.
+   */
+  toRoute?: (value: any) => any;
+  /**
+   * Transforms the value of the route into the value of the UI state. It
+   * should be the inverse of `toRoute`.
+   */
+  fromRoute?: (routeValue: any) => any;
+  /**
+   * The value of the UI state omitted from the route. It's set back in the UI
+   * state when the route doesn't have the key.
+   */
+  defaultValue?: any;
+};
+
+export type StateMappingSchema = {
+  [indexId: string]: {
+    /**
+     * The schema of the route key, or only the path of its value.
+     */
+    [routeKey: string]: RouteKeySchema | RouteKeySchema['path'];
+  };
+};
+
+type NormalizedRouteKeySchema = {
+  indexId: string;
+  routeKey: string;
+  path: string[];
+  toRoute(value: any): any;
+  fromRoute(routeValue: any): any;
+  defaultValue?: any;
+};
+
+const identity = (value: any) => value;
+
+function setPropertyByPath(
+  object: { [key: string]: any },
+  [key, ...path]: string[],
+  value: any
+): { [key: string]: any } {
+  return {
+    ...object,
+    [key]:
+      path.length === 0
+        ? value
+        : setPropertyByPath(object[key] || {}, path, value),
+  };
+}
+
+function normalizeSchema(
+  schema: StateMappingSchema
+): NormalizedRouteKeySchema[] {
+  return Object.keys(schema).reduce<NormalizedRouteKeySchema[]>(
+    (acc, indexId) =>
+      acc.concat(
+        Object.keys(schema[indexId]).map(routeKey => {
+          const routeKeySchema = schema[indexId][routeKey];
+          const {
+            path,
+            toRoute = identity,
+            fromRoute = identity,
+            defaultValue,
+          } =
+            typeof routeKeySchema === 'string' || Array.isArray(routeKeySchema)
+              ? ({ path: routeKeySchema } as RouteKeySchema)
+              : routeKeySchema;
+
+          if (acc.some(other => other.routeKey === routeKey)) {
+            throw new Error(
+              `The route key \`${routeKey}\` is declared several times in the schema.`
+            );
+          }
+
+          return {
+            indexId,
+            routeKey,
+            path: Array.isArray(path) ? path : path.split('.'),
+            toRoute,
+            fromRoute,
+            defaultValue,
+          };
+        })
+      ),
+    []
+  );
+}
+
+/**
+ * Creates a state mapping from a schema that declares, for each index id, the
+ * keys of the route and the values of the UI state they map to. The values
+ * can be transformed and the default ones are omitted from the route. The UI
+ * state that isn't declared in the schema is not part of the route.
+ *
+ * Usage:
+ * ```javascript
+ * instantsearch.stateMappings.fromSchema({
+ *   instant_search: {
+ *     q: 'query',
+ *     brands: 'refinementList.brand',
+ *     page: { path: 'page', fromRoute: Number, defaultValue: 1 },
+ *   },
+ * });
+ * ```
+ *
+ * In development, a warning is logged when mapping a route back and forth
+ * doesn't give the same route, e.g. when `fromRoute` isn't the inverse of
+ * `toRoute`.
+ */
+export default function fromSchemaStateMapping(
+  schema: StateMappingSchema
+): StateMapping {
+  const routeKeys = normalizeSchema(schema);
+  const indexIds = Object.keys(schema);
+
+  const stateToRoute = (uiState: UiState): RouteState =>
+    routeKeys.reduce<RouteState>(
+      (route, { indexId, routeKey, path, toRoute, defaultValue }) => {
+        const value = getPropertyByPath(uiState[indexId], path);
+
+        if (value === undefined || isEqual(value, defaultValue)) {
+          return route;
+        }
+
+        return { ...route, [routeKey]: toRoute(value) };
+      },
+      {}
+    );
+
+  const routeToState = (routeState: RouteState = {}): UiState =>
+    routeKeys.reduce<UiState>(
+      (uiState, { indexId, routeKey, path, fromRoute, defaultValue }) => {
+        const routeValue = routeState[routeKey];
+        const value =
+          routeValue === undefined ? defaultValue : fromRoute(routeValue);
+
+        if (value === undefined) {
+          return uiState;
+        }
+
+        return {
+          ...uiState,
+          [indexId]: setPropertyByPath(uiState[indexId], path, value),
+        };
+      },
+      indexIds.reduce<UiState>(
+        (uiState, indexId) => ({ ...uiState, [indexId]: {} as IndexUiState }),
+        {}
+      )
+    );
+
+  return {
+    stateToRoute(uiState) {
+      const route = stateToRoute(uiState);
+
+      if (__DEV__) {
+        const nextRoute = stateToRoute(routeToState(route));
+
+        warning(
+          isEqual(route, nextRoute),
+          `The state mapping created from the schema is not stable: the route ${JSON.stringify(
+            route
+          )} gives back the route ${JSON.stringify(nextRoute)}.
+
+Make sure that \`fromRoute\` is the inverse of \`toRoute\` for each key of the schema.`
+        );
+      }
+
+      return route;
+    },
+
+    routeToState,
+  };
+}
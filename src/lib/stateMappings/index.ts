@@ -1,2 +1,3 @@
 export { default as simple } from './simple';
 export { default as singleIndex } from './singleIndex';
+export { default as fromSchema } from './fromSchema';
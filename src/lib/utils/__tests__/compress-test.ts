@@ -0,0 +1,69 @@
+import { compressToBase64Url, decompressFromBase64Url } from '../compress';
+
+describe('compressToBase64Url', () => {
+  test('with an empty string', () => {
+    const compressed = compressToBase64Url('');
+
+    expect(decompressFromBase64Url(compressed)).toBe('');
+  });
+
+  test('with repeated characters', () => {
+    const value = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaab';
+    const compressed = compressToBase64Url(value);
+
+    expect(compressed).toMatch(/^[\w-]+$/);
+    expect(compressed.length).toBeLessThan(value.length);
+    expect(decompressFromBase64Url(compressed)).toBe(value);
+  });
+
+  test('with non-ASCII characters', () => {
+    const value = 'Été 東京 🍎 Été 東京 🍎';
+
+    expect(decompressFromBase64Url(compressToBase64Url(value))).toBe(value);
+  });
+
+  test('with the keys of Object.prototype', () => {
+    const value = '__proto__constructor__proto__hasOwnProperty';
+
+    expect(decompressFromBase64Url(compressToBase64Url(value))).toBe(value);
+  });
+
+  test('with a serialized route state', () => {
+    const value = JSON.stringify({
+      instant_search: {
+        q: 'iphone',
+        rl: {
+          brand: ['Apple', 'Samsung', 'Huawei'],
+          categories: ['Cell Phones', 'Cell Phone Accessories'],
+        },
+        r: { price: '100:500' },
+        p: 3,
+      },
+    });
+    const compressed = compressToBase64Url(value);
+
+    // The plain base64url encoding is 4/3 of the length of the value.
+    expect(compressed.length).toBeLessThan((value.length * 4) / 3);
+    expect(decompressFromBase64Url(compressed)).toBe(value);
+  });
+});
+
+describe('decompressFromBase64Url', () => {
+  test('throws with a truncated value', () => {
+    const compressed = compressToBase64Url('{"query":"iphone"}');
+
+    expect(() =>
+      decompressFromBase64Url(compressed.slice(0, -4))
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"The compressed value is truncated."`
+    );
+  });
+
+  test('throws with characters out of the base64url alphabet', () => {
+    expect(() =>
+      decompressFromBase64Url('ab+c')
+    ).toThrowErrorMatchingInlineSnapshot(
+      `"The compressed value is not valid base64url."`
+    );
+  });
+});
@@ -1,6 +1,8 @@
+import algoliasearchHelper from 'algoliasearch-helper';
 import { createInitOptions } from '../../../../test/mock/createWidget';
 import index from '../../../widgets/index/index';
 import resolve from '../resolveSearchParameters';
+import merge from '../mergeSearchParameters';
 
 describe('mergeSearchParameters', () => {
   describe('1 level', () => {
@@ -55,10 +57,36 @@ describe('mergeSearchParameters', () => {
 
     it('resolves the `SearchParameters` from the level 2', () => {
       expect(resolve(level2)).toEqual([
-        level0.getHelper()!.state,
-        level1.getHelper()!.state,
+        merge(level0.getHelper()!.state, level1.getHelper()!.state),
         level2.getHelper()!.state,
       ]);
     });
   });
+
+  describe('inherited parameters', () => {
+    it('resolves the `SearchParameters` picked by the index', () => {
+      const level0 = index({ indexName: 'level_0_index_name' });
+      const level1 = index({
+        indexName: 'level_1_index_name',
+        getInheritedSearchParameters: state =>
+          new algoliasearchHelper.SearchParameters({ query: state.query }),
+      });
+
+      level0.addWidgets([level1]);
+      level0.init(createInitOptions({ parent: null }));
+      level0.getHelper()!.setState(
+        new algoliasearchHelper.SearchParameters({
+          index: 'level_0_index_name',
+          query: 'iphone',
+          facets: ['brand'],
+          facetsRefinements: { brand: ['Apple'] },
+        })
+      );
+
+      expect(resolve(level1)).toEqual([
+        new algoliasearchHelper.SearchParameters({ query: 'iphone' }),
+        level1.getHelper()!.state,
+      ]);
+    });
+  });
 });
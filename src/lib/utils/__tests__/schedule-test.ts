@@ -0,0 +1,122 @@
+import schedule from '../schedule';
+
+jest.useFakeTimers();
+
+describe('schedule', () => {
+  describe('debounce', () => {
+    it('calls the callback once the calls stop', () => {
+      const callback = jest.fn();
+      const fn = schedule(callback, { mode: 'debounce', wait: 100 });
+
+      fn();
+      jest.advanceTimersByTime(50);
+      fn();
+      jest.advanceTimersByTime(50);
+
+      expect(callback).toHaveBeenCalledTimes(0);
+
+      jest.advanceTimersByTime(50);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('calls the callback at the start of the period with `leading`', () => {
+      const callback = jest.fn();
+      const fn = schedule(callback, {
+        mode: 'debounce',
+        wait: 100,
+        leading: true,
+        trailing: false,
+      });
+
+      fn();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      fn();
+      jest.advanceTimersByTime(100);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      fn();
+
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('throttle', () => {
+    it('calls the callback at most once per period', () => {
+      const callback = jest.fn();
+      const fn = schedule(callback, { mode: 'throttle', wait: 100 });
+
+      fn();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      fn();
+      jest.advanceTimersByTime(50);
+      fn();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(50);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+
+      fn();
+      jest.advanceTimersByTime(50);
+
+      expect(callback).toHaveBeenCalledTimes(2);
+
+      jest.advanceTimersByTime(50);
+
+      expect(callback).toHaveBeenCalledTimes(3);
+    });
+
+    it('only calls the callback at the end of the period without `leading`', () => {
+      const callback = jest.fn();
+      const fn = schedule(callback, {
+        mode: 'throttle',
+        wait: 100,
+        leading: false,
+      });
+
+      fn();
+      fn();
+
+      expect(callback).toHaveBeenCalledTimes(0);
+
+      jest.advanceTimersByTime(100);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('drops the pending call with `clearPending`', () => {
+    const callback = jest.fn();
+    const fn = schedule(callback, { mode: 'throttle', wait: 100 });
+
+    fn();
+    fn();
+    fn.clearPending();
+    jest.advanceTimersByTime(100);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    // The period isn't reset
+    fn();
+
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it('resets the period with `cancel`', () => {
+    const callback = jest.fn();
+    const fn = schedule(callback, { mode: 'debounce', wait: 100 });
+
+    fn();
+    fn.cancel();
+    jest.advanceTimersByTime(100);
+
+    expect(callback).toHaveBeenCalledTimes(0);
+  });
+});
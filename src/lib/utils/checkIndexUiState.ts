@@ -1,5 +1,6 @@
 import capitalize from './capitalize';
 import { warning } from './logger';
+import { createDocumentationMessageGenerator } from './documentation';
 import { Index } from '../../widgets/index/index';
 import { Widget, IndexUiState } from '../../types';
 
@@ -18,6 +19,10 @@ function getWidgetNames(connectorName: string): string[] {
   }
 }
 
+const withUsage = createDocumentationMessageGenerator({
+  name: 'instantsearch',
+});
+
 type StateDescription = {
   connectors: string[];
   widgets: Array<Widget['$$type']>;
@@ -180,3 +185,26 @@ If you're using custom widgets that do set these query parameters, we recommend
 See https://www.algolia.com/doc/guides/building-search-ui/widgets/customize-an-existing-widget/js/#customize-the-complete-ui-of-the-widgets`
   );
 }
+
+type CheckIndexUiStateKeysParams = {
+  indexId: string;
+  indexUiState: IndexUiState;
+};
+
+export function checkIndexUiStateKeys({
+  indexId,
+  indexUiState,
+}: CheckIndexUiStateKeysParams) {
+  const unknownKeys = Object.keys(indexUiState).filter(
+    parameter => !stateToWidgetsMap[parameter]
+  );
+
+  warning(
+    unknownKeys.length === 0,
+    withUsage(`The UI state for the index "${indexId}" has unknown keys after the route migrations: ${unknownKeys
+      .map(key => `\`${key}\``)
+      .join(', ')}.
+
+This can happen when the route was written by a previous version of the app and that no migration handles these keys. They are ignored unless custom widgets read them.`)
+  );
+}
@@ -0,0 +1,202 @@
+// The alphabet of base64url, the compressed bits are written 6 at a time.
+const ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// The reserved codes: the end of the stream, and the characters that are not
+// in the dictionary yet, followed by their 8-bit or 16-bit char code.
+const END = 0;
+const CHAR_8 = 1;
+const CHAR_16 = 2;
+
+// The dictionary starts with the printable ASCII characters, which are most of
+// the characters of a serialized state. The entries are created on each call,
+// which keeps the module free of side effects.
+const FIRST_CHAR_CODE = 32;
+const INITIAL_ENTRY_COUNT = 95;
+
+function createInitialEntries(): string[] {
+  const entries: string[] = [];
+
+  for (let i = 0; i < INITIAL_ENTRY_COUNT; i++) {
+    entries.push(String.fromCharCode(FIRST_CHAR_CODE + i));
+  }
+
+  return entries;
+}
+
+const FIRST_CODE = 3;
+
+// Each token adds a sequence to the dictionary, and the literal tokens their
+// character as well. The codes are as wide as the largest one that can be
+// written, which the decoder computes from the tokens read so far.
+function getCodeWidth(tokenCount: number, literalCount: number): number {
+  const largestCode =
+    FIRST_CODE + INITIAL_ENTRY_COUNT + tokenCount + literalCount - 1;
+
+  return largestCode.toString(2).length;
+}
+
+/**
+ * Compresses `value` with the LZW algorithm and writes the codes in base64url,
+ * which makes it safe to use in URLs without further encoding.
+ */
+export function compressToBase64Url(value: string): string {
+  // The objects have no prototype, the sequences can be any key (e.g.
+  // `__proto__`).
+  const dictionary: { [sequence: string]: number } = Object.create(null);
+  // The characters in the dictionary that the decoder doesn't know yet.
+  const newCharacters: { [character: string]: boolean } = Object.create(null);
+  let nextCode = FIRST_CODE;
+  let tokenCount = 0;
+  let literalCount = 0;
+  let output = '';
+  let bits = 0;
+  let bitCount = 0;
+
+  const writeBits = (data: number, width: number) => {
+    for (let i = width - 1; i >= 0; i--) {
+      bits = bits * 2 + (Math.floor(data / Math.pow(2, i)) % 2);
+      bitCount++;
+
+      if (bitCount === 6) {
+        output += ALPHABET[bits];
+        bits = 0;
+        bitCount = 0;
+      }
+    }
+  };
+
+  const writeToken = (code: number) => {
+    writeBits(code, getCodeWidth(tokenCount++, literalCount));
+  };
+
+  const writeSequence = (sequence: string) => {
+    if (newCharacters[sequence]) {
+      const charCode = sequence.charCodeAt(0);
+
+      delete newCharacters[sequence];
+
+      if (charCode < 256) {
+        writeToken(CHAR_8);
+        writeBits(charCode, 8);
+      } else {
+        writeToken(CHAR_16);
+        writeBits(charCode, 16);
+      }
+
+      literalCount++;
+    } else {
+      writeToken(dictionary[sequence]);
+    }
+  };
+
+  createInitialEntries().forEach(entry => {
+    dictionary[entry] = nextCode++;
+  });
+
+  let sequence = '';
+
+  for (let i = 0; i < value.length; i++) {
+    const character = value[i];
+
+    if (!(character in dictionary)) {
+      dictionary[character] = nextCode++;
+      newCharacters[character] = true;
+    }
+
+    const nextSequence = sequence + character;
+
+    if (nextSequence in dictionary) {
+      sequence = nextSequence;
+    } else {
+      writeSequence(sequence);
+      dictionary[nextSequence] = nextCode++;
+      sequence = character;
+    }
+  }
+
+  if (sequence) {
+    writeSequence(sequence);
+  }
+
+  writeToken(END);
+
+  if (bitCount > 0) {
+    writeBits(0, 6 - bitCount);
+  }
+
+  return output;
+}
+
+/**
+ * Decompresses a value compressed with `compressToBase64Url`. It throws when
+ * the value is malformed, e.g. truncated.
+ */
+export function decompressFromBase64Url(value: string): string {
+  const dictionary = createInitialEntries();
+  let tokenCount = 0;
+  let literalCount = 0;
+  let position = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  const readBits = (width: number): number => {
+    let data = 0;
+
+    for (let i = 0; i < width; i++) {
+      if (bitCount === 0) {
+        if (position >= value.length) {
+          throw new Error('The compressed value is truncated.');
+        }
+
+        bits = ALPHABET.indexOf(value[position++]);
+        bitCount = 6;
+
+        if (bits === -1) {
+          throw new Error('The compressed value is not valid base64url.');
+        }
+      }
+
+      bitCount--;
+      data = data * 2 + (Math.floor(bits / Math.pow(2, bitCount)) % 2);
+    }
+
+    return data;
+  };
+
+  let output = '';
+  let previousEntry: string | null = null;
+
+  for (;;) {
+    const code = readBits(getCodeWidth(tokenCount++, literalCount));
+    let entry: string;
+
+    if (code === END) {
+      return output;
+    }
+
+    if (code === CHAR_8 || code === CHAR_16) {
+      entry = String.fromCharCode(readBits(code === CHAR_8 ? 8 : 16));
+      dictionary.push(entry);
+      literalCount++;
+    } else if (code - FIRST_CODE < dictionary.length) {
+      entry = dictionary[code - FIRST_CODE];
+    } else if (
+      code - FIRST_CODE === dictionary.length &&
+      previousEntry !== null
+    ) {
+      // The sequence is the one being added by this token.
+      entry = previousEntry + previousEntry[0];
+    } else {
+      throw new Error('The compressed value is malformed.');
+    }
+
+    output += entry;
+
+    if (previousEntry !== null) {
+      dictionary.push(previousEntry + entry[0]);
+    }
+
+    previousEntry = entry;
+  }
+}
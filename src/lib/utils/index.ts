@@ -1,5 +1,6 @@
 export { default as capitalize } from './capitalize';
 export { default as defer } from './defer';
+export { default as schedule } from './schedule';
 export { default as isDomElement } from './isDomElement';
 export { default as getContainerNode } from './getContainerNode';
 export { default as isSpecialClick } from './isSpecialClick';
@@ -10,7 +11,7 @@ export { default as clearRefinements } from './clearRefinements';
 export { default as escapeRefinement } from './escapeRefinement';
 export { default as unescapeRefinement } from './unescapeRefinement';
 export { default as checkRendering } from './checkRendering';
-export { checkIndexUiState } from './checkIndexUiState';
+export { checkIndexUiState, checkIndexUiStateKeys } from './checkIndexUiState';
 export { default as getPropertyByPath } from './getPropertyByPath';
 export { default as getObjectType } from './getObjectType';
 export { default as noop } from './noop';
@@ -25,6 +26,7 @@ export { default as findIndex } from './findIndex';
 export { default as mergeSearchParameters } from './mergeSearchParameters';
 export { default as resolveSearchParameters } from './resolveSearchParameters';
 export { default as toArray } from './toArray';
+export { default as observeVisibility } from './observeVisibility';
 export { warning, deprecate } from './logger';
 export {
   createDocumentationLink,
@@ -40,4 +42,6 @@ export { default as isFacetRefined } from './isFacetRefined';
 export * from './createSendEventForFacet';
 export * from './createSendEventForHits';
 export { getAppIdAndApiKey } from './getAppIdAndApiKey';
+export { wrapSearchClient } from './wrapSearchClient';
 export { convertNumericRefinementsToFilters } from './convertNumericRefinementsToFilters';
+export { compressToBase64Url, decompressFromBase64Url } from './compress';
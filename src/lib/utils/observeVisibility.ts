@@ -0,0 +1,36 @@
+type ObserveVisibilityOptions = {
+  /**
+   * Margin around the viewport, with the same syntax as the CSS `margin`
+   * property, to consider the element visible before it enters the viewport.
+   */
+  rootMargin?: string;
+};
+
+/**
+ * Calls `onChange` each time the element enters or leaves the viewport. It
+ * returns a function to stop observing the element, or `null` when the
+ * environment doesn't support `IntersectionObserver`: the element must then be
+ * considered always visible.
+ */
+function observeVisibility(
+  element: HTMLElement,
+  { rootMargin }: ObserveVisibilityOptions,
+  onChange: (isVisible: boolean) => void
+): (() => void) | null {
+  if (typeof IntersectionObserver === 'undefined') {
+    return null;
+  }
+
+  const observer = new IntersectionObserver(
+    entries => {
+      entries.forEach(entry => onChange(entry.isIntersecting));
+    },
+    { rootMargin }
+  );
+
+  observer.observe(element);
+
+  return () => observer.disconnect();
+}
+
+export default observeVisibility;
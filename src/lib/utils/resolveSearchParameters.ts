@@ -1,16 +1,22 @@
 import { SearchParameters } from 'algoliasearch-helper';
 import { Index } from '../../widgets/index/index';
+import mergeSearchParameters from './mergeSearchParameters';
 
 const resolveSearchParameters = (current: Index): SearchParameters[] => {
-  let parent = current.getParent();
-  let states = [current.getHelper()!.state];
+  const parent = current.getParent();
+  const state = current.getHelper()!.state;
 
-  while (parent !== null) {
-    states = [parent.getHelper()!.state].concat(states);
-    parent = parent.getParent();
+  if (parent === null) {
+    return [state];
   }
 
-  return states;
+  // The index only inherits the parameters it picks from its parents.
+  return [
+    current.getInheritedSearchParameters(
+      mergeSearchParameters(...resolveSearchParameters(parent))
+    ),
+    state,
+  ];
 };
 
 export default resolveSearchParameters;
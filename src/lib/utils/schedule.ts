@@ -0,0 +1,87 @@
+export type SchedulePolicy = {
+  /**
+   * With `debounce`, the calls are delayed until `wait` milliseconds have
+   * passed since the last one. With `throttle`, the callback is called at most
+   * once every `wait` milliseconds.
+   */
+  mode: 'debounce' | 'throttle';
+  wait: number;
+  /**
+   * Calls the callback at the start of the period.
+   * Defaults to `true` with `throttle` and `false` with `debounce`.
+   */
+  leading?: boolean;
+  /**
+   * Calls the callback at the end of the period when it was called during it.
+   * @default true
+   */
+  trailing?: boolean;
+};
+
+export type Scheduled = (() => void) & {
+  /**
+   * Drops the pending call without resetting the period.
+   */
+  clearPending(): void;
+  cancel(): void;
+};
+
+/**
+ * Limits the rate of the calls to `callback` according to the policy. The
+ * period is based on timers and not on the clock.
+ */
+const schedule = (
+  callback: () => void,
+  { mode, wait, leading = mode === 'throttle', trailing = true }: SchedulePolicy
+): Scheduled => {
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let isPending = false;
+
+  const startPeriod = () => {
+    timer = setTimeout(() => {
+      timer = null;
+
+      if (isPending) {
+        isPending = false;
+        callback();
+
+        // The throttled calls that follow the trailing one are limited as well.
+        if (mode === 'throttle') {
+          startPeriod();
+        }
+      }
+    }, wait);
+  };
+
+  const fn: Scheduled = () => {
+    if (timer === null && leading) {
+      callback();
+    } else if (trailing) {
+      isPending = true;
+    }
+
+    if (timer === null) {
+      startPeriod();
+    } else if (mode === 'debounce') {
+      clearTimeout(timer);
+      startPeriod();
+    }
+  };
+
+  fn.clearPending = () => {
+    isPending = false;
+  };
+
+  fn.cancel = () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    isPending = false;
+  };
+
+  return fn;
+};
+
+export default schedule;
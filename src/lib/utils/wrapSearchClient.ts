@@ -0,0 +1,31 @@
+import { SearchClient } from '../../types';
+
+type Search = (requests: any, ...args: any[]) => PromiseLike<any>;
+
+/**
+ * Creates a search client that forwards everything to the given client but
+ * the `search` method. The client is used as prototype to keep the methods
+ * that rely on it (e.g. `searchForFacetValues` or `initIndex`).
+ *
+ * The methods that mutate the client (e.g. the v3 client assigns `this.cache`
+ * in `clearCache` and `this._ua` in `addAlgoliaAgent`) are bound to the given
+ * client, otherwise they would only write to the wrapper.
+ */
+export function wrapSearchClient(
+  searchClient: SearchClient,
+  search: Search
+): SearchClient {
+  const wrappedClient = Object.create(searchClient);
+
+  wrappedClient.search = search;
+
+  ['clearCache', 'addAlgoliaAgent'].forEach(method => {
+    const clientMethod = (searchClient as any)[method];
+
+    if (typeof clientMethod === 'function') {
+      wrappedClient[method] = clientMethod.bind(searchClient);
+    }
+  });
+
+  return wrappedClient;
+}
@@ -0,0 +1,253 @@
+import createWorkerSearchClient from '../createWorkerSearchClient';
+import exposeSearchClient from '../exposeSearchClient';
+import { createWorker } from '../../../../test/mock/createWorker';
+import { createSearchClient } from '../../../../test/mock/createSearchClient';
+import {
+  createMultiSearchResponse,
+  createSFFVResponse,
+} from '../../../../test/mock/createAPIResponse';
+import { TAG_PLACEHOLDER } from '../../escape-highlight';
+import { MultiResponse } from '../../../types';
+
+describe('createWorkerSearchClient', () => {
+  it('sends the searches to the search client of the worker', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient({
+      search: jest.fn(() =>
+        Promise.resolve(createMultiSearchResponse({ nbHits: 10 }))
+      ),
+    });
+    const workerSearchClient = createWorkerSearchClient(worker);
+
+    exposeSearchClient(searchClient, { scope });
+
+    const requests = [{ indexName: 'indexName', params: { query: 'apple' } }];
+    const response = await workerSearchClient.search(requests);
+
+    expect(searchClient.search).toHaveBeenCalledWith(requests);
+    expect(response).toEqual(createMultiSearchResponse({ nbHits: 10 }));
+  });
+
+  it('sends the search for facet values to the search client of the worker', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient();
+    const workerSearchClient = createWorkerSearchClient(worker);
+
+    exposeSearchClient(searchClient, { scope });
+
+    const requests = [
+      {
+        indexName: 'indexName',
+        params: { facetName: 'brand', facetQuery: 'a' },
+      },
+    ];
+    const response = await workerSearchClient.searchForFacetValues(requests);
+
+    expect(searchClient.searchForFacetValues).toHaveBeenCalledWith(requests);
+    expect(response).toEqual([createSFFVResponse()]);
+  });
+
+  it('does not send the abort signal to the worker', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient();
+    const workerSearchClient = createWorkerSearchClient(worker);
+
+    exposeSearchClient(searchClient, { scope });
+
+    await workerSearchClient.search([], {
+      headers: { 'X-Header': 'value' },
+      signal: new AbortController().signal,
+    } as any);
+
+    expect(worker.postMessage).toHaveBeenCalledWith({
+      id: expect.any(Number),
+      method: 'search',
+      args: [[], { headers: { 'X-Header': 'value' } }],
+    });
+  });
+
+  it('rejects with the errors of the search client of the worker', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient({
+      search: jest.fn(() => {
+        const error = new Error('Unreachable hosts');
+        error.name = 'RetryError';
+
+        return Promise.reject<MultiResponse>(error);
+      }),
+    });
+    const workerSearchClient = createWorkerSearchClient(worker);
+
+    exposeSearchClient(searchClient, { scope });
+
+    await expect(workerSearchClient.search([])).rejects.toEqual(
+      expect.objectContaining({
+        name: 'RetryError',
+        message: 'Unreachable hosts',
+      })
+    );
+  });
+
+  it('resolves the searches of each client sharing the worker', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient({
+      search: jest.fn(requests =>
+        Promise.resolve(
+          createMultiSearchResponse({ index: requests[0].indexName })
+        )
+      ),
+    });
+    const firstClient = createWorkerSearchClient(worker);
+    const secondClient = createWorkerSearchClient(worker);
+
+    exposeSearchClient(searchClient, { scope });
+
+    const responses = await Promise.all([
+      firstClient.search([{ indexName: 'first', params: {} }]),
+      secondClient.search([{ indexName: 'second', params: {} }]),
+    ]);
+
+    expect(responses.map(({ results }) => results[0].index)).toEqual([
+      'first',
+      'second',
+    ]);
+  });
+
+  it('stops listening to the worker and rejects the pending searches on dispose', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient();
+    const workerSearchClient = createWorkerSearchClient(worker);
+
+    jest.spyOn(worker, 'removeEventListener');
+    exposeSearchClient(searchClient, { scope });
+
+    const pendingSearch = workerSearchClient.search([]);
+
+    workerSearchClient.dispose();
+
+    expect(worker.removeEventListener).toHaveBeenCalledWith(
+      'message',
+      expect.any(Function)
+    );
+    await expect(pendingSearch).rejects.toEqual(
+      new Error('The worker search client is disposed.')
+    );
+    await expect(workerSearchClient.search([])).rejects.toEqual(
+      new Error('The worker search client is disposed.')
+    );
+  });
+
+  it('ignores the messages that are not answers', () => {
+    const { worker, scope } = createWorker();
+
+    createWorkerSearchClient(worker);
+
+    expect(() => {
+      scope.postMessage({ type: 'ready' });
+    }).not.toThrow();
+  });
+});
+
+describe('exposeSearchClient', () => {
+  const highlightedHit = {
+    objectID: '1',
+    _highlightResult: {
+      name: {
+        value: `<b>${TAG_PLACEHOLDER.highlightPreTag}app${TAG_PLACEHOLDER.highlightPostTag}le</b>`,
+        matchLevel: 'partial',
+        matchedWords: ['app'],
+      },
+    },
+  };
+
+  const getHighlightedValue = (hit: any) => hit._highlightResult.name.value;
+
+  const createTestEnvironment = ({ escapeHits }: { escapeHits: boolean }) => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient({
+      search: jest.fn(() =>
+        Promise.resolve(
+          createMultiSearchResponse(
+            { hits: [highlightedHit] },
+            { hits: [highlightedHit] }
+          )
+        )
+      ),
+    });
+
+    exposeSearchClient(searchClient, { scope, escapeHits });
+
+    return { workerSearchClient: createWorkerSearchClient(worker) };
+  };
+
+  it('escapes the hits requested with the highlight tags', async () => {
+    const { workerSearchClient } = createTestEnvironment({ escapeHits: true });
+
+    const { results } = await workerSearchClient.search([
+      { indexName: 'indexName', params: { ...TAG_PLACEHOLDER } },
+      { indexName: 'indexName', params: {} },
+    ]);
+
+    expect(getHighlightedValue(results[0].hits[0])).toBe(
+      '&lt;b&gt;<mark>app</mark>le&lt;/b&gt;'
+    );
+    expect((results[0].hits as any).__escaped).toBe(true);
+    expect(getHighlightedValue(results[1].hits[0])).toBe(
+      highlightedHit._highlightResult.name.value
+    );
+    expect((results[1].hits as any).__escaped).toBeUndefined();
+  });
+
+  it('does not escape the hits by default', async () => {
+    const { workerSearchClient } = createTestEnvironment({ escapeHits: false });
+
+    const { results } = await workerSearchClient.search([
+      { indexName: 'indexName', params: { ...TAG_PLACEHOLDER } },
+      { indexName: 'indexName', params: {} },
+    ]);
+
+    expect(getHighlightedValue(results[0].hits[0])).toBe(
+      highlightedHit._highlightResult.name.value
+    );
+    expect((results[0].hits as any).__escaped).toBeUndefined();
+  });
+
+  it('answers with an error when the response cannot be cloned', async () => {
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient();
+
+    exposeSearchClient(searchClient, { scope });
+
+    (scope.postMessage as jest.Mock).mockImplementationOnce(() => {
+      const error = new Error('The response could not be cloned.');
+      error.name = 'DataCloneError';
+
+      throw error;
+    });
+
+    await expect(createWorkerSearchClient(worker).search([])).rejects.toEqual(
+      expect.objectContaining({
+        name: 'DataCloneError',
+        message: 'The response could not be cloned.',
+      })
+    );
+  });
+
+  it('stops answering once unsubscribed', () => {
+    jest.useFakeTimers();
+
+    const { worker, scope } = createWorker();
+    const searchClient = createSearchClient();
+
+    const unsubscribe = exposeSearchClient(searchClient, { scope });
+    unsubscribe();
+
+    createWorkerSearchClient(worker).search([]);
+
+    jest.runAllTimers();
+
+    expect(searchClient.search).not.toHaveBeenCalled();
+
+    jest.useRealTimers();
+  });
+});
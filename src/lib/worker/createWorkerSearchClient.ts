@@ -0,0 +1,120 @@
+import { SearchClient } from '../../types';
+import { MessageTarget, WorkerMethod, WorkerResponse } from './protocol';
+
+type PendingRequest = {
+  resolve(result: any): void;
+  reject(error: Error): void;
+};
+
+export type WorkerSearchClient = SearchClient & {
+  /**
+   * Stops listening to the messages of the worker and rejects the pending
+   * searches. The worker isn't terminated since other clients might share it.
+   */
+  dispose(): void;
+};
+
+// The ids are unique across clients to allow several of them to share the
+// same worker.
+let lastRequestId = 0;
+
+// The `AbortSignal` can't be cloned to be sent to the worker.
+function withoutSignal(requestOptions?: { [key: string]: any }) {
+  if (!requestOptions || !requestOptions.signal) {
+    return requestOptions;
+  }
+
+  return Object.keys(requestOptions).reduce(
+    (acc, key) =>
+      key === 'signal' ? acc : { ...acc, [key]: requestOptions[key] },
+    {}
+  );
+}
+
+/**
+ * Creates a search client that sends its searches to a worker in which the
+ * actual search client is exposed with `exposeSearchClient`. The responses are
+ * parsed off the main thread.
+ */
+export default function createWorkerSearchClient(
+  worker: MessageTarget
+): WorkerSearchClient {
+  let pendingRequests: { [id: number]: PendingRequest } = {};
+  let isDisposed = false;
+
+  const listener = (event: MessageEvent) => {
+    const { id, result, error, escapedResults = [] }: WorkerResponse =
+      event.data || {};
+    const pendingRequest = pendingRequests[id];
+
+    // The worker might post other messages, or answer another client.
+    if (!pendingRequest) {
+      return;
+    }
+
+    delete pendingRequests[id];
+
+    if (error) {
+      const workerError = new Error(error.message);
+      workerError.name = error.name;
+      pendingRequest.reject(workerError);
+      return;
+    }
+
+    // The flag that prevents the hits from being escaped again is lost when
+    // the response is cloned, it's set back on the escaped ones.
+    escapedResults.forEach(position => {
+      (result.results[position].hits as any).__escaped = true;
+    });
+
+    pendingRequest.resolve(result);
+  };
+
+  worker.addEventListener('message', listener);
+
+  const send = (method: WorkerMethod, args: any[]): Promise<any> =>
+    new Promise((resolve, reject) => {
+      if (isDisposed) {
+        reject(new Error('The worker search client is disposed.'));
+        return;
+      }
+
+      const id = ++lastRequestId;
+
+      pendingRequests[id] = { resolve, reject };
+
+      try {
+        worker.postMessage({ id, method, args });
+      } catch (error) {
+        delete pendingRequests[id];
+        reject(error);
+      }
+    });
+
+  return {
+    search(requests, requestOptions) {
+      return send(
+        'search',
+        requestOptions === undefined
+          ? [requests]
+          : [requests, withoutSignal(requestOptions)]
+      );
+    },
+    searchForFacetValues(...args) {
+      return send('searchForFacetValues', args);
+    },
+    dispose() {
+      const disposedRequests = pendingRequests;
+
+      isDisposed = true;
+      pendingRequests = {};
+      worker.removeEventListener('message', listener);
+
+      Object.keys(disposedRequests).forEach(id => {
+        disposedRequests[id].reject(
+          new Error('The worker search client is disposed.')
+        );
+      });
+    },
+  } as WorkerSearchClient;
+}
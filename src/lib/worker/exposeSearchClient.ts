@@ -0,0 +1,102 @@
+import { SearchClient } from '../../types';
+import escapeHits, { TAG_PLACEHOLDER } from '../escape-highlight';
+import {
+  MessageTarget,
+  WorkerRequest,
+  WorkerResponse,
+  WORKER_METHODS,
+} from './protocol';
+
+type ExposeSearchClientOptions = {
+  /**
+   * The global scope of the worker.
+   *
+   * @default self
+   */
+  scope?: MessageTarget;
+  /**
+   * Escapes the highlighted hits in the worker instead of in the widgets.
+   * Only the hits requested with the InstantSearch highlight tags (i.e. with
+   * the `escapeHTML` option of the widgets) are escaped.
+   *
+   * @default false
+   */
+  escapeHits?: boolean;
+};
+
+function escapeResults(requests: any[], result: any) {
+  const escapedResults: number[] = [];
+  const results = result.results.map((response, position) => {
+    const request = requests[position];
+
+    if (
+      !response.hits ||
+      !request ||
+      !request.params ||
+      request.params.highlightPreTag !== TAG_PLACEHOLDER.highlightPreTag
+    ) {
+      return response;
+    }
+
+    escapedResults.push(position);
+
+    return { ...response, hits: escapeHits(response.hits) };
+  });
+
+  return { result: { ...result, results }, escapedResults };
+}
+
+/**
+ * Answers, from a worker, the searches sent by a client created with
+ * `createWorkerSearchClient` on the main thread. It returns a function to stop
+ * listening to the messages.
+ */
+export default function exposeSearchClient(
+  searchClient: SearchClient,
+  {
+    scope = (self as unknown) as MessageTarget,
+    escapeHits: shouldEscapeHits = false,
+  }: ExposeSearchClientOptions = {}
+): () => void {
+  const listener = (event: MessageEvent) => {
+    const { id, method, args }: WorkerRequest = event.data || {};
+
+    // The worker might receive other messages.
+    if (WORKER_METHODS.indexOf(method) === -1) {
+      return;
+    }
+
+    const postError = (error: any) => {
+      const response: WorkerResponse = {
+        id,
+        error: {
+          name: (error && error.name) || 'Error',
+          message: String((error && error.message) || error),
+        },
+      };
+
+      scope.postMessage(response);
+    };
+
+    new Promise(resolve =>
+      resolve((searchClient as any)[method](...args))
+    ).then(result => {
+      try {
+        const response: WorkerResponse =
+          method === 'search' && shouldEscapeHits
+            ? { id, ...escapeResults(args[0], result) }
+            : { id, result };
+
+        scope.postMessage(response);
+      } catch (error) {
+        // The response can't be cloned (e.g. a custom search client
+        // resolving with functions), the client must not wait forever.
+        postError(error);
+      }
+    }, postError);
+  };
+
+  scope.addEventListener('message', listener);
+
+  return () => scope.removeEventListener('message', listener);
+}
@@ -0,0 +1,2 @@
+export { default as createWorkerSearchClient } from './createWorkerSearchClient';
+export { default as exposeSearchClient } from './exposeSearchClient';
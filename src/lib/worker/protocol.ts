@@ -0,0 +1,41 @@
+export type WorkerMethod = 'search' | 'searchForFacetValues';
+
+export type WorkerRequest = {
+  id: number;
+  method: WorkerMethod;
+  args: any[];
+};
+
+export type WorkerResponse = {
+  id: number;
+  result?: any;
+  error?: {
+    name: string;
+    message: string;
+  };
+  /**
+   * Positions of the results whose hits have been escaped in the worker.
+   */
+  escapedResults?: number[];
+};
+
+/**
+ * The subset of the `Worker` (main thread) and `DedicatedWorkerGlobalScope`
+ * (worker) interfaces used to exchange the messages.
+ */
+export type MessageTarget = {
+  postMessage(message: any): void;
+  addEventListener(
+    type: 'message',
+    listener: (event: MessageEvent) => void
+  ): void;
+  removeEventListener(
+    type: 'message',
+    listener: (event: MessageEvent) => void
+  ): void;
+};
+
+export const WORKER_METHODS: WorkerMethod[] = [
+  'search',
+  'searchForFacetValues',
+];
@@ -0,0 +1,200 @@
+import { createInspectorMiddleware } from '../createInspectorMiddleware';
+import instantsearch from '../../lib/main';
+import connectSearchBox from '../../connectors/search-box/connectSearchBox';
+import index from '../../widgets/index/index';
+import { MultiResponse } from '../../types';
+import { createSearchClient } from '../../../test/mock/createSearchClient';
+import { runAllMicroTasks } from '../../../test/utils/runAllMicroTasks';
+import { noop } from '../../lib/utils';
+
+describe('createInspectorMiddleware', () => {
+  const createTestEnvironment = ({
+    searchClient = createSearchClient(),
+    container,
+    isPanelOpen,
+  }: {
+    searchClient?: ReturnType<typeof createSearchClient>;
+    container?: HTMLElement;
+    isPanelOpen?: boolean;
+  } = {}) => {
+    const search = instantsearch({
+      indexName: 'indexName',
+      searchClient,
+      initialUiState: {
+        indexName: { query: 'apple' },
+      },
+    });
+    const inspector = createInspectorMiddleware({ container, isPanelOpen });
+
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      index({ indexName: 'nestedIndexName' }).addWidgets([
+        connectSearchBox(noop)({}),
+      ]),
+    ]);
+    search.use(inspector);
+
+    return { search, inspector };
+  };
+
+  it('returns no parameters before the search is started', () => {
+    const { inspector } = createTestEnvironment();
+
+    expect(inspector.getIndex()).toEqual(
+      expect.objectContaining({ indexId: 'indexName', searchParameters: null })
+    );
+  });
+
+  it('exposes the widgets and the merged parameters of every index', () => {
+    const { search, inspector } = createTestEnvironment();
+
+    search.start();
+
+    expect(inspector.getIndex()).toEqual({
+      indexId: 'indexName',
+      indexName: 'indexName',
+      widgets: [{ $$type: 'ais.searchBox', uiState: { query: 'apple' } }],
+      searchParameters: expect.objectContaining({
+        index: 'indexName',
+        query: 'apple',
+      }),
+      indices: [
+        {
+          indexId: 'nestedIndexName',
+          indexName: 'nestedIndexName',
+          widgets: [{ $$type: 'ais.searchBox', uiState: {} }],
+          searchParameters: expect.objectContaining({
+            index: 'nestedIndexName',
+            query: '',
+          }),
+          indices: [],
+        },
+      ],
+    });
+  });
+
+  it('records the requests and the responses of the searches', async () => {
+    const { search, inspector } = createTestEnvironment();
+
+    search.start();
+
+    expect(inspector.getSearches()).toEqual([
+      {
+        requests: [
+          expect.objectContaining({ indexName: 'indexName' }),
+          expect.objectContaining({ indexName: 'nestedIndexName' }),
+        ],
+        responses: {},
+        error: null,
+        startTime: expect.any(Number),
+        endTime: null,
+      },
+    ]);
+
+    await runAllMicroTasks();
+
+    const [{ responses, startTime, endTime }] = inspector.getSearches();
+
+    expect(Object.keys(responses)).toEqual(['indexName', 'nestedIndexName']);
+    expect(endTime).toBeGreaterThanOrEqual(startTime);
+  });
+
+  it('records the errors of the searches', async () => {
+    const { search, inspector } = createTestEnvironment({
+      searchClient: createSearchClient({
+        search: jest.fn(() =>
+          Promise.reject<MultiResponse>(new Error('Network error'))
+        ),
+      }),
+    });
+
+    search.on('error', noop);
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(inspector.getSearches()).toEqual([
+      expect.objectContaining({
+        error: new Error('Network error'),
+        endTime: expect.any(Number),
+      }),
+    ]);
+  });
+
+  it('matches the responses with their search when the searches overlap', async () => {
+    const searchClient = createSearchClient();
+    let searchCount = 0;
+    const { search: instantSearchInstance, inspector } = createTestEnvironment({
+      searchClient: {
+        ...searchClient,
+        search: jest.fn(requests => {
+          // The first search settles after the second one.
+          const delay = searchCount++ === 0 ? 20 : 10;
+
+          return new Promise(resolve =>
+            setTimeout(() => resolve(searchClient.search(requests)), delay)
+          );
+        }),
+      },
+    });
+
+    jest.useFakeTimers();
+
+    instantSearchInstance.start();
+    instantSearchInstance.helper!.setQuery('iphone').search();
+
+    jest.advanceTimersByTime(10);
+    await runAllMicroTasks();
+
+    const [firstSearch, secondSearch] = inspector.getSearches();
+
+    expect(firstSearch.endTime).toBe(null);
+    expect(firstSearch.responses).toEqual({});
+    expect(secondSearch.endTime).toEqual(expect.any(Number));
+    expect(Object.keys(secondSearch.responses)).toEqual([
+      'indexName',
+      'nestedIndexName',
+    ]);
+
+    jest.advanceTimersByTime(10);
+    await runAllMicroTasks();
+
+    // The Helper ignores the outdated response, the indices don't receive it.
+    expect(firstSearch.endTime).toEqual(expect.any(Number));
+    expect(firstSearch.responses).toEqual({});
+
+    jest.useRealTimers();
+  });
+
+  it('renders the panel in the container when it is toggled on', async () => {
+    const container = document.createElement('div');
+    const { search, inspector } = createTestEnvironment({ container });
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(container.querySelector('.ais-Inspector')).toBeNull();
+
+    inspector.togglePanel();
+
+    expect(container.querySelector('.ais-Inspector')).not.toBeNull();
+    expect(container.querySelectorAll('.ais-Inspector-widget')).toHaveLength(2);
+
+    inspector.togglePanel();
+
+    expect(container.querySelector('.ais-Inspector')).toBeNull();
+  });
+
+  it('appends the panel to the document body by default', () => {
+    const { search } = createTestEnvironment({ isPanelOpen: true });
+
+    search.start();
+
+    expect(document.body.querySelector('.ais-Inspector')).not.toBeNull();
+
+    search.dispose();
+
+    expect(document.body.querySelector('.ais-Inspector')).toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+import { createSyncMiddleware } from '../createSyncMiddleware';
+import instantsearch from '../../lib/main';
+import connectSearchBox from '../../connectors/search-box/connectSearchBox';
+import connectRefinementList from '../../connectors/refinement-list/connectRefinementList';
+import { createSearchClient } from '../../../test/mock/createSearchClient';
+import { noop } from '../../lib/utils';
+
+describe('createSyncMiddleware', () => {
+  const createInstance = (indexName: string) => {
+    const search = instantsearch({
+      indexName,
+      searchClient: createSearchClient(),
+    });
+
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      connectRefinementList(noop)({ attribute: 'brand' }),
+    ]);
+
+    return search;
+  };
+
+  const refine = (search: ReturnType<typeof createInstance>, query: string) => {
+    search.mainIndex
+      .getHelper()!
+      .setQuery(query)
+      .search();
+  };
+
+  it('throws without target', () => {
+    expect(() => {
+      // @ts-ignore wrong option type
+      createSyncMiddleware({});
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The \`target\` option is required.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+  });
+
+  it('throws when the target is the instance itself', () => {
+    const search = createInstance('indexName');
+
+    expect(() => {
+      search.use(createSyncMiddleware({ target: search }));
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The \`target\` must be another InstantSearch instance.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/instantsearch/js/"
+`);
+  });
+
+  it('mirrors the UI state into the target', () => {
+    const header = createInstance('indexName');
+    const results = createInstance('indexName');
+
+    results.start();
+    header.use(createSyncMiddleware({ target: results }));
+    header.start();
+
+    refine(header, 'apple');
+
+    expect(results.mainIndex.getWidgetUiState({})).toEqual({
+      indexName: { query: 'apple' },
+    });
+  });
+
+  it('mirrors the parts of the UI state picked by mapState', () => {
+    const header = createInstance('headerIndexName');
+    const results = createInstance('resultsIndexName');
+
+    results.start();
+    header.use(
+      createSyncMiddleware({
+        target: results,
+        mapState: (uiState, targetUiState) => ({
+          ...targetUiState,
+          resultsIndexName: {
+            ...targetUiState.resultsIndexName,
+            query: uiState.headerIndexName.query,
+          },
+        }),
+      })
+    );
+    header.start();
+
+    results.mainIndex
+      .getHelper()!
+      .addDisjunctiveFacetRefinement('brand', 'Apple')
+      .search();
+    refine(header, 'iphone');
+
+    expect(results.mainIndex.getWidgetUiState({})).toEqual({
+      resultsIndexName: {
+        query: 'iphone',
+        refinementList: { brand: ['Apple'] },
+      },
+    });
+  });
+
+  it('does not loop when both instances are synchronized', () => {
+    const header = createInstance('indexName');
+    const results = createInstance('indexName');
+    const mapState = jest.fn(uiState => uiState);
+
+    header.use(createSyncMiddleware({ target: results, mapState }));
+    results.use(createSyncMiddleware({ target: header, mapState }));
+    header.start();
+    results.start();
+
+    mapState.mockClear();
+
+    refine(header, 'apple');
+
+    expect(header.mainIndex.getWidgetUiState({})).toEqual({
+      indexName: { query: 'apple' },
+    });
+    expect(results.mainIndex.getWidgetUiState({})).toEqual({
+      indexName: { query: 'apple' },
+    });
+    // The state of the results is not mirrored back into the header.
+    expect(mapState).toHaveBeenCalledTimes(1);
+
+    refine(results, 'iphone');
+
+    expect(header.mainIndex.getWidgetUiState({})).toEqual({
+      indexName: { query: 'iphone' },
+    });
+  });
+
+  it('does not mirror the UI state back through a cycle of instances', () => {
+    const header = createInstance('indexName');
+    const results = createInstance('indexName');
+    const sidebar = createInstance('indexName');
+    const mapStateBack = jest.fn(uiState => uiState);
+
+    header.use(createSyncMiddleware({ target: results }));
+    results.use(createSyncMiddleware({ target: sidebar }));
+    sidebar.use(
+      createSyncMiddleware({ target: header, mapState: mapStateBack })
+    );
+    header.start();
+    results.start();
+    sidebar.start();
+
+    jest.spyOn(header, 'setUiState');
+    mapStateBack.mockClear();
+
+    refine(header, 'apple');
+
+    expect(sidebar.mainIndex.getWidgetUiState({})).toEqual({
+      indexName: { query: 'apple' },
+    });
+    expect(mapStateBack).not.toHaveBeenCalled();
+    expect(header.setUiState).not.toHaveBeenCalled();
+  });
+
+  it('does not mirror the UI state into a target that is not started', () => {
+    const header = createInstance('indexName');
+    const results = createInstance('indexName');
+    const mapState = jest.fn(uiState => uiState);
+
+    header.use(createSyncMiddleware({ target: results, mapState }));
+    header.start();
+
+    refine(header, 'apple');
+
+    expect(mapState).not.toHaveBeenCalled();
+  });
+});
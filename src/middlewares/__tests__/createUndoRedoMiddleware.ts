@@ -0,0 +1,137 @@
+import { createUndoRedoMiddleware } from '../createUndoRedoMiddleware';
+import instantsearch from '../../lib/main';
+import connectSearchBox from '../../connectors/search-box/connectSearchBox';
+import index from '../../widgets/index/index';
+import { createSearchClient } from '../../../test/mock/createSearchClient';
+import { noop } from '../../lib/utils';
+
+describe('createUndoRedoMiddleware', () => {
+  const createTestEnvironment = ({ limit }: { limit?: number } = {}) => {
+    const search = instantsearch({
+      indexName: 'indexName',
+      searchClient: createSearchClient(),
+    });
+    const undoRedo = createUndoRedoMiddleware({ limit });
+
+    search.addWidgets([
+      connectSearchBox(noop)({}),
+      index({ indexName: 'nestedIndexName' }).addWidgets([
+        connectSearchBox(noop)({}),
+      ]),
+    ]);
+    search.use(undoRedo);
+    search.start();
+
+    const refine = (query: string) => {
+      search.mainIndex
+        .getHelper()!
+        .setQuery(query)
+        .search();
+    };
+
+    return { search, undoRedo, refine };
+  };
+
+  it('cannot undo or redo initially', () => {
+    const { undoRedo } = createTestEnvironment();
+
+    expect(undoRedo.canUndo()).toBe(false);
+    expect(undoRedo.canRedo()).toBe(false);
+  });
+
+  it('restores the previous UI states on undo', () => {
+    const { search, undoRedo, refine } = createTestEnvironment();
+
+    refine('a');
+    refine('ab');
+
+    expect(undoRedo.canUndo()).toBe(true);
+
+    undoRedo.undo();
+
+    expect(search.mainIndex.getHelper()!.state.query).toBe('a');
+
+    undoRedo.undo();
+
+    expect(search.mainIndex.getHelper()!.state.query).toBe('');
+    expect(undoRedo.canUndo()).toBe(false);
+  });
+
+  it('restores the undone UI states on redo', () => {
+    const { search, undoRedo, refine } = createTestEnvironment();
+
+    refine('a');
+    refine('ab');
+    undoRedo.undo();
+    undoRedo.undo();
+
+    expect(undoRedo.canRedo()).toBe(true);
+
+    undoRedo.redo();
+
+    expect(search.mainIndex.getHelper()!.state.query).toBe('a');
+
+    undoRedo.redo();
+
+    expect(search.mainIndex.getHelper()!.state.query).toBe('ab');
+    expect(undoRedo.canRedo()).toBe(false);
+  });
+
+  it('restores the UI state of the nested indices', () => {
+    const { search, undoRedo } = createTestEnvironment();
+    const nestedIndex = search.mainIndex.getWidgets()[1] as any;
+
+    nestedIndex
+      .getHelper()
+      .setQuery('nested')
+      .search();
+    undoRedo.undo();
+
+    expect(nestedIndex.getHelper().state.query).toBe('');
+
+    undoRedo.redo();
+
+    expect(nestedIndex.getHelper().state.query).toBe('nested');
+  });
+
+  it('discards the undone UI states on a new state change', () => {
+    const { undoRedo, refine } = createTestEnvironment();
+
+    refine('a');
+    undoRedo.undo();
+    refine('b');
+
+    expect(undoRedo.canRedo()).toBe(false);
+  });
+
+  it('keeps a bounded number of UI states', () => {
+    const { search, undoRedo, refine } = createTestEnvironment({ limit: 2 });
+
+    refine('a');
+    refine('ab');
+    undoRedo.undo();
+
+    expect(search.mainIndex.getHelper()!.state.query).toBe('a');
+    expect(undoRedo.canUndo()).toBe(false);
+  });
+
+  it('does nothing when there is nothing to undo or redo', () => {
+    const { search, undoRedo } = createTestEnvironment();
+    const setUiState = jest.spyOn(search, 'setUiState');
+
+    undoRedo.undo();
+    undoRedo.redo();
+
+    expect(setUiState).not.toHaveBeenCalled();
+  });
+
+  it('clears the history once disposed', () => {
+    const { search, undoRedo, refine } = createTestEnvironment();
+
+    refine('a');
+    search.dispose();
+
+    expect(undoRedo.canUndo()).toBe(false);
+    expect(undoRedo.canRedo()).toBe(false);
+  });
+});
@@ -0,0 +1,260 @@
+/** @jsx h */
+
+import { h, render } from 'preact';
+import { PlainSearchParameters } from 'algoliasearch-helper';
+import {
+  InstantSearch,
+  Middleware,
+  MiddlewareDefinition,
+  MiddlewareOptions,
+  UiState,
+} from '../types';
+import { Index, isIndexWidget } from '../widgets/index/index';
+import { mergeSearchParameters, resolveSearchParameters } from '../lib/utils';
+import Inspector from '../components/Inspector/Inspector';
+
+export type InspectedWidget = {
+  $$type: string | undefined;
+  /**
+   * The part of the index UI state that the widget contributes.
+   */
+  uiState: UiState[string];
+};
+
+export type InspectedIndex = {
+  indexId: string;
+  indexName: string;
+  widgets: InspectedWidget[];
+  /**
+   * The parameters of the index merged with the ones of its parents, as they
+   * are sent to the search client. It's `null` until the index is initialized.
+   */
+  searchParameters: PlainSearchParameters | null;
+  indices: InspectedIndex[];
+};
+
+export type InspectedSearch = {
+  requests: any[];
+  /**
+   * The raw responses keyed by index id.
+   */
+  responses: { [indexId: string]: any };
+  error: Error | null;
+  startTime: number;
+  endTime: number | null;
+};
+
+export type InspectorProps = {
+  /**
+   * Element in which the panel is rendered. An element is appended to the
+   * document body when it's not provided.
+   */
+  container?: HTMLElement;
+  /**
+   * Opens the panel as soon as the middleware is subscribed.
+   *
+   * @default false
+   */
+  isPanelOpen?: boolean;
+  /**
+   * Maximum number of searches kept in the history.
+   *
+   * @default 20
+   */
+  limit?: number;
+};
+
+export type InspectorMiddleware = Middleware & {
+  /**
+   * Returns the tree of indices with their widgets and parameters.
+   */
+  getIndex(): InspectedIndex | null;
+  /**
+   * Returns the recorded searches, the most recent one last.
+   */
+  getSearches(): InspectedSearch[];
+  /**
+   * Opens or closes the panel. It toggles the current visibility when called
+   * without argument.
+   */
+  togglePanel(isOpen?: boolean): void;
+};
+
+export type CreateInspectorMiddleware = (
+  props?: InspectorProps
+) => InspectorMiddleware;
+
+type RecordedSearch = {
+  searchId: number;
+  search: InspectedSearch;
+  /**
+   * The raw results of the response, to find the search the results an index
+   * receives come from.
+   */
+  rawResults: any[];
+};
+
+function inspectIndex(indexWidget: Index): InspectedIndex {
+  const helper = indexWidget.getHelper();
+
+  return {
+    indexId: indexWidget.getIndexId(),
+    indexName: indexWidget.getIndexName(),
+    widgets: indexWidget
+      .getWidgets()
+      .filter(widget => !isIndexWidget(widget))
+      .map(widget => ({
+        $$type: widget.$$type,
+        uiState:
+          helper && widget.getWidgetUiState
+            ? widget.getWidgetUiState(
+                {},
+                { searchParameters: helper.state, helper }
+              )
+            : {},
+      })),
+    searchParameters: helper
+      ? { ...mergeSearchParameters(...resolveSearchParameters(indexWidget)) }
+      : null,
+    indices: indexWidget
+      .getWidgets()
+      .filter(isIndexWidget)
+      .map(inspectIndex),
+  };
+}
+
+export const createInspectorMiddleware: CreateInspectorMiddleware = (
+  props = {}
+) => {
+  const { container, isPanelOpen = false, limit = 20 } = props;
+
+  let recordedSearches: RecordedSearch[] = [];
+  let isOpen = isPanelOpen;
+  let panelContainer: HTMLElement | null = null;
+  let localInstantSearchInstance: InstantSearch | null = null;
+
+  const getSearches = () =>
+    recordedSearches.map(recordedSearch => recordedSearch.search);
+
+  const findSearch = (
+    predicate: (recordedSearch: RecordedSearch) => boolean
+  ): RecordedSearch | undefined => {
+    // The most recent search comes first: a cached response can be shared by
+    // several searches.
+    for (let i = recordedSearches.length - 1; i >= 0; i--) {
+      if (predicate(recordedSearches[i])) {
+        return recordedSearches[i];
+      }
+    }
+
+    return undefined;
+  };
+
+  const renderPanel = () => {
+    if (!localInstantSearchInstance || (!isOpen && !panelContainer)) {
+      return;
+    }
+
+    if (!panelContainer) {
+      if (container) {
+        panelContainer = container;
+      } else {
+        panelContainer = document.createElement('div');
+        document.body.appendChild(panelContainer);
+      }
+    }
+
+    render(
+      isOpen ? (
+        <Inspector
+          index={middleware.getIndex()!}
+          searches={getSearches()}
+          onClose={() => middleware.togglePanel(false)}
+        />
+      ) : null,
+      panelContainer
+    );
+  };
+
+  function middleware({
+    instantSearchInstance,
+  }: MiddlewareOptions): MiddlewareDefinition {
+    localInstantSearchInstance = instantSearchInstance;
+
+    return {
+      onStateChange() {},
+
+      onSearch({ requests, searchId }) {
+        recordedSearches = recordedSearches
+          .concat({
+            searchId,
+            search: {
+              requests,
+              responses: {},
+              error: null,
+              startTime: Date.now(),
+              endTime: null,
+            },
+            rawResults: [],
+          })
+          .slice(-limit);
+      },
+
+      onResponse({ searchId, response, error }) {
+        const recordedSearch = findSearch(_ => _.searchId === searchId);
+
+        if (recordedSearch) {
+          recordedSearch.rawResults = response ? response.results : [];
+          recordedSearch.search.error = error;
+          recordedSearch.search.endTime = Date.now();
+        }
+      },
+
+      onResults({ indexId, results }) {
+        const recordedSearch = findSearch(
+          _ => _.rawResults.indexOf(results._rawResults[0]) !== -1
+        );
+
+        if (recordedSearch) {
+          recordedSearch.search.responses[indexId] = results._rawResults;
+        }
+      },
+
+      onRender() {
+        renderPanel();
+      },
+
+      subscribe() {
+        renderPanel();
+      },
+
+      unsubscribe() {
+        if (panelContainer) {
+          render(null, panelContainer);
+
+          if (!container && panelContainer.parentNode) {
+            panelContainer.parentNode.removeChild(panelContainer);
+          }
+        }
+
+        panelContainer = null;
+        recordedSearches = [];
+        localInstantSearchInstance = null;
+      },
+    };
+  }
+
+  middleware.getIndex = () =>
+    localInstantSearchInstance
+      ? inspectIndex(localInstantSearchInstance.mainIndex)
+      : null;
+
+  middleware.getSearches = getSearches;
+
+  middleware.togglePanel = (nextIsOpen = !isOpen) => {
+    isOpen = nextIsOpen;
+    renderPanel();
+  };
+
+  return middleware;
+};
@@ -7,65 +7,274 @@ import {
   Middleware,
   RouteState,
 } from '../types';
-import { isEqual } from '../lib/utils';
+import {
+  isEqual,
+  warning,
+  checkIndexUiStateKeys,
+  createDocumentationMessageGenerator,
+} from '../lib/utils';
+import {
+  SeoOptions,
+  getSeoMetadata,
+  createSeoMetadataWriter,
+} from '../lib/seoMetadata';
+
+const withUsage = createDocumentationMessageGenerator({
+  name: 'instantsearch',
+});
+
+export type RouteMigration = (routeState: RouteState) => RouteState;
 
 export type RouterProps = {
   router?: Router;
   stateMapping?: StateMapping;
+  /**
+   * Upgrades the route states written by the previous versions of the app,
+   * e.g. after an attribute is renamed. The migration at position `n` turns
+   * a route state of version `n` into one of version `n + 1`. The routes
+   * without version are of version `0`, and the current version is the
+   * number of migrations.
+   */
+  migrations?: RouteMigration[];
+  /**
+   * The key of the route state holding its version, when there are
+   * migrations. It's left out of the empty route states, e.g. to keep the
+   * URL without parameters when nothing is refined.
+   *
+   * @default 'v'
+   */
+  versionKey?: string;
+  /**
+   * Manages the canonical URL, the `robots` meta tag and the pagination links
+   * of the page from the UI state, after each render.
+   */
+  seo?: SeoOptions;
 };
 
-export type RoutingManager = (props?: RouterProps) => Middleware;
+export type RoutingManager = (
+  props?: RouterProps | RouterProps[]
+) => Middleware;
+
+type RouteSync = {
+  router: Router;
+  seo?: SeoOptions;
+  stateToRoute(uiState: UiState): RouteState;
+  routeToState(routeState: RouteState): UiState;
+};
+
+// The route state holding no value, e.g. `{ indexName: {} }`, which the
+// routers write as an empty URL.
+function isEmptyRouteState(routeState: any): boolean {
+  return (
+    routeState === undefined ||
+    (typeof routeState === 'object' &&
+      routeState !== null &&
+      Object.keys(routeState).every(key => isEmptyRouteState(routeState[key])))
+  );
+}
+
+function getRouteVersion(routeState: RouteState, versionKey: string): number {
+  // The version read from the URL is a string.
+  const version = parseInt(routeState[versionKey], 10);
+
+  return version > 0 ? version : 0;
+}
+
+function createRouteSync({
+  router = historyRouter(),
+  stateMapping = simpleStateMapping(),
+  migrations = [],
+  versionKey = 'v',
+  seo,
+}: RouterProps): RouteSync {
+  const currentVersion = migrations.length;
+
+  function stateToRoute(uiState: UiState): RouteState {
+    const routeState = stateMapping.stateToRoute(uiState);
 
+    return currentVersion > 0 && !isEmptyRouteState(routeState)
+      ? { ...routeState, [versionKey]: currentVersion }
+      : routeState;
+  }
+
+  function routeToState(routeState: RouteState): UiState {
+    if (currentVersion === 0) {
+      return stateMapping.routeToState(routeState);
+    }
+
+    const unversionedRouteState = { ...routeState };
+
+    delete unversionedRouteState[versionKey];
+
+    // The empty route state, e.g. of the URL without parameters, is written
+    // without version and is of the current version.
+    const version = isEmptyRouteState(unversionedRouteState)
+      ? currentVersion
+      : getRouteVersion(routeState, versionKey);
+    const migratedRouteState = migrations
+      .slice(version)
+      .reduce<RouteState>(
+        (acc, migration) => migration(acc),
+        unversionedRouteState
+      );
+    const uiState = stateMapping.routeToState(migratedRouteState);
+
+    if (__DEV__) {
+      warning(
+        version <= currentVersion,
+        withUsage(
+          `The route state is of version ${version} while the current version is ${currentVersion}. It is read without migration.`
+        )
+      );
+
+      if (version < currentVersion) {
+        Object.keys(uiState).forEach(indexId => {
+          checkIndexUiStateKeys({
+            indexId,
+            indexUiState: uiState[indexId],
+          });
+        });
+      }
+    }
+
+    return uiState;
+  }
+
+  return { router, seo, stateToRoute, routeToState };
+}
+
+/**
+ * Merges the UI states of the routers index by index. The UI states listed
+ * first take precedence for the keys they have in common.
+ */
+function mergeUiStates(uiStates: UiState[]): UiState {
+  return uiStates.reduceRight<UiState>(
+    (acc, uiState) =>
+      Object.keys(uiState).reduce(
+        (mergedUiState, indexId) => ({
+          ...mergedUiState,
+          [indexId]: { ...mergedUiState[indexId], ...uiState[indexId] },
+        }),
+        acc
+      ),
+    {}
+  );
+}
+
+/**
+ * Syncs the UI state with one router, or with several routers like the URL
+ * for the query and refinements and the local storage for the preferences.
+ * Each router writes the route state from its own state mapping. The routers
+ * listed first take precedence when their UI states have keys in common, and
+ * the first router creates the URLs.
+ */
 export const createRouterMiddleware: RoutingManager = (props = {}) => {
-  const {
-    router = historyRouter(),
-    stateMapping = simpleStateMapping(),
-  } = props;
+  const routeSyncs = (Array.isArray(props) ? props : [props]).map(
+    createRouteSync
+  );
+
+  if (routeSyncs.length === 0) {
+    throw new Error(withUsage('The routing expects at least one router.'));
+  }
 
   return ({ instantSearchInstance }) => {
-    function topLevelCreateURL(nextState: UiState) {
-      const uiState: UiState = Object.keys(nextState).reduce(
-        (acc, indexId) => ({
-          ...acc,
-          [indexId]: nextState[indexId],
-        }),
-        instantSearchInstance.mainIndex.getWidgetUiState({})
-      );
+    function createURLFactory({ router, stateToRoute }: RouteSync) {
+      return (nextState: UiState) => {
+        const uiState: UiState = Object.keys(nextState).reduce(
+          (acc, indexId) => ({
+            ...acc,
+            [indexId]: nextState[indexId],
+          }),
+          instantSearchInstance.mainIndex.getWidgetUiState({})
+        );
 
-      const route = stateMapping.stateToRoute(uiState);
+        const route = stateToRoute(uiState);
 
-      return router.createURL(route);
+        return router.createURL(route);
+      };
     }
 
-    instantSearchInstance._createURL = topLevelCreateURL;
+    instantSearchInstance._createURL = createURLFactory(routeSyncs[0]);
     instantSearchInstance._initialUiState = {
       ...instantSearchInstance._initialUiState,
-      ...stateMapping.routeToState(router.read()),
+      ...mergeUiStates(
+        routeSyncs.map(({ router, routeToState }) =>
+          routeToState(router.read())
+        )
+      ),
     };
 
-    let lastRouteState: RouteState | undefined = undefined;
+    const lastRouteStates: Array<RouteState | undefined> = routeSyncs.map(
+      () => undefined
+    );
+    const seoMetadataWriter = createSeoMetadataWriter();
 
     return {
       onStateChange({ uiState }) {
-        const routeState = stateMapping.stateToRoute(uiState);
-
-        if (
-          lastRouteState === undefined ||
-          !isEqual(lastRouteState, routeState)
-        ) {
-          router.write(routeState);
-          lastRouteState = routeState;
-        }
+        routeSyncs.forEach(({ router, stateToRoute }, index) => {
+          const routeState = stateToRoute(uiState);
+          const lastRouteState = lastRouteStates[index];
+
+          if (
+            lastRouteState === undefined ||
+            !isEqual(lastRouteState, routeState)
+          ) {
+            router.write(routeState);
+            lastRouteStates[index] = routeState;
+          }
+        });
+      },
+
+      onRender() {
+        const { mainIndex } = instantSearchInstance;
+
+        routeSyncs.forEach(routeSync => {
+          if (!routeSync.seo) {
+            return;
+          }
+
+          seoMetadataWriter.write(
+            getSeoMetadata(routeSync.seo, {
+              uiState: mainIndex.getWidgetUiState({}),
+              indexId: mainIndex.getIndexId(),
+              results: mainIndex.getResults(),
+              createURL: createURLFactory(routeSync),
+            })
+          );
+        });
       },
 
       subscribe() {
-        router.onUpdate(route => {
-          instantSearchInstance.setUiState(stateMapping.routeToState(route));
+        routeSyncs.forEach(({ router }, index) => {
+          router.onUpdate(route => {
+            // The UI state of the other routers is the one they last wrote.
+            instantSearchInstance.setUiState(
+              mergeUiStates(
+                routeSyncs.map((routeSync, otherIndex) => {
+                  if (otherIndex === index) {
+                    return routeSync.routeToState(route);
+                  }
+
+                  const lastRouteState = lastRouteStates[otherIndex];
+
+                  return routeSync.routeToState(
+                    lastRouteState === undefined
+                      ? routeSync.router.read()
+                      : lastRouteState
+                  );
+                })
+              )
+            );
+          });
         });
       },
 
       unsubscribe() {
-        router.dispose();
+        routeSyncs.forEach(({ router }) => {
+          router.dispose();
+        });
+
+        seoMetadataWriter.restore();
       },
     };
   };
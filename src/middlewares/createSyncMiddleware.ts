@@ -0,0 +1,96 @@
+import {
+  InstantSearch,
+  Middleware,
+  MiddlewareDefinition,
+  MiddlewareOptions,
+  UiState,
+} from '../types';
+import { isEqual, createDocumentationMessageGenerator } from '../lib/utils';
+
+const withUsage = createDocumentationMessageGenerator({
+  name: 'instantsearch',
+});
+
+export type SyncProps = {
+  /**
+   * The InstantSearch instance that mirrors the UI state.
+   */
+  target: InstantSearch;
+  /**
+   * Returns the next UI state of the target from the UI state of the instance
+   * that uses the middleware. It's the place to pick the parts of the UI state
+   * to mirror and to map the index ids of one instance to the other.
+   *
+   * The default implementation copies the UI state of every index over the
+   * one of the target.
+   */
+  mapState?(uiState: UiState, targetUiState: UiState): UiState;
+};
+
+export type SyncMiddleware = Middleware;
+
+export type CreateSyncMiddleware = (props: SyncProps) => SyncMiddleware;
+
+// The instances whose UI state is being mirrored, shared by all the sync
+// middlewares. When the instances mirror each other (e.g. A into B and B into
+// A, or through a longer cycle), the state changes that the mirroring triggers
+// are not mirrored back into them.
+let syncingInstances: InstantSearch[] = [];
+
+export const createSyncMiddleware: CreateSyncMiddleware = props => {
+  const {
+    target,
+    mapState = (uiState, targetUiState) => ({ ...targetUiState, ...uiState }),
+  } = props || ({} as SyncProps);
+
+  if (!target) {
+    throw new Error(withUsage('The `target` option is required.'));
+  }
+
+  const sync = (source: InstantSearch, uiState: UiState) => {
+    // The target must be started to receive a UI state.
+    if (syncingInstances.indexOf(target) !== -1 || !target.started) {
+      return;
+    }
+
+    const targetUiState = target.mainIndex.getWidgetUiState({});
+    const nextTargetUiState = mapState(uiState, targetUiState);
+
+    if (isEqual(nextTargetUiState, targetUiState)) {
+      return;
+    }
+
+    syncingInstances.push(source);
+
+    try {
+      target.setUiState(nextTargetUiState);
+    } finally {
+      syncingInstances = syncingInstances.filter(_ => _ !== source);
+    }
+  };
+
+  return ({
+    instantSearchInstance,
+  }: MiddlewareOptions): MiddlewareDefinition => {
+    if (instantSearchInstance === target) {
+      throw new Error(
+        withUsage('The `target` must be another InstantSearch instance.')
+      );
+    }
+
+    return {
+      onStateChange({ uiState }) {
+        sync(instantSearchInstance, uiState);
+      },
+
+      subscribe() {
+        sync(
+          instantSearchInstance,
+          instantSearchInstance.mainIndex.getWidgetUiState({})
+        );
+      },
+
+      unsubscribe() {},
+    };
+  };
+};
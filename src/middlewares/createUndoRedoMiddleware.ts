@@ -0,0 +1,112 @@
+import {
+  InstantSearch,
+  Middleware,
+  MiddlewareDefinition,
+  MiddlewareOptions,
+  UiState,
+} from '../types';
+import { isEqual } from '../lib/utils';
+
+export type UndoRedoProps = {
+  /**
+   * Maximum number of UI states kept in the history, including the current
+   * one. The oldest states are discarded once the limit is reached.
+   *
+   * @default 20
+   */
+  limit?: number;
+};
+
+export type UndoRedoMiddleware = Middleware & {
+  /**
+   * Restores the previous UI state.
+   */
+  undo(): void;
+  /**
+   * Restores the UI state that was undone last.
+   */
+  redo(): void;
+  canUndo(): boolean;
+  canRedo(): boolean;
+};
+
+export type CreateUndoRedoMiddleware = (
+  props?: UndoRedoProps
+) => UndoRedoMiddleware;
+
+export const createUndoRedoMiddleware: CreateUndoRedoMiddleware = (
+  props = {}
+) => {
+  const { limit = 20 } = props;
+
+  let entries: UiState[] = [];
+  let currentIndex = -1;
+  let isApplyingEntry = false;
+  let localInstantSearchInstance: InstantSearch | null = null;
+
+  const applyEntry = (nextIndex: number) => {
+    currentIndex = nextIndex;
+
+    // The state change triggered by `setUiState` must not be recorded as a new
+    // entry, otherwise it would discard the entries that can be redone.
+    isApplyingEntry = true;
+    localInstantSearchInstance!.setUiState(entries[currentIndex]);
+    isApplyingEntry = false;
+  };
+
+  const pushEntry = (uiState: UiState) => {
+    if (currentIndex !== -1 && isEqual(entries[currentIndex], uiState)) {
+      return;
+    }
+
+    entries = entries
+      .slice(0, currentIndex + 1)
+      .concat(uiState)
+      .slice(-limit);
+    currentIndex = entries.length - 1;
+  };
+
+  function middleware({
+    instantSearchInstance,
+  }: MiddlewareOptions): MiddlewareDefinition {
+    localInstantSearchInstance = instantSearchInstance;
+
+    return {
+      onStateChange({ uiState }) {
+        if (!isApplyingEntry) {
+          pushEntry(uiState);
+        }
+      },
+
+      subscribe() {
+        // At the time this middleware is subscribed, `mainIndex.init()` is
+        // already called, the initial UI state is therefore resolved.
+        pushEntry(instantSearchInstance.mainIndex.getWidgetUiState({}));
+      },
+
+      unsubscribe() {
+        entries = [];
+        currentIndex = -1;
+      },
+    };
+  }
+
+  middleware.canUndo = () => currentIndex > 0;
+
+  middleware.canRedo = () =>
+    currentIndex !== -1 && currentIndex < entries.length - 1;
+
+  middleware.undo = () => {
+    if (middleware.canUndo()) {
+      applyEntry(currentIndex - 1);
+    }
+  };
+
+  middleware.redo = () => {
+    if (middleware.canRedo()) {
+      applyEntry(currentIndex + 1);
+    }
+  };
+
+  return middleware;
+};
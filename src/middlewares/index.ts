@@ -1,2 +1,5 @@
 export * from './createInsightsMiddleware';
+export * from './createInspectorMiddleware';
 export * from './createRouterMiddleware';
+export * from './createUndoRedoMiddleware';
+export * from './createSyncMiddleware';
@@ -1,8 +1,13 @@
-import { SearchParameters } from 'algoliasearch-helper';
+import {
+  PlainSearchParameters,
+  SearchParameters,
+  SearchResults,
+} from 'algoliasearch-helper';
 import { UiState } from './widget';
 export {
   default as InstantSearch,
   InstantSearchOptions,
+  ResponsesCache,
 } from '../lib/InstantSearch';
 
 // @TODO: can this be written some other way?
@@ -10,6 +15,31 @@ export type HelperChangeEvent = {
   state: SearchParameters;
 };
 
+/**
+ * The results computed ahead of time (e.g. on the server) for each index,
+ * keyed by index id.
+ */
+export type InitialResults = {
+  [indexId: string]: {
+    state: PlainSearchParameters;
+    results: SearchResults['_rawResults'];
+  };
+};
+
+/**
+ * The serializable state of an InstantSearch instance returned by
+ * `getSnapshot`, to be passed to `restoreSnapshot`.
+ */
+export type InstantSearchSnapshot = {
+  version: number;
+  uiState: UiState;
+  /**
+   * The resolved search parameters and the last results of the indices that
+   * have results, keyed by index id.
+   */
+  results: InitialResults;
+};
+
 export type HitAttributeHighlightResult = {
   value: string;
   matchLevel: 'none' | 'partial' | 'full';
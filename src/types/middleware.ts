@@ -1,10 +1,47 @@
+import { SearchResults } from 'algoliasearch-helper';
 import InstantSearch from '../lib/InstantSearch';
 import { UiState } from './widget';
+import { MultiResponse } from './algoliasearch';
 
+/**
+ * The middleware hooks are called in the order in which the middleware were
+ * added with `use`.
+ */
 export type MiddlewareDefinition = {
   onStateChange(options: { uiState: UiState }): void;
   subscribe(): void;
   unsubscribe(): void;
+  /**
+   * Called before the requests are sent to the search client. The requests
+   * can be rewritten by returning new ones, which are then passed to the next
+   * middleware.
+   */
+  onSearch?(options: { requests: any[]; searchId: number }): any[] | void;
+  /**
+   * Called when a search settles, before the indices receive their results.
+   * The `searchId` is the one the search was sent with in `onSearch`.
+   */
+  onResponse?(options: {
+    searchId: number;
+    response: MultiResponse | null;
+    error: Error | null;
+  }): void;
+  /**
+   * Called each time an index receives its results.
+   */
+  onResults?(options: {
+    indexId: string;
+    results: SearchResults;
+    uiState: UiState;
+  }): void;
+  /**
+   * Called when a search fails.
+   */
+  onError?(options: { error: Error }): void;
+  /**
+   * Called once all the widgets are rendered.
+   */
+  onRender?(): void;
 };
 
 export type MiddlewareOptions = {
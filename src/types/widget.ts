@@ -28,6 +28,10 @@ import {
   CurrentRefinementsRendererOptions,
   CurrentRefinementsConnectorParams,
 } from '../connectors/current-refinements/connectCurrentRefinements';
+import {
+  FederatedSearchRendererOptions,
+  FederatedSearchConnectorParams,
+} from '../connectors/federated-search/connectFederatedSearch';
 import {
   HitsPerPageConnectorParams,
   HitsPerPageRendererOptions,
@@ -83,6 +87,14 @@ type SharedRenderOptions = {
   helper: Helper;
   searchMetadata: {
     isSearchStalled: boolean;
+    /**
+     * The number of searches that are still in flight.
+     */
+    pendingRequests: number;
+    /**
+     * The error of the last search if it failed.
+     */
+    error: Error | null;
   };
   createURL(state: SearchParameters): string;
 };
@@ -217,6 +229,10 @@ export type IndexRenderState = Partial<{
     CurrentRefinementsRendererOptions,
     CurrentRefinementsConnectorParams
   >;
+  federatedSearch: WidgetRenderState<
+    FederatedSearchRendererOptions,
+    FederatedSearchConnectorParams
+  >;
   hierarchicalMenu: {
     [attribute: string]: WidgetRenderState<
       {
@@ -370,6 +386,7 @@ export type Widget<
     | 'ais.configure'
     | 'ais.configureRelatedItems'
     | 'ais.currentRefinements'
+    | 'ais.federatedSearch'
     | 'ais.geoSearch'
     | 'ais.hierarchicalMenu'
     | 'ais.hits'
@@ -407,6 +424,11 @@ export type Widget<
    * during this widget's initialization and life time.
    */
   dispose?(options: DisposeOptions): SearchParameters | void;
+  /**
+   * Returns the `index` widgets the widget is composed of. They're added to
+   * and removed from the parent index along with the widget.
+   */
+  getIndices?(): Widget[];
   /**
    * This function is required for a widget to be taken in account for routing.
    * It will derive a uiState for this widget based on the existing uiState and
@@ -0,0 +1,170 @@
+import federatedSearch from '../federated-search';
+import instantsearch from '../../../lib/main';
+import connectSearchBox from '../../../connectors/search-box/connectSearchBox';
+import { createSearchClient } from '../../../../test/mock/createSearchClient';
+import {
+  createMultiSearchResponse,
+  createSingleSearchResponse,
+} from '../../../../test/mock/createAPIResponse';
+import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
+import { noop } from '../../../lib/utils';
+
+function createFederatedSearchClient(nbHitsByIndex: {
+  [indexName: string]: number;
+}) {
+  return createSearchClient({
+    search: jest.fn(requests =>
+      Promise.resolve(
+        createMultiSearchResponse(
+          ...requests.map(({ indexName }) =>
+            createSingleSearchResponse({
+              index: indexName,
+              nbHits: nbHitsByIndex[indexName] || 0,
+              hits: nbHitsByIndex[indexName]
+                ? [
+                    { objectID: `${indexName}-1`, name: `${indexName} 1` },
+                    { objectID: `${indexName}-2`, name: `${indexName} 2` },
+                  ]
+                : [],
+            })
+          )
+        )
+      )
+    ),
+  });
+}
+
+describe('federatedSearch()', () => {
+  describe('Usage', () => {
+    it('throws without `container`', () => {
+      expect(() => {
+        federatedSearch({
+          // @ts-ignore
+          container: undefined,
+          indices: [{ indexName: 'products' }],
+        });
+      }).toThrowErrorMatchingInlineSnapshot(`
+"The \`container\` option is required.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/federated-search/js/"
+`);
+    });
+  });
+
+  describe('render', () => {
+    it('renders the sections with hits', async () => {
+      const container = document.createElement('div');
+      const search = instantsearch({
+        indexName: 'main',
+        searchClient: createFederatedSearchClient({
+          products: 120,
+          articles: 300,
+        }),
+      });
+
+      search.addWidgets([
+        connectSearchBox(noop)({}),
+        federatedSearch({
+          container,
+          indices: [
+            { indexName: 'products' },
+            { indexName: 'articles' },
+            { indexName: 'stores' },
+          ],
+          sortBy: 'nbHits',
+          templates: {
+            item: '{{name}}',
+          },
+        }),
+      ]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(container.innerHTML).toMatchInlineSnapshot(
+        `"<div class=\\"ais-FederatedSearch\\"><section class=\\"ais-FederatedSearch-section\\"><div class=\\"ais-FederatedSearch-header\\">articles</div><ol class=\\"ais-FederatedSearch-list\\"><li class=\\"ais-FederatedSearch-item\\">articles 1</li><li class=\\"ais-FederatedSearch-item\\">articles 2</li></ol><a class=\\"ais-FederatedSearch-seeAll\\" href=\\"#\\">See all 300 results</a></section><section class=\\"ais-FederatedSearch-section\\"><div class=\\"ais-FederatedSearch-header\\">products</div><ol class=\\"ais-FederatedSearch-list\\"><li class=\\"ais-FederatedSearch-item\\">products 1</li><li class=\\"ais-FederatedSearch-item\\">products 2</li></ol><a class=\\"ais-FederatedSearch-seeAll\\" href=\\"#\\">See all 120 results</a></section></div>"`
+      );
+    });
+
+    it('renders the custom templates and CSS classes', async () => {
+      const container = document.createElement('div');
+      const search = instantsearch({
+        indexName: 'main',
+        searchClient: createFederatedSearchClient({ products: 120 }),
+      });
+
+      search.addWidgets([
+        connectSearchBox(noop)({}),
+        federatedSearch({
+          container,
+          indices: [{ indexName: 'products' }],
+          seeAllURL: ({ indexId }) => `/${indexId}`,
+          templates: {
+            header: ({ indexId, nbHits }) => `${indexId} (${nbHits})`,
+            item: '{{__hitIndex}}',
+            seeAll: 'More',
+          },
+          cssClasses: {
+            root: 'root',
+            section: 'section',
+            header: 'header',
+            list: 'list',
+            item: 'item',
+            seeAll: 'seeAll',
+          },
+        }),
+      ]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(container.innerHTML).toMatchInlineSnapshot(
+        `"<div class=\\"ais-FederatedSearch root\\"><section class=\\"ais-FederatedSearch-section section\\"><div class=\\"ais-FederatedSearch-header header\\">products (120)</div><ol class=\\"ais-FederatedSearch-list list\\"><li class=\\"ais-FederatedSearch-item item\\">0</li><li class=\\"ais-FederatedSearch-item item\\">1</li></ol><a class=\\"ais-FederatedSearch-seeAll seeAll\\" href=\\"/products\\">More</a></section></div>"`
+      );
+    });
+
+    it('renders the empty root without hits', async () => {
+      const container = document.createElement('div');
+      const search = instantsearch({
+        indexName: 'main',
+        searchClient: createFederatedSearchClient({}),
+      });
+
+      search.addWidgets([
+        federatedSearch({
+          container,
+          indices: [{ indexName: 'products' }],
+          cssClasses: { emptyRoot: 'empty' },
+        }),
+      ]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      expect(container.innerHTML).toMatchInlineSnapshot(
+        `"<div class=\\"ais-FederatedSearch ais-FederatedSearch--empty empty\\"></div>"`
+      );
+    });
+
+    it('unmounts the widget on dispose', async () => {
+      const container = document.createElement('div');
+      const search = instantsearch({
+        indexName: 'main',
+        searchClient: createFederatedSearchClient({ products: 120 }),
+      });
+      const widget = federatedSearch({
+        container,
+        indices: [{ indexName: 'products' }],
+      });
+
+      search.addWidgets([widget]);
+      search.start();
+
+      await runAllMicroTasks();
+
+      search.removeWidgets([widget]);
+
+      expect(container.innerHTML).toBe('');
+    });
+  });
+});
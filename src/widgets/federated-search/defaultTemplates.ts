@@ -0,0 +1,7 @@
+export default {
+  header: '{{indexName}}',
+  item(data) {
+    return JSON.stringify(data, null, 2);
+  },
+  seeAll: 'See all {{nbHits}} results',
+};
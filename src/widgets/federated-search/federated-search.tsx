@@ -0,0 +1,192 @@
+/** @jsx h */
+
+import { h, render } from 'preact';
+import cx from 'classnames';
+import FederatedSearch from '../../components/FederatedSearch/FederatedSearch';
+import connectFederatedSearch, {
+  FederatedSearchRendererOptions,
+  FederatedSearchConnectorParams,
+} from '../../connectors/federated-search/connectFederatedSearch';
+import defaultTemplates from './defaultTemplates';
+import {
+  getContainerNode,
+  prepareTemplateProps,
+  createDocumentationMessageGenerator,
+} from '../../lib/utils';
+import { component } from '../../lib/suit';
+import { WidgetFactory, Template, Hit } from '../../types';
+
+const withUsage = createDocumentationMessageGenerator({
+  name: 'federated-search',
+});
+const suit = component('FederatedSearch');
+
+const renderer = ({ containerNode, cssClasses, renderState, templates }) => (
+  { query, sections, instantSearchInstance },
+  isFirstRendering
+) => {
+  if (isFirstRendering) {
+    renderState.templateProps = prepareTemplateProps({
+      defaultTemplates,
+      templatesConfig: instantSearchInstance.templatesConfig,
+      templates,
+    });
+
+    return;
+  }
+
+  render(
+    <FederatedSearch
+      query={query}
+      sections={sections}
+      cssClasses={cssClasses}
+      templateProps={renderState.templateProps}
+    />,
+    containerNode
+  );
+};
+
+export type FederatedSearchCSSClasses = {
+  /**
+   * CSS class to add to the root element of the widget.
+   */
+  root?: string | string[];
+
+  /**
+   * CSS class to add to the root element of the widget when no section has hits.
+   */
+  emptyRoot?: string | string[];
+
+  /**
+   * CSS class to add to each section.
+   */
+  section?: string | string[];
+
+  /**
+   * CSS class to add to the header of each section.
+   */
+  header?: string | string[];
+
+  /**
+   * CSS class to add to the list of hits of each section.
+   */
+  list?: string | string[];
+
+  /**
+   * CSS class to add to each hit.
+   */
+  item?: string | string[];
+
+  /**
+   * CSS class to add to the "see all" link of each section.
+   */
+  seeAll?: string | string[];
+};
+
+type SectionTemplateData = {
+  indexName: string;
+  indexId: string;
+  nbHits: number;
+  query: string;
+};
+
+export type FederatedSearchTemplates = {
+  /**
+   * Template to use for the header of each section.
+   *
+   * @default '{{indexName}}'
+   */
+  header?: Template<SectionTemplateData>;
+
+  /**
+   * Template to use for each hit. The hit has a `__hitIndex` property for its
+   * position in the section.
+   */
+  item?: Template<Hit & { __hitIndex: number }>;
+
+  /**
+   * Template to use for the "see all" link of each section.
+   *
+   * @default 'See all {{nbHits}} results'
+   */
+  seeAll?: Template<SectionTemplateData>;
+};
+
+export type FederatedSearchWidgetOptions = {
+  /**
+   * CSS Selector or HTMLElement to insert the widget.
+   */
+  container: string | HTMLElement;
+
+  /**
+   * Templates to use for the widget.
+   */
+  templates?: FederatedSearchTemplates;
+
+  /**
+   * CSS classes to add to the wrapping elements.
+   */
+  cssClasses?: FederatedSearchCSSClasses;
+};
+
+export type FederatedSearchWidget = WidgetFactory<
+  FederatedSearchRendererOptions,
+  FederatedSearchConnectorParams,
+  FederatedSearchWidgetOptions
+>;
+
+/**
+ * Displays a section with the first hits of each index, searched with the
+ * query of the parent index. The sections without hits are not displayed.
+ */
+const federatedSearch: FederatedSearchWidget = function federatedSearch(
+  widgetOptions
+) {
+  const {
+    container,
+    indices,
+    hitsPerPage,
+    sortBy,
+    seeAllURL,
+    escapeHTML,
+    templates = defaultTemplates,
+    cssClasses: userCssClasses = {},
+  } = widgetOptions || ({} as typeof widgetOptions);
+
+  if (!container) {
+    throw new Error(withUsage('The `container` option is required.'));
+  }
+
+  const containerNode = getContainerNode(container);
+
+  const cssClasses = {
+    root: cx(suit(), userCssClasses.root),
+    emptyRoot: cx(suit({ modifierName: 'empty' }), userCssClasses.emptyRoot),
+    section: cx(suit({ descendantName: 'section' }), userCssClasses.section),
+    header: cx(suit({ descendantName: 'header' }), userCssClasses.header),
+    list: cx(suit({ descendantName: 'list' }), userCssClasses.list),
+    item: cx(suit({ descendantName: 'item' }), userCssClasses.item),
+    seeAll: cx(suit({ descendantName: 'seeAll' }), userCssClasses.seeAll),
+  };
+
+  const specializedRenderer = renderer({
+    containerNode,
+    cssClasses,
+    renderState: {},
+    templates,
+  });
+
+  const makeFederatedSearch = connectFederatedSearch(specializedRenderer, () =>
+    render(null, containerNode)
+  );
+
+  return makeFederatedSearch({
+    indices,
+    hitsPerPage,
+    sortBy,
+    seeAllURL,
+    escapeHTML,
+  });
+};
+
+export default federatedSearch;
@@ -5,6 +5,10 @@ describe('hits defaultTemplates', () => {
     expect(defaultTemplates.empty).toBe('No results');
   });
 
+  it('has a `error` default template', () => {
+    expect(defaultTemplates.error).toBe('The search failed');
+  });
+
   it('has a `item` default template', () => {
     const item = {
       hello: 'there,',
@@ -1,5 +1,6 @@
 export default {
   empty: 'No results',
+  error: 'The search failed',
   item(data) {
     return JSON.stringify(data, null, 2);
   },
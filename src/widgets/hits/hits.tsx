@@ -35,7 +35,14 @@ const renderer = ({
   containerNode,
   templates,
 }): Renderer<HitsRendererOptions, Partial<HitsWidgetOptions>> => (
-  { hits: receivedHits, results, instantSearchInstance, insights, bindEvent },
+  {
+    hits: receivedHits,
+    results,
+    error,
+    instantSearchInstance,
+    insights,
+    bindEvent,
+  },
   isFirstRendering
 ) => {
   if (isFirstRendering) {
@@ -52,6 +59,7 @@ const renderer = ({
       cssClasses={cssClasses}
       hits={receivedHits}
       results={results}
+      error={error}
       templateProps={renderState.templateProps}
       insights={insights as InsightsClientWrapper}
       sendEvent={(event: InsightsEvent) => {
@@ -93,6 +101,14 @@ export type HitsTemplates = {
    */
   empty?: Template;
 
+  /**
+   * Template to use when the search fails, instead of the results. It
+   * receives the `error` of the search.
+   *
+   * @default 'The search failed'
+   */
+  error?: Template<{ error: Error }>;
+
   /**
    * Template to use for each result. This template will receive an object containing a single record. The record will
    * have a new property `__hitIndex` for the position of the record in the list of displayed hits.
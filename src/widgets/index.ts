@@ -23,6 +23,8 @@ export { default as breadcrumb } from './breadcrumb/breadcrumb';
 export { default as menuSelect } from './menu-select/menu-select';
 export { default as poweredBy } from './powered-by/powered-by';
 export { default as panel } from './panel/panel';
+export { default as lazy } from './lazy/lazy';
+export { default as federatedSearch } from './federated-search/federated-search';
 export { default as voiceSearch } from './voice-search/voice-search';
 export { default as queryRuleCustomData } from './query-rule-custom-data/query-rule-custom-data';
 export { default as queryRuleContext } from './query-rule-context/query-rule-context';
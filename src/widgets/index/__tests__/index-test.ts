@@ -10,9 +10,13 @@ import {
   createRenderOptions,
   createDisposeOptions,
 } from '../../../../test/mock/createWidget';
+import { createIntersectionObserver } from '../../../../test/mock/createIntersectionObserver';
 import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
 import { Widget, InstantSearch } from '../../../types';
 import index from '../index';
+import instantsearch from '../../../lib/main';
+import memory from '../../../lib/routers/memory';
+import connectRefinementList from '../../../connectors/refinement-list/connectRefinementList';
 import { warning } from '../../../lib/utils';
 
 describe('index', () => {
@@ -257,6 +261,8 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widge
             scopedResults: [],
             searchMetadata: {
               isSearchStalled: true,
+              pendingRequests: 0,
+              error: null,
             },
           });
         });
@@ -314,6 +320,8 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widge
             scopedResults: [],
             searchMetadata: {
               isSearchStalled: true,
+              pendingRequests: 0,
+              error: null,
             },
           });
         });
@@ -1018,6 +1026,8 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widge
           scopedResults: [],
           searchMetadata: {
             isSearchStalled: instantSearchInstance._isSearchStalled,
+            pendingRequests: instantSearchInstance._pendingRequests,
+            error: instantSearchInstance._searchError,
           },
         });
       });
@@ -2092,6 +2102,8 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widge
           scopedResults: [],
           searchMetadata: {
             isSearchStalled: instantSearchInstance._isSearchStalled,
+            pendingRequests: instantSearchInstance._pendingRequests,
+            error: instantSearchInstance._searchError,
           },
         })
       );
@@ -2169,6 +2181,8 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widge
           createURL: expect.any(Function),
           searchMetadata: {
             isSearchStalled: instantSearchInstance._isSearchStalled,
+            pendingRequests: instantSearchInstance._pendingRequests,
+            error: instantSearchInstance._searchError,
           },
         });
       });
@@ -2517,6 +2531,185 @@ See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widge
     });
   });
 
+  describe('lazy', () => {
+    let intersectionObserver: ReturnType<typeof createIntersectionObserver>;
+
+    beforeEach(() => {
+      intersectionObserver = createIntersectionObserver();
+    });
+
+    afterEach(() => {
+      intersectionObserver.restore();
+    });
+
+    const createLazyEnvironment = () => {
+      const container = document.createElement('div');
+      const instance = index({ indexName: 'indexName', lazy: { container } });
+      const mainHelper = algoliasearchHelper(createSearchClient(), '', {});
+      const instantSearchInstance = createInstantSearch({
+        mainHelper,
+        scheduleSearch: jest.fn() as any,
+      });
+
+      instance.init(
+        createInitOptions({
+          instantSearchInstance,
+          parent: null,
+        })
+      );
+
+      return { container, instance, mainHelper, instantSearchInstance };
+    };
+
+    it('throws without container', () => {
+      expect(() => {
+        // @ts-ignore wrong option type
+        index({ indexName: 'indexName', lazy: {} });
+      }).toThrowErrorMatchingInlineSnapshot(`
+"The \`container\` option of \`lazy\` is required.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/index-widget/js/"
+`);
+    });
+
+    it('leaves the index out of the searches until the container is visible', () => {
+      const {
+        container,
+        mainHelper,
+        instantSearchInstance,
+      } = createLazyEnvironment();
+
+      expect(intersectionObserver.getObservedElements()).toEqual([container]);
+      expect(mainHelper.derivedHelpers).toHaveLength(0);
+
+      intersectionObserver.setVisible(container, true);
+
+      expect(mainHelper.derivedHelpers).toHaveLength(1);
+      expect(instantSearchInstance.scheduleSearch).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves the index out of the searches once the container is hidden', () => {
+      const {
+        container,
+        mainHelper,
+        instantSearchInstance,
+      } = createLazyEnvironment();
+
+      intersectionObserver.setVisible(container, true);
+      intersectionObserver.setVisible(container, false);
+
+      expect(mainHelper.derivedHelpers).toHaveLength(0);
+      expect(instantSearchInstance.scheduleSearch).toHaveBeenCalledTimes(1);
+    });
+
+    it('receives the results once the container is visible again', async () => {
+      const { container, instance, mainHelper } = createLazyEnvironment();
+
+      intersectionObserver.setVisible(container, true);
+      mainHelper.searchOnlyWithDerivedHelpers();
+
+      await runAllMicroTasks();
+
+      const results = instance.getResults();
+
+      expect(results).not.toBe(null);
+
+      intersectionObserver.setVisible(container, false);
+      intersectionObserver.setVisible(container, true);
+
+      // The results are kept until the next search.
+      expect(instance.getResults()).toBe(results);
+
+      instance.getHelper()!.setQuery('apple');
+      mainHelper.searchOnlyWithDerivedHelpers();
+
+      await runAllMicroTasks();
+
+      expect(mainHelper.derivedHelpers).toHaveLength(1);
+      expect(instance.getResults()!._state.query).toBe('apple');
+      // The index handles the results of the new derived helper.
+      expect(instance.getHelper()!.lastResults).toBe(instance.getResults());
+    });
+
+    it('keeps the UI state of the index while the container is hidden', async () => {
+      const container = document.createElement('div');
+      const searchClient = createSearchClient();
+      const router = memory();
+      const search = instantsearch({
+        indexName: 'indexName',
+        searchClient,
+        routing: { router },
+      });
+      const renderRefinementList = jest.fn();
+      const lazyIndex = index({
+        indexName: 'lazyIndexName',
+        lazy: { container },
+      }).addWidgets([
+        connectRefinementList(renderRefinementList)({ attribute: 'brand' }),
+      ]);
+      const getLastRequests = () =>
+        (searchClient.search as jest.Mock).mock.calls[
+          (searchClient.search as jest.Mock).mock.calls.length - 1
+        ][0];
+
+      search.addWidgets([lazyIndex]);
+      search.start();
+      intersectionObserver.setVisible(container, true);
+
+      await runAllMicroTasks();
+
+      lazyIndex
+        .getHelper()!
+        .toggleFacetRefinement('brand', 'Apple')
+        .search();
+      intersectionObserver.setVisible(container, false);
+      search.helper!.setPage(0).search();
+
+      await runAllMicroTasks();
+
+      const expectedRouteState = {
+        indexName: {},
+        lazyIndexName: { refinementList: { brand: ['Apple'] } },
+      };
+
+      expect(router.read()).toEqual(expectedRouteState);
+      expect(getLastRequests().map(_ => _.indexName)).toEqual(['indexName']);
+
+      intersectionObserver.setVisible(container, true);
+
+      await runAllMicroTasks();
+
+      expect(router.read()).toEqual(expectedRouteState);
+      expect(getLastRequests()).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            indexName: 'lazyIndexName',
+            params: expect.objectContaining({
+              facetFilters: [['brand:Apple']],
+            }),
+          }),
+        ])
+      );
+    });
+
+    it('searches right away without IntersectionObserver', () => {
+      intersectionObserver.restore();
+
+      const { mainHelper } = createLazyEnvironment();
+
+      expect(mainHelper.derivedHelpers).toHaveLength(1);
+    });
+
+    it('stops observing the container on dispose', () => {
+      const { instance, mainHelper } = createLazyEnvironment();
+
+      instance.dispose(createDisposeOptions());
+
+      expect(intersectionObserver.getObservedElements()).toEqual([]);
+      expect(mainHelper.derivedHelpers).toHaveLength(0);
+    });
+  });
+
   describe('getWidgetState', () => {
     test('warns when index has this method', () => {
       warning.cache = {};
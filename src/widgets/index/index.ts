@@ -17,10 +17,13 @@ import {
   WidgetSearchParametersOptions,
   ScopedResult,
   SearchClient,
+  InitialResults,
 } from '../../types';
 import {
   checkIndexUiState,
   createDocumentationMessageGenerator,
+  getContainerNode,
+  observeVisibility,
   resolveSearchParameters,
   mergeSearchParameters,
   warning,
@@ -33,6 +36,25 @@ const withUsage = createDocumentationMessageGenerator({
 type IndexProps = {
   indexName: string;
   indexId?: string;
+  /**
+   * Defers the search of the index until the container enters the viewport.
+   * The index is left out of the searches while the container is not visible,
+   * its UI state is kept and searched again once it's visible.
+   */
+  lazy?: {
+    container: string | HTMLElement;
+    /**
+     * Margin around the viewport, with the same syntax as the CSS `margin`
+     * property, to start searching before the container enters the viewport.
+     */
+    rootMargin?: string;
+  };
+  /**
+   * Picks the search parameters that the index inherits from its parents,
+   * which are merged with its own ones. The index inherits all of them by
+   * default.
+   */
+  getInheritedSearchParameters?(state: SearchParameters): SearchParameters;
 };
 
 type IndexInitOptions = Pick<
@@ -52,6 +74,7 @@ export type Index = Widget & {
   getHelper(): Helper | null;
   getResults(): SearchResults | null;
   getParent(): Index | null;
+  getInheritedSearchParameters(state: SearchParameters): SearchParameters;
   getWidgets(): Widget[];
   addWidgets(widgets: Widget[]): Index;
   removeWidgets(widgets: Widget[]): Index;
@@ -68,12 +91,30 @@ export type Index = Widget & {
     searchParametersOptions: { uiState: IndexUiState }
   ): SearchParameters;
   refreshUiState(): void;
+  hydrateResults(initialResults: InitialResults[string]): void;
 };
 
 export function isIndexWidget(widget: Widget): widget is Index {
   return widget.$$type === 'ais.index';
 }
 
+/**
+ * Adds the `index` widgets that the widgets are composed of (e.g. the sections
+ * of `federatedSearch`) after them, they're children of the index like the
+ * other ones.
+ */
+function withComposedIndices(widgets: Widget[]): Widget[] {
+  return widgets.reduce<Widget[]>(
+    (allWidgets, widget) =>
+      allWidgets.concat(
+        [widget]
+          .concat(widget.getIndices ? widget.getIndices() : [])
+          .filter(_ => allWidgets.indexOf(_) === -1)
+      ),
+    []
+  );
+}
+
 /**
  * This is the same content as helper._change / setState, but allowing for extra
  * UiState to be synchronized.
@@ -140,6 +181,22 @@ function getLocalWidgetsSearchParameters(
     }, initialSearchParameters);
 }
 
+function createEmptyResults(state: SearchParameters): SearchResults {
+  return new algoliasearchHelper.SearchResults(state, [
+    {
+      hits: [],
+      nbHits: 0,
+      nbPages: 0,
+      page: 0,
+      hitsPerPage: state.hitsPerPage || 20,
+      processingTimeMS: 0,
+      exhaustiveNbHits: true,
+      query: state.query || '',
+      params: '',
+    },
+  ]);
+}
+
 function resetPageFromWidgets(widgets: Widget[]): void {
   const indexWidgets = widgets.filter(isIndexWidget);
 
@@ -187,7 +244,16 @@ const index = (props: IndexProps): Index => {
     throw new Error(withUsage('The `indexName` option is required.'));
   }
 
-  const { indexName, indexId = indexName } = props;
+  const {
+    indexName,
+    indexId = indexName,
+    lazy,
+    getInheritedSearchParameters = (state: SearchParameters) => state,
+  } = props;
+
+  if (lazy && !lazy.container) {
+    throw new Error(withUsage('The `container` option of `lazy` is required.'));
+  }
 
   let localWidgets: Widget[] = [];
   let localUiState: IndexUiState = {};
@@ -195,6 +261,10 @@ const index = (props: IndexProps): Index => {
   let localParent: Index | null = null;
   let helper: Helper | null = null;
   let derivedHelper: DerivedHelper | null = null;
+  let isDerivedHelperAttached = true;
+  let unobserveContainer: (() => void) | null = null;
+  // Tells the query changes apart from the other ones for `searchScheduling`.
+  let lastSearchedQuery: string | undefined;
 
   const createURL = (nextState: SearchParameters) =>
     localInstantSearchInstance!._createURL!({
@@ -227,19 +297,23 @@ const index = (props: IndexProps): Index => {
       return localParent;
     },
 
+    getInheritedSearchParameters(state) {
+      return getInheritedSearchParameters(state);
+    },
+
     getWidgets() {
       return localWidgets;
     },
 
-    addWidgets(widgets) {
-      if (!Array.isArray(widgets)) {
+    addWidgets(addedWidgets) {
+      if (!Array.isArray(addedWidgets)) {
         throw new Error(
           withUsage('The `addWidgets` method expects an array of widgets.')
         );
       }
 
       if (
-        widgets.some(
+        addedWidgets.some(
           widget =>
             typeof widget.init !== 'function' &&
             typeof widget.render !== 'function'
@@ -252,6 +326,8 @@ const index = (props: IndexProps): Index => {
         );
       }
 
+      const widgets = withComposedIndices(addedWidgets);
+
       localWidgets = localWidgets.concat(widgets);
 
       if (localInstantSearchInstance && Boolean(widgets.length)) {
@@ -282,6 +358,8 @@ const index = (props: IndexProps): Index => {
                 scopedResults: [],
                 searchMetadata: {
                   isSearchStalled: localInstantSearchInstance!._isSearchStalled,
+                  pendingRequests: localInstantSearchInstance!._pendingRequests,
+                  error: localInstantSearchInstance!._searchError,
                 },
               }
             );
@@ -308,6 +386,8 @@ const index = (props: IndexProps): Index => {
               scopedResults: [],
               searchMetadata: {
                 isSearchStalled: localInstantSearchInstance!._isSearchStalled,
+                pendingRequests: localInstantSearchInstance!._pendingRequests,
+                error: localInstantSearchInstance!._searchError,
               },
             });
           }
@@ -319,19 +399,21 @@ const index = (props: IndexProps): Index => {
       return this;
     },
 
-    removeWidgets(widgets) {
-      if (!Array.isArray(widgets)) {
+    removeWidgets(removedWidgets) {
+      if (!Array.isArray(removedWidgets)) {
         throw new Error(
           withUsage('The `removeWidgets` method expects an array of widgets.')
         );
       }
 
-      if (widgets.some(widget => typeof widget.dispose !== 'function')) {
+      if (removedWidgets.some(widget => typeof widget.dispose !== 'function')) {
         throw new Error(
           withUsage('The widget definition expects a `dispose` method.')
         );
       }
 
+      const widgets = withComposedIndices(removedWidgets);
+
       localWidgets = localWidgets.filter(
         widget => widgets.indexOf(widget) === -1
       );
@@ -388,6 +470,7 @@ const index = (props: IndexProps): Index => {
         parameters.index,
         parameters
       );
+      lastSearchedQuery = helper.state.query;
 
       // We forward the call to `search` to the "main" instance of the Helper
       // which is responsible for managing the queries (it's the only one that is
@@ -406,6 +489,16 @@ const index = (props: IndexProps): Index => {
           return mainHelper;
         }
 
+        if (instantSearchInstance._searchScheduling) {
+          const source =
+            helper!.state.query !== lastSearchedQuery ? 'query' : 'refinement';
+
+          lastSearchedQuery = helper!.state.query;
+          instantSearchInstance.scheduleSearch(source);
+
+          return mainHelper;
+        }
+
         return mainHelper.search();
       };
 
@@ -430,9 +523,101 @@ const index = (props: IndexProps): Index => {
         );
       };
 
-      derivedHelper = mainHelper.derive(() =>
-        mergeSearchParameters(...resolveSearchParameters(this))
-      );
+      const deriveHelper = () => {
+        const previousResults = derivedHelper && derivedHelper.lastResults;
+
+        derivedHelper = mainHelper.derive(() =>
+          mergeSearchParameters(...resolveSearchParameters(this))
+        );
+        // The derived helper replaces the one of a lazy index that was hidden,
+        // the widgets keep rendering its results until the next ones.
+        derivedHelper.lastResults = previousResults;
+        isDerivedHelperAttached = true;
+
+        derivedHelper.on('search', ({ state }) => {
+          // The source of the next scheduled search is based on the query of
+          // the last search, whatever triggered it (e.g. `setUiState`).
+          lastSearchedQuery = state.query;
+
+          // The index does not manage the "staleness" of the search. This is the
+          // responsibility of the main instance. It does not make sense to manage
+          // it at the index level because it's either: all of them or none of them
+          // that are stalled. The queries are performed into a single network request.
+          instantSearchInstance.scheduleStalledRender();
+
+          if (__DEV__) {
+            checkIndexUiState({ index: this, indexUiState: localUiState });
+          }
+        });
+
+        derivedHelper.on('result', ({ results }) => {
+          // A successful search ends the error state of the previous one.
+          instantSearchInstance._searchError = null;
+
+          // The index does not render the results it schedules a new render
+          // to let all the other indices emit their own results. It allows us to
+          // run the render process in one pass.
+          instantSearchInstance.scheduleRender();
+
+          // the derived helper is the one which actually searches, but the helper
+          // which is exposed e.g. via instance.helper, doesn't search, and thus
+          // does not have access to lastResults, which it used to in pre-federated
+          // search behavior.
+          helper!.lastResults = results;
+
+          instantSearchInstance.middleware.forEach(m => {
+            if (m.onResults) {
+              m.onResults({
+                indexId: this.getIndexId(),
+                results,
+                uiState: instantSearchInstance.mainIndex.getWidgetUiState({}),
+              });
+            }
+          });
+        });
+      };
+
+      deriveHelper();
+
+      if (lazy) {
+        unobserveContainer = observeVisibility(
+          getContainerNode(lazy.container),
+          { rootMargin: lazy.rootMargin },
+          isVisible => {
+            if (isVisible === isDerivedHelperAttached) {
+              return;
+            }
+
+            // The derived helper is detached to leave the index out of the
+            // next searches. A detached derived helper can't be attached
+            // again, a new one is derived once the container is visible.
+            if (isVisible) {
+              deriveHelper();
+              instantSearchInstance.scheduleSearch();
+            } else {
+              derivedHelper!.detach();
+              isDerivedHelperAttached = false;
+            }
+          }
+        );
+
+        // The observer notifies the visibility asynchronously, the index is
+        // left out of the first search until then.
+        if (unobserveContainer) {
+          derivedHelper!.detach();
+          isDerivedHelperAttached = false;
+        }
+      }
+
+      const initialResults =
+        instantSearchInstance._initialResults &&
+        instantSearchInstance._initialResults[this.getIndexId()];
+
+      if (initialResults) {
+        // The results have been computed ahead of time (e.g. on the server),
+        // we hydrate the Helpers with them to render without a network request.
+        this.hydrateResults(initialResults);
+      }
 
       // Subscribe to the Helper state changes for the page before widgets
       // are initialized. This behavior mimics the original one of the Helper.
@@ -444,31 +629,6 @@ const index = (props: IndexProps): Index => {
         }
       });
 
-      derivedHelper.on('search', () => {
-        // The index does not manage the "staleness" of the search. This is the
-        // responsibility of the main instance. It does not make sense to manage
-        // it at the index level because it's either: all of them or none of them
-        // that are stalled. The queries are performed into a single network request.
-        instantSearchInstance.scheduleStalledRender();
-
-        if (__DEV__) {
-          checkIndexUiState({ index: this, indexUiState: localUiState });
-        }
-      });
-
-      derivedHelper.on('result', ({ results }) => {
-        // The index does not render the results it schedules a new render
-        // to let all the other indices emit their own results. It allows us to
-        // run the render process in one pass.
-        instantSearchInstance.scheduleRender();
-
-        // the derived helper is the one which actually searches, but the helper
-        // which is exposed e.g. via instance.helper, doesn't search, and thus
-        // does not have access to lastResults, which it used to in pre-federated
-        // search behavior.
-        helper!.lastResults = results;
-      });
-
       // We compute the render state before calling `render` in a separate loop
       // to construct the whole render state object that is then passed to
       // `render`.
@@ -488,6 +648,8 @@ const index = (props: IndexProps): Index => {
               scopedResults: [],
               searchMetadata: {
                 isSearchStalled: instantSearchInstance._isSearchStalled,
+                pendingRequests: instantSearchInstance._pendingRequests,
+                error: instantSearchInstance._searchError,
               },
             }
           );
@@ -519,6 +681,8 @@ const index = (props: IndexProps): Index => {
             scopedResults: [],
             searchMetadata: {
               isSearchStalled: instantSearchInstance._isSearchStalled,
+              pendingRequests: instantSearchInstance._pendingRequests,
+              error: instantSearchInstance._searchError,
             },
           });
         }
@@ -554,7 +718,16 @@ const index = (props: IndexProps): Index => {
     },
 
     render({ instantSearchInstance }: IndexRenderOptions) {
-      if (!this.getResults()) {
+      // When the search fails before the index got results (e.g. offline or
+      // with an invalid API key), the widgets render empty results with the
+      // error of the search.
+      const results =
+        this.getResults() ||
+        (instantSearchInstance._searchError
+          ? createEmptyResults(helper!.state)
+          : null);
+
+      if (!results) {
         return;
       }
 
@@ -566,14 +739,16 @@ const index = (props: IndexProps): Index => {
               helper: this.getHelper()!,
               parent: this,
               instantSearchInstance,
-              results: this.getResults()!,
+              results,
               scopedResults: resolveScopedResultsFromIndex(this),
-              state: this.getResults()!._state,
+              state: results._state,
               renderState: instantSearchInstance.renderState,
               templatesConfig: instantSearchInstance.templatesConfig,
               createURL,
               searchMetadata: {
                 isSearchStalled: instantSearchInstance._isSearchStalled,
+                pendingRequests: instantSearchInstance._pendingRequests,
+                error: instantSearchInstance._searchError,
               },
             }
           );
@@ -595,20 +770,34 @@ const index = (props: IndexProps): Index => {
         // not have results yet.
 
         if (widget.render) {
-          widget.render({
-            helper: helper!,
-            parent: this,
-            instantSearchInstance,
-            results: this.getResults()!,
-            scopedResults: resolveScopedResultsFromIndex(this),
-            state: this.getResults()!._state,
-            renderState: instantSearchInstance.renderState,
-            templatesConfig: instantSearchInstance.templatesConfig,
-            createURL,
-            searchMetadata: {
-              isSearchStalled: instantSearchInstance._isSearchStalled,
-            },
-          });
+          const renderWidget = () => {
+            widget.render!({
+              helper: helper!,
+              parent: this,
+              instantSearchInstance,
+              results,
+              scopedResults: resolveScopedResultsFromIndex(this),
+              state: results._state,
+              renderState: instantSearchInstance.renderState,
+              templatesConfig: instantSearchInstance.templatesConfig,
+              createURL,
+              searchMetadata: {
+                isSearchStalled: instantSearchInstance._isSearchStalled,
+                pendingRequests: instantSearchInstance._pendingRequests,
+                error: instantSearchInstance._searchError,
+              },
+            });
+          };
+
+          if (instantSearchInstance._performanceMonitor) {
+            instantSearchInstance._performanceMonitor.measureWidgetRender(
+              widget,
+              this.getIndexId(),
+              renderWidget
+            );
+          } else {
+            renderWidget();
+          }
         }
       });
     },
@@ -631,8 +820,17 @@ const index = (props: IndexProps): Index => {
       helper!.removeAllListeners();
       helper = null;
 
-      derivedHelper!.detach();
+      if (unobserveContainer) {
+        unobserveContainer();
+        unobserveContainer = null;
+      }
+
+      if (isDerivedHelperAttached) {
+        derivedHelper!.detach();
+      }
+
       derivedHelper = null;
+      isDerivedHelperAttached = true;
     },
 
     getWidgetUiState(uiState: UiState) {
@@ -670,6 +868,16 @@ const index = (props: IndexProps): Index => {
         helper: this.getHelper()!,
       });
     },
+
+    hydrateResults({ state, results }) {
+      const searchResults = new algoliasearchHelper.SearchResults(
+        new algoliasearchHelper.SearchParameters(state),
+        results
+      );
+
+      derivedHelper!.lastResults = searchResults;
+      helper!.lastResults = searchResults;
+    },
   };
 };
 
@@ -0,0 +1,190 @@
+import lazy from '../lazy';
+import instantsearch from '../../../lib/main';
+import memory from '../../../lib/routers/memory';
+import connectRefinementList from '../../../connectors/refinement-list/connectRefinementList';
+import { createSearchClient } from '../../../../test/mock/createSearchClient';
+import { createWidget } from '../../../../test/mock/createWidget';
+import { createIntersectionObserver } from '../../../../test/mock/createIntersectionObserver';
+import { runAllMicroTasks } from '../../../../test/utils/runAllMicroTasks';
+
+describe('lazy', () => {
+  const createConfigureWidget = jest.fn(() =>
+    createWidget({
+      getWidgetSearchParameters: jest.fn(state =>
+        state.setQueryParameter('hitsPerPage', 5)
+      ),
+      dispose: jest.fn(({ state }) =>
+        state.setQueryParameter('hitsPerPage', undefined)
+      ),
+    })
+  );
+
+  let intersectionObserver: ReturnType<typeof createIntersectionObserver>;
+
+  beforeEach(() => {
+    intersectionObserver = createIntersectionObserver();
+    createConfigureWidget.mockClear();
+  });
+
+  afterEach(() => {
+    intersectionObserver.restore();
+  });
+
+  const createTestEnvironment = () => {
+    const container = document.createElement('div');
+    const searchClient = createSearchClient();
+    const search = instantsearch({ indexName: 'indexName', searchClient });
+    const widget = lazy()(createConfigureWidget)({ container });
+
+    search.addWidgets([widget]);
+
+    return { container, searchClient, search, widget };
+  };
+
+  const getLastHitsPerPage = (
+    searchClient: ReturnType<typeof createSearchClient>
+  ) => {
+    const { calls } = (searchClient.search as jest.Mock).mock;
+
+    return calls[calls.length - 1][0][0].params.hitsPerPage;
+  };
+
+  const getLastFacetFilters = (
+    searchClient: ReturnType<typeof createSearchClient>
+  ) => {
+    const { calls } = (searchClient.search as jest.Mock).mock;
+
+    return calls[calls.length - 1][0][0].params.facetFilters;
+  };
+
+  it('throws without container', () => {
+    expect(() => {
+      // @ts-ignore wrong option type
+      lazy()(createConfigureWidget)({});
+    }).toThrowErrorMatchingInlineSnapshot(`
+"The \`container\` option is required in the widget within lazy.
+
+See documentation: https://www.algolia.com/doc/api-reference/widgets/lazy/js/"
+`);
+  });
+
+  it('initializes the widget once the container is visible', async () => {
+    const { container, searchClient, search } = createTestEnvironment();
+    const [wrappedWidget] = createConfigureWidget.mock.results.map(
+      _ => _.value
+    );
+
+    search.start();
+
+    await runAllMicroTasks();
+
+    expect(wrappedWidget.init).toHaveBeenCalledTimes(0);
+    expect(wrappedWidget.render).toHaveBeenCalledTimes(0);
+    // The parameters of the widget are part of the search before it's visible.
+    expect(getLastHitsPerPage(searchClient)).toBe(5);
+
+    intersectionObserver.setVisible(container, true);
+
+    await runAllMicroTasks();
+
+    expect(wrappedWidget.init).toHaveBeenCalledTimes(1);
+    expect(wrappedWidget.render).toHaveBeenCalledTimes(1);
+    expect(searchClient.search).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops rendering the widget once the container is hidden', async () => {
+    const { container, searchClient, search } = createTestEnvironment();
+    const [wrappedWidget] = createConfigureWidget.mock.results.map(
+      _ => _.value
+    );
+
+    search.start();
+    intersectionObserver.setVisible(container, true);
+
+    await runAllMicroTasks();
+
+    intersectionObserver.setVisible(container, false);
+    search.helper!.setPage(1).search();
+
+    await runAllMicroTasks();
+
+    expect(wrappedWidget.render).toHaveBeenCalledTimes(1);
+    expect(wrappedWidget.dispose).toHaveBeenCalledTimes(0);
+    expect(getLastHitsPerPage(searchClient)).toBe(5);
+  });
+
+  it('keeps the refinements of the widget while it is hidden', async () => {
+    const container = document.createElement('div');
+    const searchClient = createSearchClient();
+    const router = memory();
+    const search = instantsearch({
+      indexName: 'indexName',
+      searchClient,
+      routing: { router },
+    });
+    const renderRefinementList = jest.fn();
+
+    search.addWidgets([
+      lazy()(connectRefinementList(renderRefinementList))({
+        container,
+        attribute: 'brand',
+      }),
+    ]);
+    search.start();
+    intersectionObserver.setVisible(container, true);
+
+    await runAllMicroTasks();
+
+    renderRefinementList.mock.calls[
+      renderRefinementList.mock.calls.length - 1
+    ][0].refine('Apple');
+    intersectionObserver.setVisible(container, false);
+
+    await runAllMicroTasks();
+
+    const expectedRouteState = {
+      indexName: { refinementList: { brand: ['Apple'] } },
+    };
+
+    expect(router.read()).toEqual(expectedRouteState);
+    expect(getLastFacetFilters(searchClient)).toEqual([['brand:Apple']]);
+
+    const renderCount = renderRefinementList.mock.calls.length;
+
+    intersectionObserver.setVisible(container, true);
+
+    await runAllMicroTasks();
+
+    expect(renderRefinementList).toHaveBeenCalledTimes(renderCount + 1);
+    expect(router.read()).toEqual(expectedRouteState);
+    expect(getLastFacetFilters(searchClient)).toEqual([['brand:Apple']]);
+  });
+
+  it('mounts the widget right away without IntersectionObserver', () => {
+    intersectionObserver.restore();
+
+    const { searchClient, search } = createTestEnvironment();
+    const [wrappedWidget] = createConfigureWidget.mock.results.map(
+      _ => _.value
+    );
+
+    search.start();
+
+    expect(wrappedWidget.init).toHaveBeenCalledTimes(1);
+    expect(getLastHitsPerPage(searchClient)).toBe(5);
+  });
+
+  it('stops observing the container on dispose', () => {
+    const { container, search, widget } = createTestEnvironment();
+    const [wrappedWidget] = createConfigureWidget.mock.results.map(
+      _ => _.value
+    );
+
+    search.start();
+    intersectionObserver.setVisible(container, true);
+    search.removeWidgets([widget]);
+
+    expect(intersectionObserver.getObservedElements()).toEqual([]);
+    expect(wrappedWidget.dispose).toHaveBeenCalledTimes(1);
+  });
+});
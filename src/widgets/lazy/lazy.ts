@@ -0,0 +1,139 @@
+import {
+  createDocumentationMessageGenerator,
+  getContainerNode,
+  observeVisibility,
+} from '../../lib/utils';
+import { InitOptions, UnknownWidgetFactory, Widget } from '../../types';
+
+export type LazyWidgetOptions = {
+  /**
+   * Margin around the viewport, with the same syntax as the CSS `margin`
+   * property, to mount the widget before its container enters the viewport.
+   */
+  rootMargin?: string;
+};
+
+export type LazyWidget = (
+  widgetParams?: LazyWidgetOptions
+) => <
+  TWidgetParams extends { container: HTMLElement | string; [key: string]: any }
+>(
+  widgetFactory: UnknownWidgetFactory
+) => (widgetOptions: TWidgetParams) => Widget;
+
+const withUsage = createDocumentationMessageGenerator({ name: 'lazy' });
+
+/**
+ * The lazy widget wraps another widget to initialize it once its container
+ * enters the viewport, and to render it only while it's visible. The UI state
+ * and the search parameters of the wrapped widget are kept while it's hidden,
+ * which leaves the results and the route untouched.
+ */
+const lazy: LazyWidget = widgetParams => {
+  const { rootMargin } = widgetParams || {};
+
+  return widgetFactory => widgetOptions => {
+    const { container } = widgetOptions || ({} as typeof widgetOptions);
+
+    if (!container) {
+      throw new Error(
+        withUsage(
+          'The `container` option is required in the widget within lazy.'
+        )
+      );
+    }
+
+    const widget = widgetFactory(widgetOptions);
+
+    let isInitialized = false;
+    let isVisible = false;
+    let unobserveContainer: (() => void) | null = null;
+
+    const initialize = (initOptions: InitOptions) => {
+      const { helper, instantSearchInstance } = initOptions;
+
+      isInitialized = true;
+
+      if (widget.init) {
+        widget.init({
+          ...initOptions,
+          state: helper.state,
+          renderState: instantSearchInstance.renderState,
+          searchMetadata: {
+            isSearchStalled: instantSearchInstance._isSearchStalled,
+            pendingRequests: instantSearchInstance._pendingRequests,
+            error: instantSearchInstance._searchError,
+          },
+        });
+      }
+    };
+
+    return {
+      ...widget,
+
+      init(options) {
+        unobserveContainer = observeVisibility(
+          getContainerNode(container),
+          { rootMargin },
+          nextIsVisible => {
+            if (nextIsVisible === isVisible) {
+              return;
+            }
+
+            isVisible = nextIsVisible;
+
+            if (!isVisible) {
+              return;
+            }
+
+            if (!isInitialized) {
+              initialize(options);
+            }
+
+            // The widget catches up with the results it skipped while hidden.
+            options.instantSearchInstance.scheduleRender();
+          }
+        );
+
+        // Without `IntersectionObserver`, the widget is initialized right away.
+        if (!unobserveContainer) {
+          isVisible = true;
+          initialize(options);
+        }
+      },
+
+      render(options) {
+        if (isInitialized && isVisible && widget.render) {
+          widget.render(options);
+        }
+      },
+
+      dispose(options) {
+        if (unobserveContainer) {
+          unobserveContainer();
+          unobserveContainer = null;
+        }
+
+        isVisible = false;
+
+        if (isInitialized) {
+          isInitialized = false;
+
+          if (widget.dispose) {
+            return widget.dispose(options);
+          }
+        }
+
+        return undefined;
+      },
+
+      getRenderState(renderState, renderOptions) {
+        return isInitialized && widget.getRenderState
+          ? widget.getRenderState(renderState, renderOptions)
+          : renderState;
+      },
+    };
+  };
+};
+
+export default lazy;
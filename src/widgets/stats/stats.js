@@ -23,6 +23,7 @@ const renderer = ({ containerNode, cssClasses, renderState, templates }) => (
     page,
     processingTimeMS,
     query,
+    error,
     instantSearchInstance,
   },
   isFirstRendering
@@ -46,6 +47,7 @@ const renderer = ({ containerNode, cssClasses, renderState, templates }) => (
       page={page}
       processingTimeMS={processingTimeMS}
       query={query}
+      error={error}
       templateProps={renderState.templateProps}
     />,
     containerNode
@@ -56,6 +58,8 @@ const renderer = ({ containerNode, cssClasses, renderState, templates }) => (
  * @typedef {Object} StatsWidgetTemplates
  * @property {string|function} [text] Text template, provided with `hasManyResults`,
  * `hasNoResults`, `hasOneResult`, `hitsPerPage`, `nbHits`, `nbPages`, `page`, `processingTimeMS`, `query`.
+ * @property {string|function} [error] Template used instead of `text` when the search fails, provided with the
+ * same data and the `error` of the search.
  */
 
 /**
@@ -75,6 +79,7 @@ const renderer = ({ containerNode, cssClasses, renderState, templates }) => (
  * @property {number} page Number of the current page. First page is 0.
  * @property {number} processingTimeMS Time taken to compute the results inside the engine.
  * @property {string} query Text query currently used.
+ * @property {Error} [error] The error of the search if it failed.
  */
 
 /**
@@ -30,16 +30,33 @@ export const createInstantSearch = (
     middleware: [],
     renderState: {},
     scheduleStalledRender: defer(jest.fn()),
+    _deferredSearch: defer(jest.fn()),
     scheduleSearch: defer(jest.fn()),
     scheduleRender: defer(jest.fn()),
     _isSearchStalled: true,
+    _abortStaleSearches: false,
+    _pendingRequests: 0,
+    _errorHandling: null,
+    _searchError: null,
+    _cancelRetries: jest.fn(),
     _stalledSearchDelay: 200,
     _searchStalledTimer: null,
     _initialUiState: {},
+    _initialResults: null,
+    _responsesCache: null,
+    _searchClient: null,
+    _performanceMonitor: null,
+    _nextSearchId: 0,
+    _searchScheduling: null,
+    _scheduledSearches: {},
     _createURL: jest.fn(() => '#'),
     onStateChange: null,
     setUiState: jest.fn(),
+    getSnapshot: jest.fn(),
+    restoreSnapshot: jest.fn(),
     onInternalStateChange: jest.fn(),
+    _shouldWrapSearchClient: jest.fn(() => false),
+    _wrapSearchClient: jest.fn(searchClient => searchClient),
     createURL: jest.fn(() => '#'),
     addWidget: jest.fn(),
     addWidgets: jest.fn(),
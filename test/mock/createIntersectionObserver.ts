@@ -0,0 +1,54 @@
+type Observer = {
+  elements: Element[];
+  callback: IntersectionObserverCallback;
+};
+
+/**
+ * Installs a fake `IntersectionObserver` on the global object, whose
+ * visibility changes are triggered manually with `setVisible`.
+ */
+export const createIntersectionObserver = () => {
+  let observers: Observer[] = [];
+
+  class FakeIntersectionObserver {
+    private observer: Observer;
+
+    public constructor(callback: IntersectionObserverCallback) {
+      this.observer = { elements: [], callback };
+      observers.push(this.observer);
+    }
+
+    public observe(element: Element) {
+      this.observer.elements.push(element);
+    }
+
+    public disconnect() {
+      observers = observers.filter(_ => _ !== this.observer);
+    }
+  }
+
+  (global as any).IntersectionObserver = FakeIntersectionObserver;
+
+  return {
+    setVisible(element: Element, isVisible: boolean) {
+      observers
+        .filter(observer => observer.elements.indexOf(element) !== -1)
+        .forEach(observer => {
+          observer.callback(
+            [{ target: element, isIntersecting: isVisible } as any],
+            observer as any
+          );
+        });
+    },
+    getObservedElements() {
+      return observers.reduce<Element[]>(
+        (elements, observer) => elements.concat(observer.elements),
+        []
+      );
+    },
+    restore() {
+      observers = [];
+      delete (global as any).IntersectionObserver;
+    },
+  };
+};
@@ -25,6 +25,8 @@ export const createInitOptions = (
     createURL: jest.fn(() => '#'),
     searchMetadata: {
       isSearchStalled: false,
+      pendingRequests: 0,
+      error: null,
     },
     ...rest,
   };
@@ -58,6 +60,8 @@ export const createRenderOptions = (
     ],
     searchMetadata: {
       isSearchStalled: false,
+      pendingRequests: 0,
+      error: null,
     },
     createURL: jest.fn(() => '#'),
     ...rest,
@@ -0,0 +1,46 @@
+type Listener = (event: MessageEvent) => void;
+
+const createMessageTarget = () => {
+  let listeners: Listener[] = [];
+
+  return {
+    target: {
+      postMessage: jest.fn(),
+      addEventListener(_type: 'message', listener: Listener) {
+        listeners = listeners.concat(listener);
+      },
+      removeEventListener(_type: 'message', listener: Listener) {
+        listeners = listeners.filter(_ => _ !== listener);
+      },
+    },
+    dispatch(data: any) {
+      listeners.forEach(listener => listener({ data } as MessageEvent));
+    },
+  };
+};
+
+/**
+ * Creates a stand-in for a worker: the messages posted by the `worker` are
+ * received by the `scope` of the worker and vice versa. Like with a real
+ * worker, the messages are delivered asynchronously and cloned (through JSON,
+ * which is close enough to the structured clone algorithm for the tests).
+ */
+export const createWorker = () => {
+  const worker = createMessageTarget();
+  const scope = createMessageTarget();
+
+  const deliver = (to: typeof worker, message: any) => {
+    const data = JSON.parse(JSON.stringify(message));
+
+    setTimeout(() => to.dispatch(data), 0);
+  };
+
+  worker.target.postMessage.mockImplementation(message =>
+    deliver(scope, message)
+  );
+  scope.target.postMessage.mockImplementation(message =>
+    deliver(worker, message)
+  );
+
+  return { worker: worker.target, scope: scope.target };
+};